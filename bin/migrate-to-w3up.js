@@ -8,11 +8,11 @@ import * as w3up from "@web3-storage/w3up-client"
 import { parseArgs } from 'node:util'
 import { DID } from "@ucanto/validator"
 import { StoreConf } from '@web3-storage/access/stores/store-conf'
-import { select } from '@inquirer/prompts';
+import { input, select } from '@inquirer/prompts';
 import confirm from '@inquirer/confirm';
 import promptForPassword from '@inquirer/password';
 import { carPartToStoreAddNb, migrate } from "../src/w32023-to-w3up.js";
-import { UploadMigrationFailure, UploadMigrationSuccess, UploadPartMigrationFailure, receiptToJson } from "../src/w3up-migration.js";
+import { UploadMigrationFailure, UploadMigrationSkipped, UploadMigrationSuccess, UploadPartMigrationFailure, receiptToJson, readMigratedUploadCidsFromNdjson } from "../src/w3up-migration.js";
 import { Store } from "@web3-storage/capabilities";
 import { connect } from '@ucanto/client'
 import { CAR, HTTP } from '@ucanto/transport'
@@ -24,6 +24,64 @@ import readNDJSONStream from 'ndjson-readablestream'
 import { stringToCarCid } from "../src/utils.js";
 import { getUploads as getNftStorageClassicUploads } from '../src/classic-nft.storage.js'
 import { getUploads as getOldWeb3StorageUploads } from '../src/old-web3.storage.js'
+import { getUploads as getPinataUploads } from '../src/pinata.cloud.js'
+import { getUploads as getCarDirectoryUploads } from '../src/car-directory.js'
+import { getUploads as getKuboUploads } from '../src/kubo.js'
+import { getUploads as getPinningServiceUploads } from '../src/pinning-service.js'
+import { MigrationCheckpoint } from '../src/checkpoint.js'
+import { planMigration } from '../src/migration-plan.js'
+import { summarizeMigrationLog } from '../src/migration-log-summary.js'
+import { listDestinationContents } from '../src/destination-contents.js'
+import { defaultRetryOn, parseRetryOn } from '../src/retry.js'
+import { CarCache } from '../src/car-cache.js'
+import { AdaptiveConcurrency } from '../src/concurrency.js'
+import { GatewayStats, createPartFetcher, defaultGateways, parseGateways } from '../src/gateways.js'
+import { invokeBlobAdd, parseBlobAddReceiptNext } from '../src/blob-add.js'
+import { TRUSTLESS_GATEWAY, measurePartResponse, spoolUploads } from '../src/car-spool.js'
+import { buildUploadNamesPail, fetchPail, pailCar } from '../src/pail-index.js'
+import { buildUploadsDirectory, directoryCar } from '../src/unixfs-index.js'
+import { exportUploadFiles } from '../src/export-files.js'
+import { DEFAULT_RETRIEVAL_GATEWAY, UploadRetrievalChecked, checkRetrievalOnSchedule, parseRetrievalMethod, parseRetrievalSchedule } from '../src/retrieval.js'
+import { UploadVerificationFailure, expectMigrationLogUploads, expectSourceUploads, verifyUpload } from '../src/verification.js'
+import * as Link from 'multiformats/link'
+
+/**
+ * source of uploads to migrate.
+ * Some sources also provide the car bytes of upload parts, and need to be cleaned up after.
+ * Sources that get the car of each DAG yield an UploadMigrationFailure for any DAG they couldn't get the car of.
+ * @typedef {AsyncIterable<W32023Upload|UploadMigrationFailure<W32023Upload>> & {
+ *   length?: Promise<number|undefined>,
+ *   fetchPart?: (part: string, options?: { signal?: AbortSignal }) => Promise<Response>,
+ *   release?: (upload: W32023Upload) => Promise<void>,
+ *   close?: () => Promise<void>,
+ * }} UploadsSource
+ */
+
+/**
+ * cli flags that choose a source of uploads other than stdin
+ */
+const uploadsSourceOptions = /** @satisfies {Record<string, { type: 'string'|'boolean', help: string }>} */ ({
+  'from-car-dir': {
+    type: 'string',
+    help: 'path to directory of .car files to migrate, instead of reading uploads from stdin',
+  },
+  recursive: {
+    type: 'boolean',
+    help: 'with --from-car-dir, also migrate .car files in subdirectories',
+  },
+  'from-kubo': {
+    type: 'string',
+    help: 'URL of kubo RPC API (e.g. http://127.0.0.1:5001) whose recursive pins to migrate, instead of reading uploads from stdin',
+  },
+  'from-pinning-service': {
+    type: 'string',
+    help: 'endpoint of IPFS Pinning Service API whose pins to migrate, instead of reading uploads from stdin',
+  },
+  'pinning-service-token': {
+    type: 'string',
+    help: 'bearer token for --from-pinning-service. Defaults to PINNING_SERVICE_TOKEN env var, or a prompt if interactive',
+  },
+})
 
 // if this file is being executed directly, run main() function
 const isMain = (url, argv = process.argv) => fileURLToPath(url) === fs.realpathSync(argv[1])
@@ -96,6 +154,21 @@ async function main(argv) {
     return await migrationLogCli(...args.slice(1))
   }
 
+  // index command indexes migrated uploads in the destination space
+  if (args[0] === 'index') {
+    return await indexCli(...args.slice(1))
+  }
+
+  // export-files command writes the files of uploads to the local filesystem
+  if (args[0] === 'export-files') {
+    return await exportFilesCli(...args.slice(1))
+  }
+
+  // verify command reads back what the destination space has, to check every upload is in it
+  if (args[0] === 'verify') {
+    return await verifyCli(...args.slice(1))
+  }
+
   // <space.did> store/add --link {cid}
   if ('store/add' === args[1]) {
     const space = DID.match({ method: 'key' }).from(args[0])
@@ -108,8 +181,13 @@ async function main(argv) {
     options: {
       ipfs: {
         type: 'string',
-        help: 'URL of IPFS gateway to use to resolve Upload part CIDs',
-        default: 'https://w3s.link'
+        help: 'URL of IPFS gateway to use to resolve Upload part CIDs. May be a comma-separated list of gateways (see --ipfs-strategy)',
+        default: defaultGateways.join(','),
+      },
+      'ipfs-strategy': {
+        type: 'string',
+        help: "how to use more than one --ipfs gateway. 'fallback' tries each in order until one has the part. 'race' requests from all of them and uses the first to respond with the part",
+        default: 'fallback',
       },
       space: {
         type: 'string',
@@ -124,10 +202,155 @@ async function main(argv) {
         help: 'URL of w3up API to connect to',
         default: 'https://up.web3.storage',
       },
+      protocol: {
+        type: 'string',
+        help: "how to add parts to w3up. 'store' invokes store/add. 'blob' invokes blob/add like current w3up clients do, and waits for w3up to accept each blob",
+        default: 'store',
+      },
+      'trustless-gateway': {
+        type: 'string',
+        help: 'trustless gateway to fetch the car of the whole DAG of uploads with no parts from, so new parts can be made for them',
+        default: TRUSTLESS_GATEWAY,
+      },
+      'max-shard-size': {
+        type: 'string',
+        help: 'split parts bigger than this many bytes (e.g. 4GiB) into smaller shards at block boundaries, and add those to w3up instead',
+      },
       log: {
         type: 'string',
         help: 'path to file to log migration events to',
-      }
+      },
+      resume: {
+        type: 'string',
+        multiple: true,
+        help: 'path to log file of a previous migration run. Uploads with an UploadMigrationSuccess event in the log will not be migrated again',
+      },
+      checkpoint: {
+        type: 'string',
+        help: 'path to checkpoint file. Uploads in it will not be migrated again, and each migrated upload is added to it',
+      },
+      'dry-run': {
+        type: 'boolean',
+        help: 'read all uploads from the source and print a plan of what the migration would do, without migrating anything. With --from-kubo or --from-pinning-service, the car of every pin is still downloaded to measure it',
+      },
+      preflight: {
+        type: 'boolean',
+        help: 'before migrating, list uploads and stores already in the destination space, and skip migrating any of them',
+      },
+      'retry-max-attempts': {
+        type: 'string',
+        help: 'max number of times to attempt fetching a part, invoking store/add or upload/add, or sending car bytes. 1 means no retries',
+        default: '1',
+      },
+      'retry-base-delay': {
+        type: 'string',
+        help: 'milliseconds to wait before the first retry. Doubles for each subsequent retry',
+        default: '1000',
+      },
+      'retry-jitter': {
+        type: 'string',
+        help: 'fraction (0-1) of each retry delay that is randomized',
+        default: '0.5',
+      },
+      'retry-on': {
+        type: 'string',
+        help: 'comma-separated error names, HTTP statuses, and HTTP status classes that are retryable, e.g. TypeError,429,5xx',
+        default: defaultRetryOn.join(','),
+      },
+      ...uploadsSourceOptions,
+      verify: {
+        type: 'boolean',
+        help: 'hash car bytes as they are sent to w3up, and abort sending any part whose bytes do not match its CID or content-length. on by default',
+      },
+      'no-verify': {
+        type: 'boolean',
+        help: 'send car bytes without hashing them, so parts whose bytes do not match their CID or content-length are not caught',
+      },
+      piece: {
+        type: 'boolean',
+        help: 'compute the Filecoin piece CID (CommP) of each part as it streams, and log it in its MigratedUploadPart',
+      },
+      'filecoin-offer': {
+        type: 'boolean',
+        help: 'invoke filecoin/offer for each part once it is added, so migrated data enters the Filecoin deal pipeline like new uploads do. Implies --piece',
+      },
+      'check-retrieval': {
+        type: 'boolean',
+        help: 'after each upload is migrated, check its root can be retrieved from --retrieval-gateway, and log the results as an UploadRetrievalChecked event',
+      },
+      'retrieval-gateway': {
+        type: 'string',
+        help: 'with --check-retrieval, IPFS gateway to retrieve upload roots from',
+        default: DEFAULT_RETRIEVAL_GATEWAY,
+      },
+      'retrieval-method': {
+        type: 'string',
+        help: "with --check-retrieval, 'head' to send a HEAD request for each root, or 'car' to fetch a car of only the root block and verify it",
+        default: 'car',
+      },
+      'retrieval-schedule': {
+        type: 'string',
+        help: 'with --check-retrieval, comma-separated milliseconds after each upload is migrated to check its retrieval, e.g. 0,60000,600000',
+        default: '0',
+      },
+      'retrieval-timeout': {
+        type: 'string',
+        help: 'with --check-retrieval, milliseconds to wait for the gateway before a check fails',
+        default: '30000',
+      },
+      'retrieval-max-pending': {
+        type: 'string',
+        help: 'with --check-retrieval, max number of uploads whose retrieval schedule is still running. Once this many are, the migration waits for one to finish',
+        default: '100',
+      },
+      'cache-dir': {
+        type: 'string',
+        help: 'directory to keep bytes of parts fetched from --ipfs in, so later runs (e.g. retrying failures) read them from disk instead of fetching them again',
+      },
+      'cache-max-bytes': {
+        type: 'string',
+        help: 'max total size of --cache-dir, e.g. 500GiB. Least recently used parts are evicted to stay under it',
+      },
+      concurrency: {
+        type: 'string',
+        help: "number of parts to migrate at once, or 'auto' to start at 1 and adjust according to how fast parts are migrated and how many fail",
+        default: '1',
+      },
+      'max-concurrency': {
+        type: 'string',
+        help: 'with --concurrency auto, never migrate more than this many parts at once',
+        default: '32',
+      },
+      'batch-size': {
+        type: 'string',
+        help: 'max number of store/add (or upload/add) invocations to send to w3up in one request. Only useful with --concurrency',
+        default: '1',
+      },
+      'batch-wait': {
+        type: 'string',
+        help: 'max milliseconds an invocation waits for others to fill a batch of --batch-size',
+        default: '50',
+      },
+      'max-invocations-per-second': {
+        type: 'string',
+        help: 'max rate of store/add invocations, and separately of upload/add invocations, sent to w3up',
+      },
+      'max-store-add-per-second': {
+        type: 'string',
+        help: 'max rate of store/add invocations. overrides --max-invocations-per-second',
+      },
+      'max-upload-add-per-second': {
+        type: 'string',
+        help: 'max rate of upload/add invocations. overrides --max-invocations-per-second',
+      },
+      'max-fetches-per-second': {
+        type: 'string',
+        help: 'max rate of part fetches, e.g. from --ipfs gateways',
+      },
+      'max-puts-per-second': {
+        type: 'string',
+        help: 'max rate of sending car bytes to the URLs from store/add',
+      },
     },
   })
 
@@ -137,16 +360,41 @@ async function main(argv) {
   catch (error) {
     throw new Error('unable to parse w3up option as URL', { cause: error })
   }
-
-  const agent = await getDefaultW3upAgent(w3upUrl)
+  if (values.verify && values['no-verify']) {
+    throw new Error(`use only one of --verify and --no-verify`)
+  }
 
   // source of uploads is stdin by default
   // except stdin won't work if nothing is piped in.
   // If nothing piped in, ask the user what to do.
   const isInteractive = process.stdin.isTTY
-  let source = isInteractive
-    ? await getUploadsFromPrompts()
-    : new W32023UploadsFromNdjson(Readable.toWeb(process.stdin))
+  const migrationAbort = new AbortController
+
+  // uploads that previous runs already migrated
+  const resumedUploads = new Set
+  for (const logfile of values.resume ?? []) {
+    for (const cid of await readMigratedUploadCidsFromNdjson(Readable.toWeb(createReadStream(logfile)))) {
+      resumedUploads.add(cid)
+    }
+  }
+  const checkpoint = values.checkpoint ? await MigrationCheckpoint.open(values.checkpoint) : undefined
+  if (resumedUploads.size || checkpoint?.size) {
+    console.warn(`resuming migration. skipping ${resumedUploads.size} uploads from --resume logs and ${checkpoint?.size ?? 0} uploads from --checkpoint`)
+  }
+
+  const migrated = {
+    /** @param {string} cid - upload cid */
+    has: (cid) => resumedUploads.has(cid) || Boolean(checkpoint?.has(cid)),
+  }
+  const source = await getUploadsSource(values, isInteractive, { signal: migrationAbort.signal, migrated })
+
+  if (values['dry-run']) {
+    // release each upload once it's counted, so sources that spool cars don't keep them all
+    const plan = await planMigration(source, { migrated, release: source.release })
+    await source.close?.()
+    console.log(JSON.stringify(plan, undefined, 2))
+    return
+  }
 
   let spaceValue = values.space
     // if interactive, we can use env vars and check for confirmation
@@ -168,60 +416,193 @@ async function main(argv) {
   }
   const space = DID.match({ method: 'key' }).from(spaceValue)
 
+  const agent = await getDefaultW3upAgent(w3upUrl)
+
+  const protocol = parseProtocol(values.protocol)
+  let present
+  if (values.preflight) {
+    console.warn(`listing uploads and stores in destination space ${space}…`)
+    present = await listDestinationContents({
+      issuer: agent.issuer,
+      w3up: agent.connection,
+      destination: new URL(space),
+      // only parts added with blob/add are listed by blob/list
+      blobs: protocol === 'blob',
+      authorization: agent.proofs([
+        { can: 'upload/list', with: space },
+        { can: 'store/list', with: space },
+        ...(protocol === 'blob' ? [/** @type {const} */ ({ can: 'blob/list', with: space })] : []),
+      ]),
+    })
+    console.warn(`destination space has ${present.uploads.size} uploads and ${present.shards.size} stored shards`)
+  }
+
+  const gatewayStats = new GatewayStats
+  const fetchPartFromGateways = createPartFetcher({
+    gateways: parseGateways(values.ipfs),
+    strategy: parseGatewayStrategy(values['ipfs-strategy']),
+    stats: gatewayStats,
+  })
+  const cache = values['cache-dir']
+    ? new CarCache({
+      dir: values['cache-dir'],
+      maxBytes: values['cache-max-bytes'] ? parseByteSize(values['cache-max-bytes']) : undefined,
+    })
+    : undefined
+  const fetchPartFromCacheOrGateways = cache ? cache.wrap(fetchPartFromGateways) : fetchPartFromGateways
+
   // write ndjson events here
   const ndJsonLog = values.log ? createWriteStream(values.log) : undefined
-  const migrationAbort = new AbortController
+  if (checkpoint) {
+    // on ctrl+c, make sure the checkpoint has everything migrated so far before exiting
+    process.once('SIGINT', () => {
+      migrationAbort.abort()
+      checkpoint.flush().then(
+        () => process.exit(130),
+        (error) => {
+          console.warn('error flushing checkpoint before exiting', error)
+          process.exit(1)
+        },
+      )
+    })
+  }
+  const concurrency = values.concurrency === 'auto'
+    ? new AdaptiveConcurrency({ max: parseNumberFlag(values, 'max-concurrency') })
+    : parseNumberFlag(values, 'concurrency')
   const migration = migrate({
     signal: migrationAbort.signal,
+    concurrency,
     issuer: agent.issuer,
     w3up: agent.connection,
     source: Readable.toWeb(Readable.from(source)),
     destination: new URL(space),
+    migrated,
+    present,
+    retry: {
+      maxAttempts: parseNumberFlag(values, 'retry-max-attempts'),
+      baseDelay: parseNumberFlag(values, 'retry-base-delay'),
+      jitter: parseNumberFlag(values, 'retry-jitter'),
+      retryOn: parseRetryOn(values['retry-on']),
+    },
+    verify: values.verify || !values['no-verify'],
+    protocol,
+    receipts: new URL('/receipt/', w3upUrl),
+    gateway: new URL(values['trustless-gateway']),
+    maxShardSize: values['max-shard-size'] ? parseByteSize(values['max-shard-size']) : undefined,
+    piece: values.piece || values['filecoin-offer'],
+    filecoinOffer: values['filecoin-offer'],
+    batch: parseNumberFlag(values, 'batch-size') > 1
+      ? { size: parseNumberFlag(values, 'batch-size'), wait: parseNumberFlag(values, 'batch-wait') }
+      : undefined,
+    rateLimits: {
+      storeAdd: parseOptionalNumberFlag(values, 'max-store-add-per-second') ?? parseOptionalNumberFlag(values, 'max-invocations-per-second'),
+      uploadAdd: parseOptionalNumberFlag(values, 'max-upload-add-per-second') ?? parseOptionalNumberFlag(values, 'max-invocations-per-second'),
+      fetch: parseOptionalNumberFlag(values, 'max-fetches-per-second'),
+      put: parseOptionalNumberFlag(values, 'max-puts-per-second'),
+    },
     async fetchPart(cid, { signal }) {
-      return await fetch(new URL(`/ipfs/${cid}`, values.ipfs), { signal })
+      // some sources provide their own car bytes, e.g. pinata
+      if (source.fetchPart) {
+        return await source.fetchPart(cid, { signal })
+      }
+      return await fetchPartFromCacheOrGateways(cid, { signal })
     },
     onStoreAddReceipt(receipt) {
       const expectedStatus = values['expect-store-add-status']
-      if (expectedStatus && (receipt.out.ok.status !== expectedStatus)) {
+      // blob/add receipts have no status
+      if (expectedStatus && protocol === 'store' && (receipt.out.ok.status !== expectedStatus)) {
         throw Object.assign(new Error('unexpected store/add receipt'), { receipt })
       }
     },
     authorization: agent.proofs([
       {
-        can: 'store/add',
+        can: protocol === 'blob' ? 'blob/add' : 'store/add',
         with: space,
       },
       {
         can: 'upload/add',
         with: space,
       },
+      // the sharded DAG index of each upload is added before upload/add
+      ...(protocol === 'blob' ? [/** @type {const} */ ({ can: 'index/add', with: space })] : []),
+      ...(values['filecoin-offer'] ? [/** @type {const} */ ({ can: 'filecoin/offer', with: space })] : []),
     ])
   })
 
   const sourceLength = 'length' in source ? await source.length : undefined
   let uploadMigrationFailureCount = 0
   let uploadMigrationSuccessCount = 0
+  let uploadMigrationSkippedCount = 0
   const start = new Date
   const getProgressMessage = () => {
-    const progress = `${uploadMigrationSuccessCount}/${sourceLength}`
-    const percent = (uploadMigrationSuccessCount / sourceLength)
+    const progress = `${uploadMigrationSuccessCount + uploadMigrationSkippedCount}/${sourceLength}`
+    const percent = ((uploadMigrationSuccessCount + uploadMigrationSkippedCount) / sourceLength)
     const durationMs = Number(new Date) - Number(start)
     const etaMs = durationMs / percent
     const etaSeconds = etaMs / 1000
     const etaMinutes = etaSeconds / 60
-    return `migrating to w3up… Uploads:${progress} ${uploadMigrationFailureCount ? `Failures:${uploadMigrationFailureCount} ` : ``}ETA:${etaMinutes.toFixed(1)}min`
+    return `migrating to w3up… Uploads:${progress} ${uploadMigrationSkippedCount ? `Skipped:${uploadMigrationSkippedCount} ` : ``}${uploadMigrationFailureCount ? `Failures:${uploadMigrationFailureCount} ` : ``}${concurrency instanceof AdaptiveConcurrency ? `Concurrency:${concurrency.limit} ` : ``}ETA:${etaMinutes.toFixed(1)}min`
   }
   const ui = isInteractive ? new inquirer.ui.BottomBar() : undefined
+  /**
+   * write ndjson to log file, if there is one
+   * @param {object} event - migration event
+   */
+  const writeLogEvent = (event) => ndJsonLog?.write(JSON.stringify(event, stringifyForMigrationProgressStdio) + '\n')
+  const retrievalCheck = values['check-retrieval']
+    ? {
+      gateway: new URL(values['retrieval-gateway']),
+      method: parseRetrievalMethod(values['retrieval-method']),
+      schedule: parseRetrievalSchedule(values['retrieval-schedule']),
+      timeout: parseNumberFlag(values, 'retrieval-timeout'),
+      maxPending: parseNumberFlag(values, 'retrieval-max-pending'),
+    }
+    : undefined
+  if (retrievalCheck && !(retrievalCheck.maxPending >= 1)) {
+    throw new Error(`--retrieval-max-pending must be at least 1`)
+  }
+  /**
+   * retrieval checks still running. each logs an UploadRetrievalChecked event when done
+   * @type {Set<Promise<void>>}
+   */
+  const retrievalChecks = new Set
+  let notRetrievableCount = 0
   for await (const event of migration) {
-    // write ndjson to log file, if there is one
-    ndJsonLog?.write(JSON.stringify(event, stringifyForMigrationProgressStdio) + '\n')
+    // logged right away, so a run stopped during a retrieval schedule still has it in the log
+    writeLogEvent(event)
+    if (retrievalCheck && event instanceof UploadMigrationSuccess) {
+      while (retrievalChecks.size >= retrievalCheck.maxPending) {
+        await Promise.race(retrievalChecks)
+      }
+      const { cid } = event.upload
+      // check retrieval without holding up the rest of the migration
+      const checking = checkRetrievalOnSchedule(cid, { ...retrievalCheck, signal: migrationAbort.signal })
+        .then(retrieval => {
+          writeLogEvent(new UploadRetrievalChecked({ cid }, retrieval))
+          if (!retrieval.ok) {
+            notRetrievableCount++
+            console.warn(`upload ${cid} was migrated, but is not retrievable from ${retrieval.gateway}`)
+          }
+        }, error => {
+          // aborted, so there are no results to log
+          if (error !== migrationAbort.signal.reason) throw error
+        })
+        .finally(() => {
+          retrievalChecks.delete(checking)
+        })
+      retrievalChecks.add(checking)
+    }
 
     if (event instanceof UploadMigrationFailure) {
       uploadMigrationFailureCount++
       // write failures to stderr
       console.warn(JSON.stringify(event, stringifyForMigrationProgressStdio, isInteractive ? 2 : undefined))
+    } else if (event instanceof UploadMigrationSkipped) {
+      uploadMigrationSkippedCount++
+      checkpoint?.add(event.upload.cid)
     } else {
       uploadMigrationSuccessCount++
+      checkpoint?.add(event.upload.cid)
       const space = event.add.receipt.ran.capabilities[0].with
       const root = event.add.receipt.ran.capabilities[0].nb.root
       const consoleLink = `https://console.web3.storage/space/${space}/root/${root}`
@@ -230,12 +611,29 @@ async function main(argv) {
       }
     }
     ui?.updateBottomBar(getProgressMessage() + '\n')
+    await source.release?.(event.upload)
+  }
+  await checkpoint?.flush()
+  await source.close?.()
+  if (retrievalChecks.size) {
+    ui?.updateBottomBar(`waiting for ${retrievalChecks.size} retrieval checks…\n`)
+    await Promise.all(retrievalChecks)
+  }
+  if (notRetrievableCount) {
+    console.warn(`${notRetrievableCount} migrated uploads were not retrievable from ${retrievalCheck?.gateway} at their last retrieval check`)
+  }
+  if (gatewayStats.gateways.size) {
+    ndJsonLog?.write(JSON.stringify(gatewayStats) + '\n')
   }
+  if (gatewayStats.gateways.size > 1) {
+    console.warn(formatGatewayStats(gatewayStats))
+  }
+  const skippedMessage = uploadMigrationSkippedCount ? ` (skipped ${uploadMigrationSkippedCount} already in destination)` : ''
   if (uploadMigrationFailureCount) {
-    console.warn(`failed to migrate ${uploadMigrationFailureCount}/${uploadMigrationSuccessCount + uploadMigrationFailureCount} uploads`)
+    console.warn(`failed to migrate ${uploadMigrationFailureCount}/${uploadMigrationSuccessCount + uploadMigrationFailureCount + uploadMigrationSkippedCount} uploads${skippedMessage}`)
     process.exit(1)
   } else {
-    console.warn(`migrated ${uploadMigrationSuccessCount + uploadMigrationFailureCount} uploads`)
+    console.warn(`migrated ${uploadMigrationSuccessCount + uploadMigrationFailureCount} uploads${skippedMessage}`)
     // without this, process will hang at end of successful migration.
     // I think the following line indicates that the process hangs
     // due to tcp sockets still open to the server fetched via `options.fetchPart` passed to migrate() above.
@@ -245,6 +643,31 @@ async function main(argv) {
   }
 }
 
+/**
+ * get the source of uploads chosen by uploadsSourceOptions flags,
+ * or else uploads from stdin (or from prompts, if the terminal is interactive)
+ * @param {{ 'from-car-dir'?: string, recursive?: boolean, 'from-kubo'?: string, 'from-pinning-service'?: string, 'pinning-service-token'?: string }} values - parsed cli flags
+ * @param {boolean} isInteractive - whether the terminal is interactive, so prompts can be used
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - for cancelling sources that get the car of each DAG
+ * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads already migrated, whose cars sources that get the car of each DAG won't get
+ * @returns {Promise<UploadsSource>} source of uploads
+ */
+async function getUploadsSource(values, isInteractive, { signal, migrated } = {}) {
+  if (values['from-car-dir']) {
+    return getCarDirectoryUploads({ dir: values['from-car-dir'], recursive: values.recursive })
+  } else if (values['from-kubo']) {
+    return getKuboUploads({ api: values['from-kubo'], signal, migrated })
+  } else if (values['from-pinning-service']) {
+    const token = values['pinning-service-token']
+      ?? (isInteractive ? await getPinningServiceToken() : process.env.PINNING_SERVICE_TOKEN)
+    return getPinningServiceUploads({ endpoint: values['from-pinning-service'], token, signal, migrated })
+  }
+  return isInteractive
+    ? await getUploadsFromPrompts({ signal, migrated })
+    : new W32023UploadsFromNdjson(Readable.toWeb(process.stdin))
+}
+
 /**
  * cli for 'store add' command.
  * should get space DID from --space and CID from --link and then invoke store/add on the space
@@ -259,11 +682,26 @@ async function migratePartCli(spaceDid, args) {
         type: 'string',
         help: 'CID to migrate',
       },
+      ipfs: {
+        type: 'string',
+        help: 'URL of IPFS gateway to fetch the part from. May be a comma-separated list of gateways (see --ipfs-strategy)',
+        default: defaultGateways.join(','),
+      },
+      'ipfs-strategy': {
+        type: 'string',
+        help: "how to use more than one --ipfs gateway: 'fallback' or 'race'",
+        default: 'fallback',
+      },
       w3up: {
         type: 'string',
         help: 'URL of w3up API to connect to',
         default: 'https://up.web3.storage',
       },
+      protocol: {
+        type: 'string',
+        help: "how to add the part to w3up: 'store' or 'blob'",
+        default: 'store',
+      },
     },
   })
   /** @type {URL} */
@@ -273,15 +711,41 @@ async function migratePartCli(spaceDid, args) {
     throw new Error('unable to parse w3up option as URL', { cause: error })
   }
   const agent = await getDefaultW3upAgent(w3upUrl)
+  const fetchPart = createPartFetcher({
+    gateways: parseGateways(values.ipfs),
+    strategy: parseGatewayStrategy(values['ipfs-strategy']),
+  })
+  const addNb = await fetchPartAddNb(stringToCarCid(values.link).toString(), () => fetchPart(String(values.link)))
+  if (parseProtocol(values.protocol) === 'blob') {
+    const add = invokeBlobAdd({
+      issuer: agent.issuer,
+      audience: agent.connection.id,
+      proofs: agent.proofs([{ can: 'blob/add', with: spaceDid }]),
+      space: spaceDid,
+      digest: addNb.link.multihash,
+      size: addNb.size,
+    })
+    // @ts-expect-error agent.connection has no service type
+    const receipt = await add.execute(agent.connection)
+    if (receipt.out.error) {
+      console.log(JSON.stringify(receipt.out, undefined, 2))
+      return
+    }
+    const next = parseBlobAddReceiptNext(receipt)
+    console.log(JSON.stringify({
+      out: receipt.out,
+      allocate: next.allocate.receipt?.out,
+      put: next.put.receipt?.out,
+      accept: next.accept.receipt?.out,
+    }, undefined, 2))
+    return
+  }
   const authorization = agent.proofs([{ can: 'store/add', with: spaceDid }])
   const add = Store.add.invoke({
     issuer: agent.issuer,
     audience: agent.connection.id,
     with: spaceDid,
-    nb: carPartToStoreAddNb({
-      part: stringToCarCid(values.link).toString(),
-      response: await fetch(`https://w3s.link/ipfs/${values.link}`),
-    }),
+    nb: addNb,
     proofs: authorization,
   })
   // @ts-expect-error agent.connection has no service type
@@ -289,6 +753,105 @@ async function migratePartCli(spaceDid, args) {
   console.log(JSON.stringify(receipt.out, undefined, 2))
 }
 
+/**
+ * fetch a part to get the link and size to add it to w3up with.
+ * If the response has no content-length, the part bytes are read to measure them
+ * @param {string} part - CAR CID of part
+ * @param {() => Promise<Response>} fetchPart - fetch the part
+ */
+async function fetchPartAddNb(part, fetchPart) {
+  const response = await fetchPart()
+  if (response.headers.get('content-length')) {
+    return carPartToStoreAddNb({ part, response })
+  }
+  const measured = await measurePartResponse(response)
+  await measured.release()
+  return { link: Link.parse(part), size: measured.size }
+}
+
+/**
+ * parse --protocol flag
+ * @param {string|undefined} value - flag value
+ * @returns {import('../src/w32023-to-w3up.js').Protocol} protocol
+ */
+function parseProtocol(value) {
+  switch (value) {
+    case undefined:
+      return 'store'
+    case 'store':
+    case 'blob':
+      return value
+    default:
+      throw new Error(`unexpected --protocol ${JSON.stringify(value)}. expected 'store' or 'blob'`)
+  }
+}
+
+/**
+ * parse --ipfs-strategy flag
+ * @param {string|undefined} value - flag value
+ * @returns {import('../src/gateways.js').GatewayStrategy} strategy
+ */
+function parseGatewayStrategy(value) {
+  switch (value) {
+    case undefined:
+      return 'fallback'
+    case 'fallback':
+    case 'race':
+      return value
+    default:
+      throw new Error(`unexpected --ipfs-strategy ${JSON.stringify(value)}. expected 'fallback' or 'race'`)
+  }
+}
+
+/**
+ * human-readable stats of each gateway parts were fetched from
+ * @param {GatewayStats} stats - stats of gateways
+ */
+function formatGatewayStats(stats) {
+  const lines = ['gateways:']
+  for (const [gateway, { successes, failures, cancelled, meanLatency }] of Object.entries(stats.toJSON().gateways)) {
+    lines.push(`  ${gateway} ${successes} ok, ${failures} failed, ${cancelled} cancelled${meanLatency === undefined ? '' : `, mean latency ${meanLatency}ms`}`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * parse a cli flag value as a number
+ * @param {Record<string, string|boolean|string[]|undefined>} values - parsed cli flags
+ * @param {string} name - name of flag to parse
+ */
+function parseNumberFlag(values, name) {
+  const value = values[name]
+  const number = Number(value)
+  if (typeof value !== 'string' || isNaN(number)) {
+    throw new Error(`unable to parse --${name} as a number: ${value}`)
+  }
+  return number
+}
+
+/**
+ * parse a cli flag value as a number, if the flag is present
+ * @param {Record<string, string|boolean|string[]|undefined>} values - parsed cli flags
+ * @param {string} name - name of flag to parse
+ */
+function parseOptionalNumberFlag(values, name) {
+  return values[name] === undefined ? undefined : parseNumberFlag(values, name)
+}
+
+/**
+ * parse a number of bytes, optionally with a binary unit suffix, e.g. 1048576, 1MiB, 500GiB
+ * @param {string} value - flag value
+ */
+function parseByteSize(value) {
+  const match = value.trim().match(/^(\d+(?:\.\d+)?)\s*(|b|kib|mib|gib|tib)$/i)
+  if (!match) {
+    throw new Error(`unable to parse ${JSON.stringify(value)} as a number of bytes, e.g. 500GiB`)
+  }
+  const units = ['', 'b', 'kib', 'mib', 'gib', 'tib']
+  const power = Math.max(0, units.indexOf(match[2].toLowerCase()) - 1)
+  return Math.floor(Number(match[1]) * (1024 ** power))
+}
+
 /**
  * JSON.stringify replacer for progress of migration
  * @param {string} key - json property name
@@ -335,32 +898,45 @@ async function promptForSpace(w3upUrl) {
 /**
  * get a stream of w32023 uploads via
  * interactive prompts using inquirer
- * + old web3.storage client library
- * @returns {Promise<AsyncIterable<W32023Upload> & { length: Promise<number> }>} uploads
+ * from a source the user picks, e.g. old.web3.storage or a pinning service
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - for cancelling sources that get the car of each DAG
+ * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads already migrated, whose cars sources that get the car of each DAG won't get
+ * @returns {Promise<UploadsSource>} uploads
  */
-async function getUploadsFromPrompts() {
-  const oldW3sConfirmation = await confirm({
-    message: 'no uploads were piped in. Do you want to migrate uploads from old.web3.storage?',
-  })
-  let getTokenFn = getOldWeb3StorageToken
-  let getUploadsFn = getOldWeb3StorageUploads
-  if (!oldW3sConfirmation) {
-    const classicNftConfirmation = await confirm({
+async function getUploadsFromPrompts({ signal, migrated } = {}) {
+  /** @type {Array<{ message: string, getUploads: () => Promise<UploadsSource> }>} */
+  const sources = [
+    {
+      message: 'no uploads were piped in. Do you want to migrate uploads from old.web3.storage?',
+      getUploads: async () => getOldWeb3StorageUploads({ token: await getOldWeb3StorageToken() }),
+    },
+    {
       message: 'no uploads were piped in. Do you want to migrate uploads from classic-app.nft.storage?',
-    })
-    if (!classicNftConfirmation) {
-      throw new Error('unable to find a source of uploads to migrate')
+      getUploads: async () => getNftStorageClassicUploads({ token: await getClassicNftStorageToken() }),
+    },
+    {
+      message: 'no uploads were piped in. Do you want to migrate pins from pinata.cloud?',
+      getUploads: async () => getPinataUploads({ jwt: await getPinataJwt(), signal, migrated }),
+    },
+    {
+      message: 'no uploads were piped in. Do you want to migrate pins from an IPFS Pinning Service API?',
+      getUploads: async () => {
+        const endpoint = await input({ message: 'enter pinning service API endpoint' })
+        return getPinningServiceUploads({ endpoint, token: await getPinningServiceToken(), signal, migrated })
+      },
+    },
+  ]
+  for (const { message, getUploads } of sources) {
+    if (!await confirm({ message })) continue
+    try {
+      return await getUploads()
+    } catch (e) {
+      console.log(e)
+      process.exit(-1)
     }
-    getTokenFn = getClassicNftStorageToken
-    getUploadsFn = getNftStorageClassicUploads
-  }
-  const token = await getTokenFn()
-  try {
-    return getUploadsFn({token})
-  } catch (e) {
-    console.log(e)
-    process.exit(-1)
   }
+  throw new Error('unable to find a source of uploads to migrate')
 }
 
 /**
@@ -383,7 +959,6 @@ async function getOldWeb3StorageToken() {
 /**
  * get a stream of nft.storage uploads via
  * interactive prompts using inquirer
- *
  * @returns {Promise<string>} uploads
  */
 async function getClassicNftStorageToken() {
@@ -397,16 +972,356 @@ async function getClassicNftStorageToken() {
   }
 }
 
+/**
+ * get a pinata API JWT via
+ * interactive prompts using inquirer
+ * @returns {Promise<string>} JWT
+ */
+async function getPinataJwt() {
+  const envToken = process.env.PINATA_JWT
+  if (envToken && await confirm({ message: 'found PINATA_JWT in env. Use that?' })) {
+    return envToken
+  } else {
+    return await promptForPassword({
+      message: 'enter API JWT for pinata.cloud',
+    })
+  }
+}
+
+/**
+ * get a pinning service bearer token via
+ * interactive prompts using inquirer
+ * @returns {Promise<string>} token
+ */
+async function getPinningServiceToken() {
+  const envToken = process.env.PINNING_SERVICE_TOKEN
+  if (envToken && await confirm({ message: 'found PINNING_SERVICE_TOKEN in env. Use that?' })) {
+    return envToken
+  } else {
+    return await promptForPassword({
+      message: 'enter bearer token for pinning service',
+    })
+  }
+}
+
+/**
+ * cli for `migrate-to-w3up index` ...
+ * `migrate-to-w3up index pail` should put the uploads from UploadMigrationSuccess events in migration logs in a pail keyed by `created/name`,
+ *   then store the pail in the destination space, and log its root to stdout.
+ * `migrate-to-w3up index unixfs` should link uploads from UploadMigrationSuccess events in migration logs (or from a source, skipping any that failed)
+ *   in a UnixFS directory by `created name`, then store the directory in the destination space, and log a gateway URL of it to stdout.
+ * @param {string[]} args - command line arguments
+ */
+async function indexCli(...args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      log: {
+        type: 'string',
+        multiple: true,
+        help: 'path to migration log file. Uploads with an UploadMigrationSuccess event in the log will be indexed. With unixfs and a source of uploads, only uploads of the source that succeeded in the logs are indexed',
+      },
+      ...uploadsSourceOptions,
+      gateway: {
+        type: 'string',
+        help: 'with unixfs, IPFS gateway to print a URL of the directory on',
+        default: 'https://w3s.link',
+      },
+      space: {
+        type: 'string',
+        help: 'DID of space to store the index in, i.e. the destination space of the migration',
+      },
+      root: {
+        type: 'string',
+        help: 'root of an existing pail to add to, instead of creating a new one. Its blocks are fetched from --trustless-gateway',
+      },
+      'trustless-gateway': {
+        type: 'string',
+        help: 'trustless gateway to fetch the blocks of an existing --root from',
+        default: TRUSTLESS_GATEWAY,
+      },
+      w3up: {
+        type: 'string',
+        help: 'URL of w3up API to connect to',
+        default: 'https://up.web3.storage',
+      },
+      protocol: {
+        type: 'string',
+        help: "how to add the index to w3up: 'store' or 'blob'",
+        default: 'store',
+      },
+    },
+  })
+  const command = positionals[0]
+  switch (command) {
+    case 'pail': {
+      if (!values.log?.length) throw new Error(`provide at least one --log path of a migration log to index`)
+      if (!values.space) throw new Error(`provide --space to store the index in`)
+      const space = DID.match({ method: 'key' }).from(values.space)
+      const previous = values.root ? Link.parse(values.root) : undefined
+      const pail = await buildUploadNamesPail(readMigrationLogs(values.log), {
+        root: previous,
+        blocks: previous ? await fetchPail(previous, { gateway: new URL(values['trustless-gateway']) }) : undefined,
+      })
+      console.warn(`indexed ${pail.puts} uploads in pail ${pail.root}. storing it in space ${space}…`)
+      await storeIndexCar({
+        space,
+        root: pail.root,
+        car: () => pailCar(pail.root, pail.blocks),
+        w3upUrl: new URL(values.w3up),
+        protocol: parseProtocol(values.protocol),
+      })
+      console.log(JSON.stringify({
+        root: pail.root.toString(),
+        ...(previous ? { previous: previous.toString() } : {}),
+        puts: pail.puts,
+      }))
+      return
+    }
+    case 'unixfs': {
+      if (!values.space) throw new Error(`provide --space to store the index in`)
+      const space = DID.match({ method: 'key' }).from(values.space)
+      const fromSource = !values.log?.length || values['from-car-dir'] || values['from-kubo'] || values['from-pinning-service']
+      const directory = await buildUploadsDirectory(fromSource
+        ? successfulSourceUploads(await getUploadsSource(values, process.stdin.isTTY), values.log ?? [])
+        : successfulLogUploads(values.log ?? []))
+      console.warn(`linked ${directory.entries} uploads from directory ${directory.root}. storing it in space ${space}…`)
+      await storeIndexCar({
+        space,
+        root: directory.root,
+        car: () => directoryCar(directory.root, directory.blocks),
+        w3upUrl: new URL(values.w3up),
+        protocol: parseProtocol(values.protocol),
+      })
+      console.log(JSON.stringify({
+        root: directory.root.toString(),
+        entries: directory.entries,
+        url: new URL(`/ipfs/${directory.root}/`, values.gateway).toString(),
+      }))
+      return
+    }
+  }
+  throw new Error(`unknown index subcommand: ${command}. Try 'pail' or 'unixfs'`)
+}
+
+/**
+ * cli for `migrate-to-w3up export-files --out <dir>`.
+ * Reads uploads as ndjson from --from (or stdin), fetches every part of each from --ipfs gateways,
+ * and writes the files of the upload to `<out>/<upload root>`, logging each file written as ndjson to stdout.
+ * Lines of a migration log can be read too, in which case the uploads of UploadMigrationSuccess events are exported.
+ * Running it again with the same --out resumes it, skipping files already written.
+ * @param {string[]} args - command line arguments
+ */
+async function exportFilesCli(...args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      out: {
+        type: 'string',
+        help: 'directory to write files in',
+      },
+      from: {
+        type: 'string',
+        help: 'path to ndjson of uploads (or a migration log) to export. Defaults to stdin',
+        default: '/dev/stdin',
+      },
+      ipfs: {
+        type: 'string',
+        help: 'URL of IPFS gateway to fetch parts from. May be a comma-separated list of gateways (see --ipfs-strategy)',
+        default: defaultGateways.join(','),
+      },
+      'ipfs-strategy': {
+        type: 'string',
+        help: "how to use more than one --ipfs gateway: 'fallback' or 'race'",
+        default: 'fallback',
+      },
+    },
+  })
+  if (!values.out) throw new Error(`provide --out directory to write files in`)
+  const fetchPart = createPartFetcher({
+    gateways: parseGateways(values.ipfs),
+    strategy: parseGatewayStrategy(values['ipfs-strategy']),
+  })
+  for await (const line of readNDJSONStream(Readable.toWeb(createReadStream(values.from)))) {
+    if (line.upload && line.type !== 'UploadMigrationSuccess') continue
+    const upload = line.upload ?? line
+    try {
+      for await (const file of exportUploadFiles(upload, { out: values.out, fetchPart })) {
+        console.log(JSON.stringify(file))
+      }
+    } catch (error) {
+      process.exitCode = 1
+      console.log(JSON.stringify({ type: 'UploadExportFailure', upload: upload.cid, cause: error }, stringifyForMigrationProgressStdio))
+    }
+  }
+}
+
+/**
+ * cli for `migrate-to-w3up verify --space <did> [logfile...]`.
+ * Pages through upload/list, store/list, and blob/list of the space, then checks that every upload in the migration logs
+ * (or from a source, if no logs are passed) has its root in the space, has the expected shards, and that each shard is stored with the expected size.
+ * Logs an UploadVerified or UploadVerificationFailure event for each upload to stdout as ndjson,
+ * and exits with a non-zero status if any upload failed verification.
+ * @param {string[]} args - command line arguments
+ */
+async function verifyCli(...args) {
+  const { values, positionals: logfiles } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      ...uploadsSourceOptions,
+      space: {
+        type: 'string',
+        help: 'DID of space to verify, i.e. the destination space of the migration',
+      },
+      w3up: {
+        type: 'string',
+        help: 'URL of w3up API to connect to',
+        default: 'https://up.web3.storage',
+      },
+    },
+  })
+  if (!values.space) throw new Error(`provide --space to verify`)
+  const space = DID.match({ method: 'key' }).from(values.space)
+  const agent = await getDefaultW3upAgent(new URL(values.w3up))
+  console.warn(`listing uploads and stores in space ${space}…`)
+  const contents = await listDestinationContents({
+    issuer: agent.issuer,
+    w3up: agent.connection,
+    destination: new URL(space),
+    authorization: agent.proofs([
+      { can: 'upload/list', with: space },
+      { can: 'store/list', with: space },
+      { can: 'blob/list', with: space },
+    ]),
+  })
+  console.warn(`space has ${contents.uploads.size} uploads and ${contents.shards.size} stored shards`)
+  if (!contents.blobsListed) {
+    console.warn(`unable to list blobs in space ${space}, so shards added with blob/add will not be found`)
+  }
+  const source = logfiles.length ? undefined : await getUploadsSource(values, process.stdin.isTTY)
+  const expected = source ? expectSourceUploads(source) : expectMigrationLogUploads(readMigrationLogs(logfiles))
+  let verified = 0
+  let failed = 0
+  try {
+    for await (const upload of expected) {
+      const result = verifyUpload(upload, contents)
+      if (result instanceof UploadVerificationFailure) failed++
+      else verified++
+      console.log(JSON.stringify(result))
+      // only the upload is needed, not any car bytes the source spooled for it
+      if (source?.release) await source.release(upload.upload)
+    }
+  } finally {
+    await source?.close?.()
+  }
+  console.warn(`verified ${verified} uploads. ${failed} failed verification`)
+  if (failed) process.exitCode = 1
+}
+
+/**
+ * read the events of migration logs, one log after another
+ * @param {string[]} logfiles - paths of migration logs
+ */
+async function* readMigrationLogs(logfiles) {
+  for (const logfile of logfiles) {
+    yield* readNDJSONStream(Readable.toWeb(createReadStream(logfile)))
+  }
+}
+
+/**
+ * uploads of UploadMigrationSuccess events in migration logs
+ * @param {string[]} logfiles - paths of migration logs
+ */
+async function* successfulLogUploads(logfiles) {
+  for await (const event of readMigrationLogs(logfiles)) {
+    if (event.type === 'UploadMigrationSuccess' && event.upload) yield event.upload
+  }
+}
+
+/**
+ * uploads from a source, skipping any without an UploadMigrationSuccess event in migration logs, if there are any logs
+ * @param {UploadsSource} source - source of uploads
+ * @param {string[]} logfiles - paths of migration logs
+ */
+async function* successfulSourceUploads(source, logfiles) {
+  const migrated = new Set
+  for (const logfile of logfiles) {
+    for (const cid of await readMigratedUploadCidsFromNdjson(Readable.toWeb(createReadStream(logfile)))) {
+      migrated.add(cid)
+    }
+  }
+  try {
+    for await (const upload of source) {
+      // the source couldn't get this upload, so it can't have been migrated
+      if (upload instanceof UploadMigrationFailure) continue
+      if (!logfiles.length || migrated.has(upload.cid)) yield upload
+      // only the upload is needed, not any car bytes the source spooled for it
+      await source.release?.(upload)
+    }
+  } finally {
+    await source.close?.()
+  }
+}
+
+/**
+ * store the car of an index in a space, migrating it like an upload with one part
+ * @param {object} options - options
+ * @param {import("@web3-storage/access").SpaceDID} options.space - space to store index in
+ * @param {import('multiformats').UnknownLink} options.root - root of index
+ * @param {() => ReadableStream<Uint8Array>} options.car - get the car of the index
+ * @param {URL} options.w3upUrl - url of w3up API
+ * @param {import('../src/w32023-to-w3up.js').Protocol} options.protocol - how to add the car to w3up
+ */
+async function storeIndexCar({ space, root, car, w3upUrl, protocol }) {
+  const agent = await getDefaultW3upAgent(w3upUrl)
+  const source = spoolUploads((async function* () {
+    yield { upload: { cid: root.toString() }, car: async () => car() }
+  }()), { length: Promise.resolve(1) })
+  try {
+    const migration = migrate({
+      issuer: agent.issuer,
+      w3up: agent.connection,
+      source: Readable.toWeb(Readable.from(source)),
+      destination: new URL(space),
+      protocol,
+      receipts: new URL('/receipt/', w3upUrl),
+      fetchPart: source.fetchPart,
+      authorization: agent.proofs([
+        { can: protocol === 'blob' ? 'blob/add' : 'store/add', with: space },
+        { can: 'upload/add', with: space },
+        ...(protocol === 'blob' ? [/** @type {const} */ ({ can: 'index/add', with: space })] : []),
+      ]),
+    })
+    for await (const event of migration) {
+      if (event instanceof UploadMigrationFailure) {
+        console.warn(JSON.stringify(event, stringifyForMigrationProgressStdio, 2))
+        throw new Error(`failed to store index ${root} in space ${space}`)
+      }
+    }
+  } finally {
+    await source.close()
+  }
+}
+
 /**
  * cli for `migrate-to-w3up log ` ...
  * `migrate-to-w3up log uploads-from-failures` should extract uploads from UploadMigrationFailure events in the log
  *   and log them to stdout.
+ * `migrate-to-w3up log summarize` should report what happened in the migration, e.g. successes and failures by cause
  * @param {string[]} args - command line arguments
  */
 async function migrationLogCli(...args) {
   const { values, positionals } = parseArgs({
     args,
     allowPositionals: true,
+    options: {
+      json: {
+        type: 'boolean',
+        help: 'with summarize, print the summary as JSON',
+      },
+    },
   })
   const command = positionals[0]
   switch (command) {
@@ -420,6 +1335,13 @@ async function migrationLogCli(...args) {
       }
       return
     }
+    case 'summarize': {
+      const logfile = positionals[1]
+      if (!logfile) throw new Error(`provide a logfile path as larg arg`)
+      const summary = await summarizeMigrationLog(readNDJSONStream(Readable.toWeb(createReadStream(logfile))))
+      console.log(values.json ? JSON.stringify(summary, undefined, 2) : summary.toString())
+      return
+    }
   }
-  throw new Error(`unknown log subcommand: ${command}. Try 'get-uploads-from-failures'`)
+  throw new Error(`unknown log subcommand: ${command}. Try 'get-uploads-from-failures' or 'summarize'`)
 }
@@ -0,0 +1,79 @@
+/**
+ * @file sending many ucanto invocations in one request
+ */
+
+/**
+ * collects invocations and executes them together in one ucanto request,
+ * once there are `maxSize` of them or the first has waited `maxWait` milliseconds.
+ * Each invocation's receipt is resolved back to whoever executed it.
+ * If the request fails (e.g. HTTP error), every invocation in it is rejected with that error.
+ */
+export class InvocationBatcher {
+  /**
+   * @type {Array<{
+   *   invocation: import('@ucanto/interface').IssuedInvocation,
+   *   resolve: (receipt: any) => void,
+   *   reject: (error: unknown) => void,
+   * }>}
+   */
+  #pending = []
+  /** @type {ReturnType<typeof setTimeout>|undefined} */
+  #timeout
+
+  /**
+   * @param {object} options - options
+   * @param {import('@ucanto/interface').ConnectionView<any>} options.connection - connection to execute invocations on
+   * @param {number} [options.maxSize] - max invocations per request
+   * @param {number} [options.maxWait] - max milliseconds an invocation waits for others to batch with
+   */
+  constructor({ connection, maxSize = 10, maxWait = 50 }) {
+    if (!(maxSize >= 1)) {
+      throw new Error(`maxSize must be at least 1`)
+    }
+    this.maxSize = maxSize
+    this.maxWait = maxWait
+    this.unbatched = connection
+    /**
+     * connection like the one passed to the constructor, but whose invocations are batched,
+     * e.g. for `invocation.execute(batcher.connection)`
+     * @type {import('@ucanto/interface').ConnectionView<any>}
+     */
+    this.connection = Object.assign(Object.create(connection), {
+      /** @param {import('@ucanto/interface').IssuedInvocation[]} invocations - invocations to execute */
+      execute: (...invocations) => Promise.all(invocations.map(i => this.execute(i))),
+    })
+  }
+
+  /**
+   * execute an invocation in the next batch
+   * @param {import('@ucanto/interface').IssuedInvocation} invocation - invocation to execute
+   * @returns {Promise<import('@ucanto/interface').Receipt<any, any>>} receipt of the invocation
+   */
+  execute(invocation) {
+    return new Promise((resolve, reject) => {
+      this.#pending.push({ invocation, resolve, reject })
+      if (this.#pending.length >= this.maxSize) {
+        this.flush()
+      } else {
+        this.#timeout ??= setTimeout(() => this.flush(), this.maxWait)
+      }
+    })
+  }
+
+  /**
+   * execute all pending invocations now
+   */
+  async flush() {
+    clearTimeout(this.#timeout)
+    this.#timeout = undefined
+    const batch = this.#pending.splice(0, this.#pending.length)
+    if (!batch.length) return
+    try {
+      const invocations = /** @type {[any]} */ (batch.map(({ invocation }) => invocation))
+      const receipts = await this.unbatched.execute(...invocations)
+      batch.forEach(({ resolve }, i) => resolve(receipts[i]))
+    } catch (error) {
+      for (const { reject } of batch) reject(error)
+    }
+  }
+}
@@ -0,0 +1,171 @@
+/**
+ * @file following the effects of blob/add invocations, the protocol current w3up clients use to store bytes
+ * @see https://github.com/w3s-project/specs/blob/main/w3-blob.md
+ */
+
+import { Receipt } from '@ucanto/core'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { CAR } from '@ucanto/transport'
+import { Blob, HTTP, UCAN, W3sBlob } from '@web3-storage/capabilities'
+import { sleep } from './utils.js'
+
+/**
+ * a task from the effects of a blob/add receipt, and its receipt if the service already concluded it
+ * @typedef BlobAddEffect
+ * @property {import('@ucanto/interface').Invocation} task - task the service will (or did) run
+ * @property {import('@ucanto/interface').Receipt|undefined} receipt - receipt of task, if included in effects
+ */
+
+/**
+ * tasks that follow a blob/add
+ * @typedef BlobAddNext
+ * @property {BlobAddEffect} allocate - web3.storage/blob/allocate, whose receipt has the address to PUT the blob to, if it isn't already stored
+ * @property {BlobAddEffect} put - http/put of the blob bytes, which the client concludes once it has done the PUT
+ * @property {BlobAddEffect} accept - web3.storage/blob/accept, which the service runs once it has the blob
+ */
+
+/**
+ * create a blob/add invocation for a blob with a multihash
+ * @param {object} options - options
+ * @param {import('@ucanto/interface').Signer} options.issuer - issuer of invocation
+ * @param {import('@ucanto/interface').Principal} options.audience - w3up service
+ * @param {import('@ucanto/interface').Proof[]} [options.proofs] - authorization to add blobs to the space
+ * @param {import('@web3-storage/capabilities/types').SpaceDID} options.space - space to add blob to
+ * @param {import('multiformats').MultihashDigest} options.digest - multihash of blob bytes
+ * @param {number} options.size - size of blob in bytes
+ */
+export function invokeBlobAdd({ issuer, audience, proofs, space, digest, size }) {
+  return Blob.add.invoke({
+    issuer,
+    audience,
+    proofs,
+    with: space,
+    nb: {
+      blob: {
+        digest: digest.bytes,
+        size,
+      },
+    },
+  })
+}
+
+/**
+ * find the allocate, put, and accept tasks in the effects of a blob/add receipt,
+ * along with any receipts for them concluded in the same effects.
+ * @param {import('@ucanto/interface').Receipt} receipt - successful blob/add receipt
+ * @returns {BlobAddNext} tasks that follow the blob/add
+ */
+export function parseBlobAddReceiptNext(receipt) {
+  const forks = /** @type {import('@ucanto/interface').Invocation[]} */ (receipt.fx.fork)
+  /** @param {string} can - ability of task */
+  const find = (can) => {
+    const task = forks.find(f => f.capabilities[0].can === can)
+    if (!task) {
+      throw new Error(`${can} task not found in blob/add receipt effects`)
+    }
+    return task
+  }
+  const allocate = find(W3sBlob.allocate.can)
+  const put = find(HTTP.put.can)
+  const accept = find(W3sBlob.accept.can)
+  const concluded = forks.filter(f => f.capabilities[0].can === UCAN.conclude.can).map(getConcludedReceipt)
+  /** @param {import('@ucanto/interface').Invocation} task - task to find receipt of */
+  const receiptOf = (task) => concluded.find(r => r.ran.link().equals(task.link()))
+  return {
+    allocate: { task: allocate, receipt: receiptOf(allocate) },
+    put: { task: put, receipt: receiptOf(put) },
+    accept: { task: accept, receipt: receiptOf(accept) },
+  }
+}
+
+/**
+ * @param {import('@ucanto/interface').Invocation} conclude - ucan/conclude invocation with receipt blocks attached
+ * @returns {import('@ucanto/interface').Receipt} receipt the invocation concludes
+ */
+function getConcludedReceipt(conclude) {
+  const blocks = new Map
+  for (const block of conclude.iterateIPLDBlocks()) {
+    blocks.set(`${block.cid}`, block)
+  }
+  const { nb } = /** @type {{ nb: { receipt: import('@ucanto/interface').Link } }} */ (conclude.capabilities[0])
+  return /** @type {import('@ucanto/interface').Receipt} */ (Receipt.view({ root: nb.receipt, blocks }))
+}
+
+/**
+ * create a ucan/conclude invocation with a receipt for the http/put task of a blob/add,
+ * saying the blob bytes have been sent.
+ * The receipt is issued by the key in the facts of the put task, as the service expects.
+ * @param {object} options - options
+ * @param {import('@ucanto/interface').Signer} options.issuer - issuer of ucan/conclude invocation
+ * @param {import('@ucanto/interface').Principal} options.audience - w3up service
+ * @param {import('@ucanto/interface').Invocation} options.put - http/put task from blob/add effects
+ */
+export async function invokeConcludeHttpPut({ issuer, audience, put }) {
+  const keys = /** @type {any} */ (put.facts[0]?.keys)
+  if (!keys) {
+    throw new Error(`http/put task has no keys to issue its receipt with`)
+  }
+  const receipt = await Receipt.issue({
+    issuer: ed25519.from(keys),
+    ran: put.link(),
+    result: { ok: {} },
+  })
+  const blocks = [...receipt.iterateIPLDBlocks()]
+  const conclude = UCAN.conclude.invoke({
+    issuer,
+    audience,
+    with: issuer.did(),
+    nb: { receipt: receipt.link() },
+    expiration: Infinity,
+    // only blocks linked from the invocation can be attached to it
+    facts: [{ ...blocks.map(b => b.cid) }],
+  })
+  for (const block of blocks) {
+    conclude.attach(block)
+  }
+  return conclude
+}
+
+/**
+ * get the receipt of a task from a w3up receipts endpoint, e.g. https://up.web3.storage/receipt/
+ * @param {import('@ucanto/interface').UCANLink} task - task to get receipt of
+ * @param {object} options - options
+ * @param {URL} options.endpoint - receipts endpoint
+ * @param {AbortSignal} [options.signal] - for cancelling the request
+ * @returns {Promise<import('@ucanto/interface').Receipt|undefined>} receipt, or undefined if there isn't one yet
+ */
+export async function fetchReceipt(task, { endpoint, signal }) {
+  const response = await fetch(new URL(task.toString(), endpoint), { signal })
+  if (response.status === 404) {
+    await response.body?.cancel()
+    return
+  }
+  if (!response.ok) {
+    throw new Error(`unexpected response status ${response.status} fetching receipt for ${task}`)
+  }
+  const message = await CAR.request.decode({
+    body: new Uint8Array(await response.arrayBuffer()),
+    headers: {},
+  })
+  return message.receipts.get(/** @type {import('@ucanto/interface').ToString<import('@ucanto/interface').UCANLink>} */ (task.toString()))
+}
+
+/**
+ * wait for a task to have a receipt, checking a receipts endpoint every `interval` milliseconds
+ * @param {import('@ucanto/interface').UCANLink} task - task to get receipt of
+ * @param {object} options - options
+ * @param {URL} options.endpoint - receipts endpoint
+ * @param {number} [options.interval] - milliseconds between checks
+ * @param {number} [options.attempts] - max number of checks
+ * @param {AbortSignal} [options.signal] - for cancelling
+ */
+export async function pollReceipt(task, { endpoint, interval = 1000, attempts = 10, signal }) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const receipt = await fetchReceipt(task, { endpoint, signal })
+    if (receipt) return receipt
+    if (attempt < attempts) {
+      await sleep(interval, signal)
+    }
+  }
+  throw new Error(`no receipt for ${task} after ${attempts} attempts`)
+}
@@ -0,0 +1,109 @@
+/**
+ * @file building the sharded DAG index of an upload added with blob/add, which current w3up clients add with index/add so the blocks of the upload can be found in its shards
+ * @see https://github.com/w3s-project/specs/blob/main/w3-index.md
+ */
+
+import { CAR, CBOR } from '@ucanto/core'
+import { CARReaderStream } from 'carstream/reader'
+import { compare } from 'uint8arrays'
+
+/**
+ * where the bytes of a block are in the shard that has it
+ * @typedef BlockPosition
+ * @property {import('multiformats').MultihashDigest} multihash - multihash of block
+ * @property {number} offset - offset of the block bytes from the start of the shard
+ * @property {number} length - number of block bytes
+ */
+
+/**
+ * size of a shard and where each of its blocks is in it
+ * @typedef ShardSlices
+ * @property {number} size - number of bytes in the shard
+ * @property {BlockPosition[]} blocks - position of each block in the shard, in the order they are in it
+ */
+
+/**
+ * transformer that passes car bytes through unchanged,
+ * reading where each block is in them as they stream.
+ * The stream errors if the bytes aren't a valid car.
+ * The positions are `slices` once the stream has flushed.
+ * @example `response.body.pipeThrough(new TransformStream(indexer))`
+ */
+export class ShardIndexer {
+  #size = 0
+  /** @type {WritableStreamDefaultWriter<Uint8Array>} */
+  #writer
+  /** @type {Promise<BlockPosition[]>} */
+  #read
+  /**
+   * size of the shard and position of each block in it, once all its bytes have been written
+   * @type {ShardSlices|undefined}
+   */
+  slices
+
+  constructor() {
+    const reader = new CARReaderStream
+    this.#writer = reader.writable.getWriter()
+    const blocks = reader.readable.getReader()
+    this.#read = (async () => {
+      /** @type {BlockPosition[]} */
+      const positions = []
+      for (let read = await blocks.read(); !read.done; read = await blocks.read()) {
+        const { cid, blockOffset, blockLength } = read.value
+        positions.push({ multihash: cid.multihash, offset: blockOffset, length: blockLength })
+      }
+      return positions
+    })()
+    // writing fails too if reading does, so don't let this go unhandled in the meantime
+    this.#read.catch(() => {})
+  }
+
+  /**
+   * @param {Uint8Array} chunk - car bytes
+   * @param {TransformStreamDefaultController<Uint8Array>} controller - stream controller
+   */
+  async transform(chunk, controller) {
+    this.#size += chunk.byteLength
+    await this.#writer.write(chunk)
+    controller.enqueue(chunk)
+  }
+
+  async flush() {
+    await this.#writer.close()
+    this.slices = { size: this.#size, blocks: await this.#read }
+  }
+}
+
+/**
+ * encode the sharded DAG index of an upload as a car, to be added as a blob and registered with index/add.
+ * Shards and their blocks are sorted by multihash, so the same upload always has the same index.
+ * @param {import('multiformats').UnknownLink} content - root of the upload
+ * @param {Array<ShardSlices & { multihash: import('multiformats').MultihashDigest }>} shards - each shard of the upload, with where its blocks are in it
+ * @returns {Promise<{ bytes: Uint8Array, link: import('@ucanto/interface').Link<unknown, typeof CAR.code> }>} car bytes of the index, and their CAR CID
+ */
+export async function encodeShardedDagIndex(content, shards) {
+  /**
+   * @param {{ multihash: import('multiformats').MultihashDigest }} a - shard or block
+   * @param {{ multihash: import('multiformats').MultihashDigest }} b - shard or block
+   */
+  const byMultihash = (a, b) => compare(a.multihash.bytes, b.multihash.bytes)
+  const indexes = await Promise.all([...shards].sort(byMultihash).map(shard => {
+    // the shard itself is a slice of the shard too, as current w3up clients index it
+    const slices = [{ multihash: shard.multihash, offset: 0, length: shard.size }, ...shard.blocks].sort(byMultihash)
+    return CBOR.write([
+      shard.multihash.bytes,
+      slices.map(slice => [slice.multihash.bytes, [slice.offset, slice.length]]),
+    ])
+  }))
+  const root = await CBOR.write({
+    'index/sharded/dag@0.1': {
+      content,
+      shards: indexes.map(index => index.cid),
+    },
+  })
+  const bytes = CAR.encode({
+    roots: [root],
+    blocks: new Map(indexes.map(index => [index.cid.toString(), index])),
+  })
+  return { bytes, link: await CAR.link(bytes) }
+}
@@ -0,0 +1,48 @@
+/**
+ * @file w3up capabilities this migration invokes that the version of @web3-storage/capabilities it depends on doesn't define yet.
+ * Each is defined like the later versions of @web3-storage/capabilities that still named blob capabilities `blob/*`, like the `blob/add` this version defines.
+ */
+
+import { DID, Failure, Schema, capability } from '@ucanto/validator'
+
+const SpaceDID = DID.match({ method: 'key' })
+
+/**
+ * a capability on a space can be derived from a delegation of it on the same space
+ * @param {import('@ucanto/interface').ParsedCapability} claimed - capability being claimed
+ * @param {import('@ucanto/interface').ParsedCapability} delegated - capability it was delegated by
+ * @returns {import('@ucanto/interface').Result<{}, import('@ucanto/interface').Failure>} whether it can be derived
+ */
+function equalWith(claimed, delegated) {
+  return claimed.with === delegated.with
+    ? { ok: {} }
+    : { error: new Failure(`Expected 'with: "${delegated.with}"' instead got '${claimed.with}'`) }
+}
+
+/**
+ * `blob/list` lists the blobs stored in a space, e.g. those added with blob/add, which store/list doesn't include.
+ * Each result is `{ blob: { digest, size }, insertedAt }`.
+ */
+export const BlobList = capability({
+  can: 'blob/list',
+  with: SpaceDID,
+  nb: Schema.struct({
+    cursor: Schema.string().optional(),
+    size: Schema.integer().optional(),
+  }),
+  derives: equalWith,
+})
+
+/**
+ * `index/add` registers the sharded DAG index of an upload, a car that was added as a blob to the space first,
+ * so the blocks of the upload can be found in its shards.
+ * @see https://github.com/w3s-project/specs/blob/main/w3-index.md
+ */
+export const IndexAdd = capability({
+  can: 'index/add',
+  with: SpaceDID,
+  nb: Schema.struct({
+    index: Schema.link({ version: 1 }),
+  }),
+  derives: equalWith,
+})
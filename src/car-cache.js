@@ -0,0 +1,221 @@
+/**
+ * @file content-addressed directory of fetched car parts, so they don't need to be fetched again
+ */
+
+import { createHash } from 'node:crypto'
+import fs from 'node:fs/promises'
+import { join } from 'node:path'
+import { equals } from 'uint8arrays'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { carFileResponse } from './car-spool.js'
+import { stringToCarCid } from './utils.js'
+
+/**
+ * directory of car files keyed by CAR CID, that keeps the bytes of parts as they are fetched.
+ * Unlike CarSpool, the directory is not temporary, so later runs can use parts fetched by earlier ones.
+ * When the cached bytes exceed maxBytes, the least recently used cars are evicted.
+ * Recency is the mtime of each car file, so it survives across runs.
+ */
+export class CarCache {
+  /**
+   * @type {Promise<Map<string, { size: number, used: number }>>|undefined}
+   * map of CAR CID to size and last use of each cached car
+   */
+  #index
+
+  /**
+   * @param {object} options - options
+   * @param {string} options.dir - directory to cache cars in. created if it does not exist
+   * @param {number} [options.maxBytes] - max total size of cached cars
+   */
+  constructor({ dir, maxBytes = Infinity }) {
+    this.dir = dir
+    this.maxBytes = maxBytes
+  }
+
+  #load() {
+    this.#index ??= (async () => {
+      await fs.mkdir(this.dir, { recursive: true })
+      const index = new Map
+      for (const name of await fs.readdir(this.dir)) {
+        if (!name.endsWith('.car')) continue
+        const stat = await fs.stat(join(this.dir, name))
+        index.set(name.slice(0, -'.car'.length), { size: stat.size, used: stat.mtimeMs })
+      }
+      return index
+    })()
+    return this.#index
+  }
+
+  /**
+   * @param {string} cid - CAR CID
+   */
+  #path(cid) {
+    return join(this.dir, `${cid}.car`)
+  }
+
+  /**
+   * total size of cached cars
+   */
+  async size() {
+    let size = 0
+    for (const { size: carSize } of (await this.#load()).values()) {
+      size += carSize
+    }
+    return size
+  }
+
+  /**
+   * @param {string} cid - CAR CID
+   */
+  async has(cid) {
+    return (await this.#load()).has(stringToCarCid(cid).toString())
+  }
+
+  /**
+   * get a cached car as a Response with a content-length header,
+   * like a gateway would respond to a request for the CAR CID.
+   * @param {string} cid - CAR CID
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling reading the response body
+   * @returns {Promise<Response|undefined>} response, or undefined if the car is not cached
+   */
+  async get(cid, { signal } = {}) {
+    const key = stringToCarCid(cid).toString()
+    const index = await this.#load()
+    const cached = index.get(key)
+    if (!cached) return
+    const now = Date.now()
+    cached.used = now
+    try {
+      await fs.utimes(this.#path(key), now / 1000, now / 1000)
+    } catch (error) {
+      // evicted by another process
+      index.delete(key)
+      return
+    }
+    return carFileResponse(this.#path(key), cached.size, { signal })
+  }
+
+  /**
+   * wrap a fetchPart function so parts are read from the cache if they are in it,
+   * and otherwise fetched and written to the cache as the response body is read.
+   * A fetched part is only added to the cache if its whole body is read,
+   * and its bytes match the content-length and the sha256 multihash of the part CID.
+   * @param {(cid: string, options: { signal?: AbortSignal }) => Promise<Response>} fetchPart - fetch a part, e.g. from a gateway
+   * @returns {(cid: string, options?: { signal?: AbortSignal }) => Promise<Response>} fetchPart that uses the cache
+   */
+  wrap(fetchPart) {
+    return async (cid, { signal } = {}) => {
+      const cached = await this.get(cid, { signal })
+      if (cached) return cached
+      const response = await fetchPart(cid, { signal })
+      return await this.#tee(cid, response)
+    }
+  }
+
+  /**
+   * respond with the bytes of a fetched part, writing them to the cache as they are read.
+   * The cache file is only opened once the body is first read, so a body that is never read leaves nothing behind.
+   * If writing to the cache fails (e.g. the disk is full), the part just isn't cached, and the body is still read from the response.
+   * @param {string} cid - CAR CID
+   * @param {Response} response - response with part bytes
+   */
+  async #tee(cid, response) {
+    const link = stringToCarCid(cid)
+    const size = parseInt(response.headers.get('content-length') ?? '', 10)
+    if (!response.ok || !response.body || !(size > 0) || size > this.maxBytes || link.multihash.code !== sha256.code) {
+      return response
+    }
+    await this.#load()
+    const key = link.toString()
+    const tmp = join(this.dir, `.${key}-${Date.now()}-${Math.random().toString().slice(2)}.tmp`)
+    /** @type {import('node:fs/promises').FileHandle|undefined} */
+    let file
+    // false once the part can't be cached, e.g. because a write failed
+    let caching = true
+    const hash = createHash('sha256')
+    let written = 0
+    const discard = async () => {
+      caching = false
+      await file?.close().catch(() => {})
+      await fs.rm(tmp, { force: true }).catch(() => {})
+    }
+    /**
+     * @param {Uint8Array} chunk - next bytes of part
+     */
+    const cache = async (chunk) => {
+      if (!caching) return
+      try {
+        file ??= await fs.open(tmp, 'w')
+        await file.write(chunk)
+      } catch (error) {
+        await discard()
+      }
+    }
+    const finish = async () => {
+      if (!caching || !file) return
+      try {
+        await file.close()
+        if (written === size && equals(hash.digest(), link.multihash.digest)) {
+          await this.#add(key, tmp, size)
+        } else {
+          await fs.rm(tmp, { force: true })
+        }
+      } catch (error) {
+        await discard()
+      }
+    }
+    const reader = response.body.getReader()
+    // with no highWaterMark, the response is only read as the body is, so nothing is cached for a body that is never read
+    const body = new ReadableStream({
+      pull: async (controller) => {
+        let result
+        try {
+          result = await reader.read()
+        } catch (error) {
+          await discard()
+          throw error
+        }
+        if (result.done) {
+          await finish()
+          controller.close()
+          return
+        }
+        hash.update(result.value)
+        written += result.value.byteLength
+        await cache(result.value)
+        controller.enqueue(result.value)
+      },
+      cancel: async (reason) => {
+        await discard()
+        await reader.cancel(reason)
+      },
+    }, { highWaterMark: 0 })
+    return new Response(body, {
+      status: response.status,
+      headers: response.headers,
+    })
+  }
+
+  /**
+   * move a fully written car into the cache, then evict least recently used cars until under maxBytes
+   * @param {string} cid - CAR CID
+   * @param {string} tmp - path to written car
+   * @param {number} size - size of car
+   */
+  async #add(cid, tmp, size) {
+    const index = await this.#load()
+    await fs.rename(tmp, this.#path(cid))
+    index.set(cid, { size, used: Date.now() })
+    let total = await this.size()
+    const leastRecentlyUsed = [...index].sort(([, a], [, b]) => a.used - b.used)
+    for (const [evict, { size: evictSize }] of leastRecentlyUsed) {
+      if (total <= this.maxBytes) break
+      if (evict === cid) continue
+      index.delete(evict)
+      await fs.rm(this.#path(evict), { force: true })
+      total -= evictSize
+    }
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * @file migration source of .car files in a local directory
+ */
+
+import { createHash } from 'node:crypto'
+import { createReadStream } from 'node:fs'
+import fs from 'node:fs/promises'
+import { join, relative } from 'node:path'
+import { CarCIDIterator } from '@ipld/car'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as Digest from 'multiformats/hashes/digest'
+import { W32023Upload } from './w32023.js'
+import { CAR_CODE } from './utils.js'
+import { carFileResponse } from './car-spool.js'
+import { UploadMigrationFailure } from './w3up-migration.js'
+
+/**
+ * get a stream of w32023 uploads from the .car files in a directory.
+ * Each root in the header of each car file becomes an upload whose single part is the car file.
+ * A car file that can't be read (e.g. its header is truncated) or has no roots is yielded as an UploadMigrationFailure, and the rest are still read.
+ * There's no root to be its upload, so its upload has the CAR CID of the file (if it could be hashed) as cid, and no parts.
+ * `length` is the number of uploads, so it reads the header of every car file.
+ * The returned `fetchPart` reads the part from disk.
+ * @param {object} options - options
+ * @param {string} options.dir - directory of car files
+ * @param {boolean} [options.recursive] - whether to include car files in subdirectories
+ * @returns {AsyncIterable<W32023Upload|UploadMigrationFailure<W32023Upload>> & {
+ *   length: Promise<number>,
+ *   fetchPart: (part: string, options?: { signal?: AbortSignal }) => Promise<Response>,
+ * }} uploads
+ */
+export function getUploads({ dir, recursive = false }) {
+  /**
+   * map of car CID to car file
+   * @type {Map<string, { path: string, size: number }>}
+   */
+  const parts = new Map
+  const uploads = (async function* () {
+    for await (const path of walkCarFiles(dir, recursive)) {
+      /** @type {string|undefined} */
+      let part
+      let stat
+      let roots
+      try {
+        stat = await fs.stat(path)
+        part = await carFileCid(path)
+        roots = await carFileRoots(path)
+        if (roots.length === 0) {
+          throw new Error(`car file has no roots: ${path}`)
+        }
+      } catch (error) {
+        const now = new Date().toISOString()
+        /** @type {UploadMigrationFailure<W32023Upload>} */
+        const failure = new UploadMigrationFailure
+        failure.cause = error
+        failure.upload = W32023Upload.from({
+          _id: relative(dir, path),
+          type: 'Car',
+          name: relative(dir, path),
+          created: stat?.mtime.toISOString() ?? now,
+          updated: stat?.mtime.toISOString() ?? now,
+          cid: part ?? '',
+          dagSize: stat?.size ?? 0,
+          pins: [],
+          parts: [],
+          deals: [],
+        })
+        failure.parts = new Map
+        yield failure
+        continue
+      }
+      parts.set(part, { path, size: stat.size })
+      for (const root of roots) {
+        yield W32023Upload.from({
+          _id: relative(dir, path),
+          type: 'Car',
+          name: relative(dir, path),
+          created: stat.mtime.toISOString(),
+          updated: stat.mtime.toISOString(),
+          cid: root.toString(),
+          dagSize: stat.size,
+          pins: [],
+          parts: [part],
+          deals: [],
+        })
+      }
+    }
+  }())
+  return Object.assign(uploads, {
+    length: (async () => {
+      let count = 0
+      for await (const path of walkCarFiles(dir, recursive)) {
+        // a car file whose roots can't be read is still one upload, as a failure
+        const roots = await carFileRoots(path).catch(() => [])
+        count += roots.length || 1
+      }
+      return count
+    })(),
+    /**
+     * @param {string} part - CAR CID of part
+     * @param {{ signal?: AbortSignal }} [options] - options
+     */
+    fetchPart: async (part, options) => {
+      const file = parts.get(part)
+      if (!file) {
+        return new Response(`car ${part} is not in ${dir}`, { status: 404 })
+      }
+      return carFileResponse(file.path, file.size, options)
+    },
+  })
+}
+
+/**
+ * yield paths to .car files in a directory, in name order
+ * @param {string} dir - directory to walk
+ * @param {boolean} recursive - whether to walk subdirectories
+ * @returns {AsyncIterable<string>} paths to car files
+ */
+async function* walkCarFiles(dir, recursive) {
+  const entries = await fs.readdir(dir, { withFileTypes: true })
+  entries.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+  for (const entry of entries) {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) {
+      if (recursive) yield* walkCarFiles(path, recursive)
+    } else if (entry.isFile() && entry.name.endsWith('.car')) {
+      yield path
+    }
+  }
+}
+
+/**
+ * hash a car file to get its CAR CID
+ * @param {string} path - path to car file
+ */
+async function carFileCid(path) {
+  const hash = createHash('sha256')
+  for await (const chunk of createReadStream(path)) {
+    hash.update(chunk)
+  }
+  return Link.create(CAR_CODE, Digest.create(sha256.code, hash.digest())).toString()
+}
+
+/**
+ * read the roots from the header of a car file
+ * @param {string} path - path to car file
+ */
+async function carFileRoots(path) {
+  const stream = createReadStream(path)
+  try {
+    const cids = await CarCIDIterator.fromIterable(stream)
+    return await cids.getRoots()
+  } catch (error) {
+    throw Object.assign(new Error(`unable to read car header of ${path}`), { cause: error })
+  } finally {
+    stream.destroy()
+  }
+}
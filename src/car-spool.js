@@ -0,0 +1,393 @@
+/**
+ * @file spooling car bytes to temporary files so they can be hashed before they are migrated
+ */
+
+import { createHash } from 'node:crypto'
+import { createReadStream, createWriteStream } from 'node:fs'
+import fs from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as Digest from 'multiformats/hashes/digest'
+import { CARReaderStream } from 'carstream/reader'
+import { CAR_CODE } from './utils.js'
+import { W32023Upload } from './w32023.js'
+import { UnexpectedResponseError, UploadMigrationFailure } from './w3up-migration.js'
+import { VerifyCarBlocks } from './integrity.js'
+
+/** trustless gateway that sources without car bytes of their own can fetch them from */
+export const TRUSTLESS_GATEWAY = 'https://trustless-gateway.link'
+
+/**
+ * a car spooled to a file
+ * @typedef SpooledCar
+ * @property {string} cid - CAR CID of the bytes
+ * @property {number} size - number of bytes
+ * @property {string} path - path to file with the bytes
+ */
+
+/**
+ * temporary directory of car files, keyed by CAR CID.
+ * Useful when a migration source can provide car bytes, but not their CID or size,
+ * both of which are needed before the bytes can be added to w3up.
+ */
+export class CarSpool {
+  /** @type {Promise<string>|undefined} */
+  #dir
+  /** @type {Map<string, SpooledCar>} */
+  #cars = new Map
+  /**
+   * map of CAR CID to number of times it has been added but not deleted
+   * @type {Map<string, number>}
+   */
+  #refs = new Map
+
+  #directory() {
+    this.#dir ??= fs.mkdtemp(join(tmpdir(), 'migrate-to-w3up-'))
+    return this.#dir
+  }
+
+  /**
+   * write car bytes to a file, hashing them as they are written
+   * @param {AsyncIterable<Uint8Array>|ReadableStream<Uint8Array>} car - car bytes
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling the write
+   * @returns {Promise<SpooledCar>} spooled car
+   */
+  async add(car, { signal } = {}) {
+    const dir = await this.#directory()
+    const tmp = join(dir, `${Date.now()}-${Math.random().toString().slice(2)}.tmp`)
+    const hash = createHash('sha256')
+    let size = 0
+    const source = 'getReader' in car ? Readable.fromWeb(/** @type {import('node:stream/web').ReadableStream} */ (car)) : Readable.from(car)
+    try {
+      await pipeline(
+        source,
+        async function* (chunks) {
+          for await (const chunk of chunks) {
+            hash.update(chunk)
+            size += chunk.byteLength
+            yield chunk
+          }
+        },
+        createWriteStream(tmp),
+        { signal },
+      )
+    } catch (error) {
+      await fs.rm(tmp, { force: true })
+      throw error
+    }
+    const cid = Link.create(CAR_CODE, Digest.create(sha256.code, hash.digest())).toString()
+    const path = join(dir, `${cid}.car`)
+    await fs.rename(tmp, path)
+    const spooled = { cid, size, path }
+    this.#cars.set(cid, spooled)
+    this.#refs.set(cid, (this.#refs.get(cid) ?? 0) + 1)
+    return spooled
+  }
+
+  /**
+   * @param {string} cid - CAR CID
+   */
+  has(cid) {
+    return this.#cars.has(cid)
+  }
+
+  /**
+   * get a spooled car as a Response with a content-length header,
+   * like a gateway would respond to a request for the CAR CID.
+   * @param {string} cid - CAR CID
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling reading the response body
+   */
+  response(cid, { signal } = {}) {
+    const spooled = this.#cars.get(cid)
+    if (!spooled) {
+      return new Response(`car ${cid} is not spooled`, { status: 404 })
+    }
+    return carFileResponse(spooled.path, spooled.size, { signal })
+  }
+
+  /**
+   * delete a spooled car, e.g. once it has been migrated.
+   * If the same car was added more than once, it is only deleted once every addition has been deleted.
+   * @param {string} cid - CAR CID
+   */
+  async delete(cid) {
+    const spooled = this.#cars.get(cid)
+    if (!spooled) return
+    const refs = (this.#refs.get(cid) ?? 1) - 1
+    if (refs > 0) {
+      this.#refs.set(cid, refs)
+      return
+    }
+    this.#refs.delete(cid)
+    this.#cars.delete(cid)
+    await fs.rm(spooled.path, { force: true })
+  }
+
+  /**
+   * delete every spooled car and the spool directory
+   */
+  async close() {
+    this.#cars.clear()
+    this.#refs.clear()
+    if (this.#dir) {
+      await fs.rm(await this.#dir, { recursive: true, force: true })
+      this.#dir = undefined
+    }
+  }
+}
+
+/**
+ * get a car file as a Response with a content-length header,
+ * like a gateway would respond to a request for the CAR CID.
+ * @param {string} path - path to car file
+ * @param {number} size - size of car file in bytes
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - for cancelling reading the response body
+ */
+export function carFileResponse(path, size, { signal } = {}) {
+  const body = /** @type {ReadableStream<Uint8Array>} */ (Readable.toWeb(createReadStream(path, { signal })))
+  return new Response(body, {
+    headers: {
+      'content-length': String(size),
+      'content-type': 'application/vnd.ipld.car',
+    },
+  })
+}
+
+/** parts without a content-length up to this many bytes are measured in memory instead of in a spool file */
+export const DEFAULT_MAX_BUFFERED_PART_BYTES = 8 * 1024 * 1024
+
+/**
+ * part bytes that have been read in full to measure their size and hash,
+ * so they can be read again as often as needed (e.g. to retry sending them)
+ * @typedef MeasuredPart
+ * @property {string} cid - CAR CID of the bytes, with a sha256 multihash
+ * @property {number} size - number of bytes
+ * @property {(options?: { signal?: AbortSignal }) => Response} response - get the bytes as a Response with a content-length header
+ * @property {() => Promise<void>} release - forget the bytes, e.g. deleting their spool file
+ */
+
+/**
+ * measure the size and hash of a part response that has no content-length,
+ * e.g. because a gateway used chunked transfer encoding.
+ * Bodies up to `maxBufferBytes` are kept in memory, and bigger ones are spooled to a file.
+ * @param {Response} response - part response
+ * @param {object} [options] - options
+ * @param {CarSpool} [options.spool] - where to spool bodies too big for memory. Defaults to a spool of its own, which is closed on release
+ * @param {number} [options.maxBufferBytes] - keep bodies up to this many bytes in memory
+ * @param {AbortSignal} [options.signal] - for cancelling reading the body
+ * @returns {Promise<MeasuredPart>} measured part
+ */
+export async function measurePartResponse(response, { spool, maxBufferBytes = DEFAULT_MAX_BUFFERED_PART_BYTES, signal } = {}) {
+  if (!response.body) {
+    throw new Error(`part response has no body to measure`)
+  }
+  const reader = response.body.getReader()
+  /** @type {Uint8Array[]} */
+  const chunks = []
+  let size = 0
+  let done = false
+  try {
+    while (!done && size <= maxBufferBytes) {
+      signal?.throwIfAborted()
+      const read = await reader.read()
+      if (read.value) {
+        chunks.push(read.value)
+        size += read.value.byteLength
+      }
+      done = read.done
+    }
+  } catch (error) {
+    reader.cancel(error).catch(() => {})
+    throw error
+  }
+  if (done) {
+    const hash = createHash('sha256')
+    for (const chunk of chunks) hash.update(chunk)
+    const cid = Link.create(CAR_CODE, Digest.create(sha256.code, hash.digest())).toString()
+    const bytes = new Blob(/** @type {BlobPart[]} */ (chunks))
+    return {
+      cid,
+      size,
+      response: () => new Response(bytes, {
+        headers: {
+          'content-length': String(size),
+          'content-type': 'application/vnd.ipld.car',
+        },
+      }),
+      release: async () => {},
+    }
+  }
+  // too big to keep in memory, so spool what was read and the rest
+  const rest = async function* () {
+    yield* chunks
+    for (let read = await reader.read(); !read.done; read = await reader.read()) {
+      yield read.value
+    }
+  }
+  const partSpool = spool ?? new CarSpool
+  let spooled
+  try {
+    spooled = await partSpool.add(rest(), { signal })
+  } catch (error) {
+    reader.cancel(error).catch(() => {})
+    if (!spool) await partSpool.close()
+    throw error
+  }
+  return {
+    cid: spooled.cid,
+    size: spooled.size,
+    response: (options) => partSpool.response(spooled.cid, options),
+    release: () => spool ? spool.delete(spooled.cid) : partSpool.close(),
+  }
+}
+
+/**
+ * a DAG that can be exported as a car, e.g. a pinned root
+ * @typedef SpoolableDag
+ * @property {Partial<Omit<W32023Upload, 'parts'>> & { cid: string, [key: string]: unknown }} upload - fields of the upload for the DAG. cid is the DAG root. Other fields are kept on the upload, e.g. to be in the migration log
+ * @property {(options?: { signal?: AbortSignal }) => Promise<ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>>} car - get the car bytes of the DAG
+ */
+
+/**
+ * turn DAGs into uploads with a single part: the car of the DAG.
+ * Each car is spooled to determine its CID and size before the upload is yielded.
+ * If the car of a DAG can't be gotten or spooled (e.g. the gateway fails, or its blocks don't verify),
+ * an UploadMigrationFailure is yielded for that DAG instead, and the rest are still spooled.
+ * Its upload has no parts, so migrating it again (e.g. from the log) fetches its DAG from a gateway.
+ * DAGs whose upload is in `migrated` are yielded with no parts without getting their car, since the migration will skip them anyway.
+ * The returned `fetchPart` gets the spooled car for a part,
+ * `release` deletes the spooled cars for an upload once it has been migrated,
+ * and `close` deletes any remaining spooled cars.
+ * @param {AsyncIterable<SpoolableDag>} dags - DAGs to turn into uploads
+ * @param {object} options - options
+ * @param {Promise<number|undefined>} options.length - number of DAGs
+ * @param {CarSpool} [options.spool] - where to spool cars
+ * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads already migrated (e.g. by a previous run), whose cars aren't gotten
+ * @param {AbortSignal} [options.signal] - for cancelling getting and spooling cars
+ */
+export function spoolUploads(dags, { length, spool = new CarSpool, migrated, signal }) {
+  const uploads = (async function* () {
+    for await (const { upload, car } of dags) {
+      const now = new Date().toISOString()
+      const defaults = {
+        _id: upload.cid,
+        type: 'Car',
+        name: '',
+        created: now,
+        updated: now,
+        dagSize: 0,
+        pins: [],
+        deals: [],
+      }
+      if (migrated?.has(upload.cid)) {
+        yield W32023Upload.from({ ...defaults, ...upload, parts: [] })
+        continue
+      }
+      /** @type {SpooledCar} */
+      let spooled
+      try {
+        spooled = await spool.add(await car({ signal }), { signal })
+      } catch (error) {
+        signal?.throwIfAborted()
+        /** @type {UploadMigrationFailure<W32023Upload>} */
+        const failure = new UploadMigrationFailure
+        failure.cause = error
+        failure.upload = W32023Upload.from({ ...defaults, ...upload, parts: [] })
+        failure.parts = new Map
+        yield failure
+        continue
+      }
+      yield W32023Upload.from({
+        ...defaults,
+        dagSize: spooled.size,
+        ...upload,
+        parts: [spooled.cid],
+      })
+    }
+  }())
+  return Object.assign(uploads, {
+    length,
+    /**
+     * @param {string} part - CAR CID of part
+     * @param {{ signal?: AbortSignal }} [options] - options
+     */
+    fetchPart: async (part, options) => spool.response(part, options),
+    /**
+     * @param {Pick<W32023Upload, 'parts'>} upload - upload that no longer needs its parts spooled
+     */
+    release: async (upload) => {
+      await Promise.all(upload.parts.map(part => spool.delete(part)))
+    },
+    close: () => spool.close(),
+  })
+}
+
+/**
+ * request the car of a whole DAG from a trustless gateway
+ * @param {string} root - root CID of DAG
+ * @param {URL} gateway - trustless gateway
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - for cancelling the request
+ * @returns {Promise<Response>} gateway response, whose body is the car if it is ok
+ */
+export function fetchDagCarResponse(root, gateway, { signal } = {}) {
+  return fetch(new URL(`/ipfs/${root}?format=car&dag-scope=all`, gateway), {
+    headers: { accept: 'application/vnd.ipld.car' },
+    signal,
+  })
+}
+
+/**
+ * fetch the car of a whole DAG from a trustless gateway.
+ * The gateway isn't trusted, so its blocks are verified as they stream (see verifyDagCar).
+ * @param {string} root - root CID of DAG
+ * @param {URL} gateway - trustless gateway
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - for cancelling the request
+ * @returns {Promise<ReadableStream<Uint8Array>>} car bytes
+ */
+export async function fetchDagCar(root, gateway, { signal } = {}) {
+  const response = await fetchDagCarResponse(root, gateway, { signal })
+  if (!response.ok || !response.body) {
+    throw new UnexpectedResponseError(`unexpected response status fetching car for ${root} from gateway`, response)
+  }
+  return verifyDagCar(response.body, root, { signal })
+}
+
+/**
+ * pass the car of a whole DAG through unchanged, verifying its blocks as they stream.
+ * The returned stream errors (with an IntegrityError if a block doesn't match its CID, or there's no block for the root)
+ * before it ends, so whatever reads it, e.g. CarSpool#add, never keeps a car that doesn't verify.
+ * @param {ReadableStream<Uint8Array>} car - car bytes
+ * @param {string} root - root CID of DAG
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - for cancelling verification
+ * @returns {ReadableStream<Uint8Array>} car bytes
+ */
+export function verifyDagCar(car, root, { signal } = {}) {
+  const [bytes, blocks] = car.tee()
+  /** @type {unknown} */
+  let error
+  const verified = blocks
+    .pipeThrough(new CARReaderStream, { signal })
+    .pipeThrough(new TransformStream(new VerifyCarBlocks(root)))
+    .pipeTo(new WritableStream, { signal })
+  // handled here, and rethrown by the stream of bytes
+  verified.catch((e) => { error ??= e })
+  return bytes.pipeThrough(new TransformStream({
+    transform(chunk, controller) {
+      if (error) throw error
+      controller.enqueue(chunk)
+    },
+    async flush() {
+      await verified
+    },
+  }))
+}
@@ -0,0 +1,122 @@
+/**
+ * @file checkpoint of uploads a migration has already migrated,
+ * persisted to a file so an interrupted migration can resume where it left off.
+ */
+
+import fs from 'node:fs/promises'
+
+/**
+ * set of upload CIDs that have been migrated,
+ * appended to an ndjson file with a line for each upload.
+ * Uploads added while a write is in flight are appended together in the next write,
+ * so the cost of each write is proportional to what was added since the last one, not to the size of the checkpoint.
+ * If the process crashes while appending, only the last line can be incomplete, and it is removed when the checkpoint is opened again.
+ */
+export class MigrationCheckpoint {
+  /** @type {string} */
+  #path
+  /** @type {Set<string>} */
+  #uploads
+  /**
+   * cids added since the last write
+   * @type {string[]}
+   */
+  #pending = []
+  /** @type {Promise<void>|undefined} */
+  #writing
+  /** @type {unknown} */
+  #writeError
+
+  /**
+   * open a checkpoint file, reading any uploads already in it.
+   * If the file doesn't exist, the checkpoint starts empty and the file will be created on first write.
+   * If the file ends with an incomplete line, e.g. from a crash while appending to it, the line is truncated from the file.
+   * @param {string} path - path to checkpoint file
+   */
+  static async open(path) {
+    let text = ''
+    try {
+      text = await fs.readFile(path, 'utf8')
+    } catch (error) {
+      if (error?.code !== 'ENOENT') throw error
+    }
+    const lines = text.split('\n')
+    // text ending with a newline splits into a last line that is empty
+    const last = lines.pop() ?? ''
+    const uploads = lines.filter(Boolean).map(line => {
+      const cid = JSON.parse(line)?.cid
+      if (typeof cid !== 'string') {
+        throw new Error(`unexpected checkpoint file contents at ${path}`)
+      }
+      return cid
+    })
+    if (last) {
+      await fs.truncate(path, Buffer.byteLength(text) - Buffer.byteLength(last))
+    }
+    return new MigrationCheckpoint(path, uploads)
+  }
+
+  /**
+   * @param {string} path - path to checkpoint file
+   * @param {Array<string>} [uploads] - cids of uploads already migrated
+   */
+  constructor(path, uploads = []) {
+    this.#path = path
+    this.#uploads = new Set(uploads)
+  }
+
+  get size() {
+    return this.#uploads.size
+  }
+
+  /**
+   * @param {string} uploadCid - upload cid
+   */
+  has(uploadCid) {
+    return this.#uploads.has(uploadCid)
+  }
+
+  /**
+   * record an upload as migrated and schedule an append to the checkpoint file.
+   * There is at most one write in flight at a time.
+   * @param {string} uploadCid - cid of migrated upload
+   */
+  add(uploadCid) {
+    if (this.#uploads.has(uploadCid)) return
+    this.#uploads.add(uploadCid)
+    this.#pending.push(uploadCid)
+    this.#writing ??= this.#write()
+  }
+
+  /**
+   * wait until every upload added so far has been written to the checkpoint file
+   */
+  async flush() {
+    while (this.#writing) await this.#writing
+    if (this.#writeError) {
+      const error = this.#writeError
+      this.#writeError = undefined
+      throw Object.assign(new Error(`error writing checkpoint file ${this.#path}`), { cause: error })
+    }
+  }
+
+  async #write() {
+    try {
+      while (this.#pending.length) {
+        const cids = this.#pending.splice(0)
+        const lines = cids.map(cid => `${JSON.stringify({ cid })}\n`).join('')
+        try {
+          await fs.appendFile(this.#path, lines)
+        } catch (error) {
+          // keep them to append in the next write
+          this.#pending.unshift(...cids)
+          throw error
+        }
+      }
+    } catch (error) {
+      this.#writeError = error
+    } finally {
+      this.#writing = undefined
+    }
+  }
+}
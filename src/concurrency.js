@@ -0,0 +1,89 @@
+/**
+ * @file adjusting how many parts are migrated at once according to how well it's going
+ */
+
+/**
+ * limit on number of concurrent tasks that adapts to their latency and error rate.
+ * Starts at `initial`, then after every round of completed tasks (one per slot),
+ * adds a slot if the round was healthy (additive increase),
+ * or halves the slots if too many tasks failed or they got much slower than the fastest rounds so far (multiplicative decrease).
+ */
+export class AdaptiveConcurrency {
+  /** number of tasks running */
+  active = 0
+  /** @type {Array<() => void>} tasks waiting for a slot */
+  #waiting = []
+  /** completions in the current round */
+  #round = { count: 0, errors: 0, latency: 0 }
+  /** @type {number|undefined} mean latency of the fastest recent round */
+  baseline
+
+  /**
+   * @param {object} [options] - options
+   * @param {number} [options.initial] - number of concurrent tasks to start with
+   * @param {number} [options.min] - never fewer concurrent tasks than this
+   * @param {number} [options.max] - never more concurrent tasks than this
+   * @param {number} [options.maxErrorRate] - back off when more than this fraction (0-1) of a round's tasks fail
+   * @param {number} [options.latencyTolerance] - back off when a round's mean latency is more than this multiple of the baseline
+   */
+  constructor({ initial = 1, min = 1, max = 32, maxErrorRate = 0.1, latencyTolerance = 2 } = {}) {
+    if (!(min >= 1 && max >= min)) {
+      throw new Error(`expected 1 <= min <= max, but got min=${min} max=${max}`)
+    }
+    this.min = min
+    this.max = max
+    this.limit = Math.min(max, Math.max(min, initial))
+    this.maxErrorRate = maxErrorRate
+    this.latencyTolerance = latencyTolerance
+  }
+
+  /**
+   * wait for a slot to run a task in.
+   * Call the returned function when the task is done.
+   * @returns {Promise<(result: { error?: boolean }) => void>} release slot, saying whether the task failed
+   */
+  async acquire() {
+    while (this.active >= this.limit) {
+      await new Promise(resolve => this.#waiting.push(() => resolve(undefined)))
+    }
+    this.active++
+    const start = Date.now()
+    let released = false
+    return ({ error = false } = {}) => {
+      if (released) return
+      released = true
+      this.active--
+      this.#complete({ latency: Date.now() - start, error })
+      this.#wake()
+    }
+  }
+
+  #wake() {
+    for (const next of this.#waiting.splice(0, Math.max(0, this.limit - this.active))) {
+      next()
+    }
+  }
+
+  /**
+   * @param {object} completion - completed task
+   * @param {number} completion.latency - milliseconds task took
+   * @param {boolean} completion.error - whether task failed
+   */
+  #complete({ latency, error }) {
+    this.#round.count++
+    this.#round.latency += latency
+    if (error) this.#round.errors++
+    if (this.#round.count < this.limit) return
+    const mean = this.#round.latency / this.#round.count
+    const errorRate = this.#round.errors / this.#round.count
+    this.#round = { count: 0, errors: 0, latency: 0 }
+    const slow = this.baseline !== undefined && mean > this.baseline * this.latencyTolerance
+    // let the baseline drift up slowly, so one round of unusually small parts doesn't hold concurrency down forever
+    this.baseline = this.baseline === undefined ? mean : Math.min(mean, this.baseline * 1.1)
+    if (slow || errorRate > this.maxErrorRate) {
+      this.limit = Math.max(this.min, Math.floor(this.limit / 2))
+    } else {
+      this.limit = Math.min(this.max, this.limit + 1)
+    }
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * @file what a migration destination (e.g. w3up space) already has in it
+ */
+
+import * as Link from 'multiformats/link'
+import * as Digest from 'multiformats/hashes/digest'
+import { Store, Upload } from '@web3-storage/capabilities'
+import { DID } from "@ucanto/validator"
+import { UnexpectedFailureReceipt } from './w3up-migration.js'
+import { BlobList } from './capabilities.js'
+import { CAR_CODE } from './utils.js'
+
+/**
+ * uploads and stored CAR shards already in a w3up space.
+ * Keys are CID strings as returned by `uploadKey` and `shardKey`,
+ * so they can be compared to CIDs from w32023 uploads, which may be in a different format.
+ */
+export class DestinationContents {
+  /**
+   * map of upload root to CIDs of upload shards
+   * @type {Map<string, string[]>}
+   */
+  uploads = new Map
+  /**
+   * map of CAR shard CID to size in bytes, for shards added with store/add or blob/add
+   * @type {Map<string, number>}
+   */
+  shards = new Map
+  /**
+   * whether blobs were listed with blob/list, so shards added with blob/add are in `shards` too
+   * @type {boolean}
+   */
+  blobsListed = false
+
+  /**
+   * @param {string|import('multiformats').UnknownLink} root - upload root CID
+   */
+  static uploadKey(root) {
+    return Link.parse(String(root)).toString()
+  }
+
+  /**
+   * @param {string|import('multiformats').UnknownLink} shard - CAR shard CID
+   */
+  static shardKey(shard) {
+    return Link.parse(String(shard)).toV1().toString()
+  }
+
+  /**
+   * @param {string|import('multiformats').UnknownLink} root - upload root CID
+   */
+  hasUpload(root) {
+    return this.uploads.has(DestinationContents.uploadKey(root))
+  }
+
+  /**
+   * @param {string|import('multiformats').UnknownLink} shard - CAR shard CID
+   */
+  hasShard(shard) {
+    return this.shards.has(DestinationContents.shardKey(shard))
+  }
+}
+
+/**
+ * page through upload/list, store/list, and blob/list for a space
+ * to find out what uploads and shards are already in it.
+ * Blobs are keyed by the CAR CID of their multihash, like shards from store/list, so parts added either way are found.
+ * If blob/list is unauthorized (e.g. the agent was only delegated store/list and upload/list), the space is treated as having no blobs.
+ * @param {object} options - options
+ * @param {import("@ucanto/client").SignerKey} options.issuer - principal that will issue w3up invocations
+ * @param {import('@ucanto/interface').Delegation[]} [options.authorization] - authorization sent with w3up invocations. should allow upload/list, store/list, and blob/list
+ * @param {import("@ucanto/client").ConnectionView} options.w3up - connection to w3up on which invocations will be sent
+ * @param {URL} options.destination - e.g. w3up space DID to list contents of
+ * @param {number} [options.size] - page size of each list invocation
+ * @param {boolean} [options.blobs] - whether to list blobs with blob/list. default true
+ * @param {AbortSignal} [options.signal] - for cancelling the listing
+ */
+export async function listDestinationContents({ issuer, authorization, w3up, destination, size = 1000, blobs = true, signal }) {
+  const space = DID.match({ method: 'key' }).from(destination.toString())
+  const contents = new DestinationContents
+  /** @type {AsyncIterable<import('@web3-storage/capabilities/types').UploadListItem>} */
+  const uploads = paginate(Upload.list, { issuer, authorization, w3up, space, size, signal })
+  for await (const item of uploads) {
+    contents.uploads.set(
+      DestinationContents.uploadKey(item.root),
+      (item.shards ?? []).map(DestinationContents.shardKey),
+    )
+  }
+  /** @type {AsyncIterable<import('@web3-storage/capabilities/types').StoreListItem>} */
+  const stored = paginate(Store.list, { issuer, authorization, w3up, space, size, signal })
+  for await (const item of stored) {
+    contents.shards.set(DestinationContents.shardKey(item.link), item.size)
+  }
+  if (!blobs) return contents
+  try {
+    /** @type {AsyncIterable<import('@web3-storage/capabilities/types').BlobListItem>} */
+    const listed = paginate(BlobList, { issuer, authorization, w3up, space, size, signal })
+    for await (const item of listed) {
+      const car = Link.create(CAR_CODE, Digest.decode(item.blob.digest))
+      contents.shards.set(DestinationContents.shardKey(car), item.blob.size)
+    }
+    contents.blobsListed = true
+  } catch (error) {
+    if (!(error instanceof UnexpectedFailureReceipt && error.receipt.out.error?.name === 'Unauthorized')) {
+      throw error
+    }
+  }
+  return contents
+}
+
+/**
+ * capability like upload/list or store/list
+ * @typedef {object} ListCapability
+ * @property {string} can - ability e.g. 'upload/list'
+ * @property {(options: any) => { execute: (connection: any) => import('@ucanto/interface').Await<import('@ucanto/interface').Receipt> }} invoke - create invocation
+ */
+
+/**
+ * invoke a list capability until there are no more pages,
+ * yielding each item in each page
+ * @param {ListCapability} capability - capability to invoke, e.g. upload/list
+ * @param {object} options - options
+ * @param {import("@ucanto/client").SignerKey} options.issuer - principal that will issue w3up invocations
+ * @param {import('@ucanto/interface').Delegation[]} [options.authorization] - authorization sent with w3up invocations
+ * @param {import("@ucanto/client").ConnectionView} options.w3up - connection to w3up on which invocations will be sent
+ * @param {import('@ucanto/interface').DID<'key'>} options.space - space to list
+ * @param {number} options.size - page size
+ * @param {AbortSignal} [options.signal] - for cancelling the listing
+ * @yields {any} items in each page of results
+ */
+async function* paginate(capability, { issuer, authorization, w3up, space, size, signal }) {
+  /** @type {string|undefined} */
+  let cursor
+  do {
+    signal?.throwIfAborted()
+    const receipt = await capability.invoke({
+      issuer,
+      audience: w3up.id,
+      proofs: authorization,
+      with: space,
+      nb: { size, ...(cursor ? { cursor } : {}) },
+    }).execute(w3up)
+    if (!receipt.out.ok) {
+      throw new UnexpectedFailureReceipt(`${capability.can} invocation resulted in failure`, receipt)
+    }
+    const page = /** @type {import('@web3-storage/capabilities/types').ListResponse<any>} */ (receipt.out.ok)
+    yield* page.results
+    cursor = page.results.length ? page.cursor : undefined
+  } while (cursor)
+}
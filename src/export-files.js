@@ -0,0 +1,193 @@
+/**
+ * @file writing the files of uploads back to the local filesystem, e.g. for spot-restores and audits of migrated content
+ */
+
+import { createReadStream, createWriteStream } from 'node:fs'
+import fs from 'node:fs/promises'
+import { dirname, isAbsolute, join, relative, resolve, sep } from 'node:path'
+import { Readable } from 'node:stream'
+import { pipeline } from 'node:stream/promises'
+import { recursive as exportEntries } from 'ipfs-unixfs-exporter'
+import { CARReaderStream } from 'carstream/reader'
+import * as Link from 'multiformats/link'
+import { identity } from 'multiformats/hashes/identity'
+import { equals, toString } from 'uint8arrays'
+import { CarSpool } from './car-spool.js'
+import { VerifyCarBlocks } from './integrity.js'
+import { IntegrityError, UnexpectedResponseError } from './w3up-migration.js'
+
+/**
+ * blockstore of the blocks in spooled car parts, which are read from disk when they're needed.
+ * Blocks are indexed by multihash, so a CIDv0 link finds a block that a car has under its CIDv1 and vice versa.
+ * Blocks with identity multihashes don't need to be in any car, since their bytes are in their CID.
+ */
+export class SpooledCarsBlockstore {
+  /** @type {Map<string, { path: string, offset: number, length: number }>} */
+  #index = new Map
+
+  /**
+   * index the blocks of a spooled car, verifying that the bytes of each match its CID
+   * @param {import('./car-spool.js').SpooledCar} car - spooled car
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling
+   */
+  async add(car, { signal } = {}) {
+    /** @type {VerifyCarBlocks<import('carstream/api').Block & import('carstream/api').Position>} */
+    const verifier = new VerifyCarBlocks(car.cid, { requireRoot: false })
+    const blocks = /** @type {ReadableStream<Uint8Array>} */ (Readable.toWeb(createReadStream(car.path, { signal })))
+      .pipeThrough(new CARReaderStream, { signal })
+      .pipeThrough(new TransformStream(verifier), { signal })
+      .getReader()
+    try {
+      for (let read = await blocks.read(); !read.done; read = await blocks.read()) {
+        const block = read.value
+        this.#index.set(toString(block.cid.multihash.bytes, 'base64'), {
+          path: car.path,
+          offset: block.blockOffset,
+          length: block.blockLength,
+        })
+      }
+    } catch (error) {
+      throw verifier.error ?? error
+    }
+  }
+
+  /**
+   * @param {import('multiformats').UnknownLink} cid - CID of block
+   */
+  has(cid) {
+    return cid.multihash.code === identity.code || this.#index.has(toString(cid.multihash.bytes, 'base64'))
+  }
+
+  /**
+   * @param {import('multiformats').UnknownLink} cid - CID of block
+   * @returns {Promise<Uint8Array>} block bytes
+   */
+  async get(cid) {
+    if (cid.multihash.code === identity.code) return cid.multihash.digest
+    const position = this.#index.get(toString(cid.multihash.bytes, 'base64'))
+    if (!position) {
+      throw new Error(`block ${cid} is not in any part of the upload`)
+    }
+    const file = await fs.open(position.path)
+    try {
+      const bytes = new Uint8Array(position.length)
+      await file.read(bytes, 0, position.length, position.offset)
+      return bytes
+    } finally {
+      await file.close()
+    }
+  }
+}
+
+/**
+ * a file written by exportUploadFiles
+ * @typedef ExportedFile
+ * @property {'FileExported'|'FileAlreadyExported'} type - FileAlreadyExported if the file was already written, e.g. by an earlier export that was interrupted
+ * @property {string} upload - root CID of upload the file is in
+ * @property {string} path - path the file was written to
+ * @property {number} size - size of file in bytes
+ */
+
+/**
+ * write the files of an upload to a directory, combining the blocks of every part of the upload.
+ * The upload root is written to `<out>/<root cid>`, i.e. a directory if the root is a UnixFS directory, or else a file.
+ * Files already in `out` with the expected size are skipped, so an interrupted export can be resumed by running it again.
+ * Each file is written to a `.partial` file first, so a file with the expected size is never only part of the file.
+ * @param {{ cid: string, parts: string[] }} upload - upload to export
+ * @param {object} options - options
+ * @param {string} options.out - directory to write files in. Nothing is written outside of it
+ * @param {(part: string, options?: { signal?: AbortSignal }) => Promise<Response>} options.fetchPart - fetch a part, e.g. from gateways (see createPartFetcher)
+ * @param {CarSpool} [options.spool] - where to spool parts while their blocks are exported. Defaults to a spool of its own, which is closed once the upload is exported
+ * @param {AbortSignal} [options.signal] - for cancelling
+ * @returns {AsyncIterable<ExportedFile>} files, as they are written
+ */
+export async function* exportUploadFiles(upload, { out, fetchPart, spool, signal }) {
+  if (!upload.parts.length) {
+    throw new Error(`upload ${upload.cid} has no parts to export files from`)
+  }
+  const root = resolve(out)
+  const partSpool = spool ?? new CarSpool
+  const blocks = new SpooledCarsBlockstore
+  /** @type {string[]} */
+  const spooled = []
+  try {
+    for (const part of upload.parts) {
+      const response = await fetchPart(part, { signal })
+      if (!response.ok || !response.body) {
+        throw new UnexpectedResponseError(`unexpected response status fetching part ${part}`, response)
+      }
+      const car = await partSpool.add(response.body, { signal })
+      spooled.push(car.cid)
+      if (!equals(Link.parse(car.cid).multihash.bytes, Link.parse(part).multihash.bytes)) {
+        throw new IntegrityError(`bytes of part ${part} do not match its cid`, {
+          part,
+          expected: { cid: part },
+          actual: { cid: car.cid, size: car.size },
+        })
+      }
+      await blocks.add(car, { signal })
+    }
+    if (!blocks.has(Link.parse(upload.cid))) {
+      throw new Error(`no part of upload ${upload.cid} has a block for its root`)
+    }
+    for await (const entry of exportEntries(upload.cid, blocks, { signal })) {
+      const path = resolveInside(root, entry.path)
+      switch (entry.type) {
+        case 'directory':
+          await fs.mkdir(path, { recursive: true })
+          break
+        case 'file':
+        case 'raw':
+        case 'identity': {
+          const size = Number(entry.size)
+          if (await fileSize(path) === size) {
+            yield { type: 'FileAlreadyExported', upload: upload.cid, path, size }
+            break
+          }
+          await fs.mkdir(dirname(path), { recursive: true })
+          const partial = `${path}.partial`
+          await pipeline(Readable.from(entry.content()), createWriteStream(partial), { signal })
+          await fs.rename(partial, path)
+          yield { type: 'FileExported', upload: upload.cid, path, size }
+          break
+        }
+        default:
+          throw new Error(`unable to export ${entry.path} of upload ${upload.cid}: ${entry.type} is not a UnixFS file or directory`)
+      }
+    }
+  } finally {
+    if (spool) await Promise.all(spooled.map(cid => spool.delete(cid)))
+    else await partSpool.close()
+  }
+}
+
+/**
+ * resolve a path of an exported entry inside a directory
+ * @param {string} dir - absolute path of directory
+ * @param {string} path - path of entry, e.g. `<root cid>/photos/a.jpg`
+ * @returns {string} absolute path inside dir
+ * @throws if the path would be outside of dir, e.g. because a UnixFS link is named `..`
+ */
+export function resolveInside(dir, path) {
+  const resolved = resolve(dir, path)
+  const fromDir = relative(dir, resolved)
+  if (!fromDir || fromDir === '..' || fromDir.startsWith(`..${sep}`) || isAbsolute(fromDir)) {
+    throw new Error(`refusing to export ${JSON.stringify(path)} outside of ${dir}`)
+  }
+  return join(dir, fromDir)
+}
+
+/**
+ * @param {string} path - path of file
+ * @returns {Promise<number|undefined>} size of file, or undefined if there is no file at path
+ */
+async function fileSize(path) {
+  try {
+    const stat = await fs.stat(path)
+    return stat.isFile() ? stat.size : undefined
+  } catch (error) {
+    if (error?.code !== 'ENOENT') throw error
+    return undefined
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * @file fetching car parts from one or more IPFS gateways
+ */
+
+import { UnexpectedResponseError } from './w3up-migration.js'
+
+/** @type {string[]} */
+export const defaultGateways = ['https://w3s.link']
+
+/**
+ * how to use more than one gateway:
+ * 'fallback' tries each gateway in order until one responds with the part,
+ * 'race' requests from all gateways at once and uses the first to respond with the part.
+ * @typedef {'fallback'|'race'} GatewayStrategy
+ */
+
+/**
+ * parse a comma-separated list of gateway URLs, e.g. from a cli flag
+ * @param {string} input - e.g. 'https://w3s.link,https://trustless-gateway.link'
+ */
+export function parseGateways(input) {
+  const gateways = input.split(',').map(s => s.trim()).filter(Boolean).map(s => new URL(s))
+  if (!gateways.length) {
+    throw new Error(`no gateway URLs in ${JSON.stringify(input)}`)
+  }
+  return gateways
+}
+
+/**
+ * stats of requests to each gateway
+ */
+export class GatewayStats {
+  /**
+   * map of gateway URL to stats
+   * @type {Map<string, { requests: number, successes: number, failures: number, cancelled: number, latency: number }>}
+   */
+  gateways = new Map
+
+  /**
+   * @param {URL|string} gateway - gateway that was requested
+   */
+  #get(gateway) {
+    const key = gateway.toString()
+    let stats = this.gateways.get(key)
+    if (!stats) {
+      stats = { requests: 0, successes: 0, failures: 0, cancelled: 0, latency: 0 }
+      this.gateways.set(key, stats)
+    }
+    return stats
+  }
+
+  /**
+   * @param {URL|string} gateway - gateway that responded with the part
+   * @param {number} latency - milliseconds until response
+   */
+  success(gateway, latency) {
+    const stats = this.#get(gateway)
+    stats.requests++
+    stats.successes++
+    stats.latency += latency
+  }
+
+  /**
+   * @param {URL|string} gateway - gateway that errored or responded without the part
+   */
+  failure(gateway) {
+    const stats = this.#get(gateway)
+    stats.requests++
+    stats.failures++
+  }
+
+  /**
+   * @param {URL|string} gateway - gateway whose request was cancelled, e.g. because another gateway won a race
+   */
+  cancel(gateway) {
+    const stats = this.#get(gateway)
+    stats.requests++
+    stats.cancelled++
+  }
+
+  toJSON() {
+    return {
+      type: 'GatewayStats',
+      gateways: Object.fromEntries([...this.gateways].map(([gateway, { latency, ...stats }]) => {
+        return [gateway, {
+          ...stats,
+          meanLatency: stats.successes ? Math.round(latency / stats.successes) : undefined,
+        }]
+      })),
+    }
+  }
+}
+
+/**
+ * whether a gateway response has a part that can be migrated,
+ * i.e. it's ok and isn't empty.
+ * Responses without a content-length (e.g. chunked) are usable, because the migration measures them
+ * @param {Response} response - gateway response
+ */
+function isUsablePartResponse(response) {
+  const contentLength = response.headers.get('content-length')
+  if (contentLength === null) return response.ok && Boolean(response.body)
+  return response.ok && Boolean(contentLength.match(/^\d+$/)) && parseInt(contentLength, 10) > 0
+}
+
+/**
+ * fetch a part from one gateway.
+ * Failures and cancellations are recorded in stats, but success is left to the caller,
+ * which knows whether the response is used.
+ * @param {string} cid - part CID
+ * @param {URL} gateway - gateway to fetch from
+ * @param {object} options - options
+ * @param {AbortSignal} [options.signal] - for cancelling the request
+ * @param {GatewayStats} [options.stats] - where to record stats
+ * @returns {Promise<{ response: Response, latency: number }>} response with the part, and milliseconds until it
+ */
+async function fetchPartFromGateway(cid, gateway, { signal, stats }) {
+  const start = Date.now()
+  let response
+  try {
+    response = await fetch(new URL(`/ipfs/${cid}`, gateway), { signal })
+  } catch (error) {
+    if (signal?.aborted) stats?.cancel(gateway)
+    else stats?.failure(gateway)
+    throw error
+  }
+  if (!isUsablePartResponse(response)) {
+    stats?.failure(gateway)
+    await response.body?.cancel()
+    throw new UnexpectedResponseError(`unexpected response fetching part ${cid} from ${gateway}`, response)
+  }
+  return { response, latency: Date.now() - start }
+}
+
+/**
+ * get a response whose body calls `done` once it has been read to the end, errored or been cancelled
+ * @param {Response} response - response with a body
+ * @param {() => void} done - called once the body is finished with
+ */
+function onBodyDone(response, done) {
+  if (!response.body) {
+    done()
+    return response
+  }
+  const reader = response.body.getReader()
+  const body = new ReadableStream({
+    pull: async (controller) => {
+      let result
+      try {
+        result = await reader.read()
+      } catch (error) {
+        done()
+        throw error
+      }
+      if (result.done) {
+        done()
+        controller.close()
+        return
+      }
+      controller.enqueue(result.value)
+    },
+    cancel: async (reason) => {
+      done()
+      await reader.cancel(reason)
+    },
+  }, { highWaterMark: 0 })
+  const wrapped = new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  })
+  // a constructed Response has no url, but which gateway responded is useful to know
+  Object.defineProperty(wrapped, 'url', { value: response.url })
+  return wrapped
+}
+
+/**
+ * create a function that fetches car parts from gateways,
+ * e.g. for `fetchPart` option of `migrate`.
+ * If every gateway fails, the error from the last one to fail is thrown.
+ * @param {object} options - options
+ * @param {Array<URL|string>} [options.gateways] - gateways to fetch from
+ * @param {GatewayStrategy} [options.strategy] - how to use more than one gateway
+ * @param {GatewayStats} [options.stats] - where to record stats of each gateway
+ * @returns {(cid: string, options?: { signal?: AbortSignal }) => Promise<Response>} fetchPart
+ */
+export function createPartFetcher({ gateways = defaultGateways, strategy = 'fallback', stats } = {}) {
+  const urls = gateways.map(g => new URL(g))
+  switch (strategy) {
+    case 'fallback':
+      return async (cid, { signal } = {}) => {
+        let lastError
+        for (const gateway of urls) {
+          signal?.throwIfAborted()
+          try {
+            const { response, latency } = await fetchPartFromGateway(cid, gateway, { signal, stats })
+            stats?.success(gateway, latency)
+            return response
+          } catch (error) {
+            lastError = error
+          }
+        }
+        throw lastError
+      }
+    case 'race':
+      return (cid, { signal } = {}) => new Promise((resolve, reject) => {
+        let pending = urls.length
+        let won = false
+        const requests = urls.map(gateway => {
+          const abort = new AbortController
+          const onAbort = () => abort.abort(signal?.reason)
+          signal?.addEventListener('abort', onAbort, { once: true })
+          const stopListening = () => signal?.removeEventListener('abort', onAbort)
+          const response = fetchPartFromGateway(cid, gateway, {
+            signal: abort.signal,
+            stats,
+          })
+          return { gateway, abort, response, stopListening }
+        })
+        for (const { gateway, abort, response, stopListening } of requests) {
+          response.then(
+            ({ response: r, latency }) => {
+              if (won) {
+                // lost the race by a hair
+                stopListening()
+                stats?.cancel(gateway)
+                r.body?.cancel()
+                return
+              }
+              won = true
+              stats?.success(gateway, latency)
+              for (const other of requests) {
+                if (other.abort !== abort) other.abort.abort()
+              }
+              // keep listening until the body is finished with, so aborting still cancels reading it
+              resolve(onBodyDone(r, stopListening))
+            },
+            (error) => {
+              stopListening()
+              if (--pending === 0 && !won) reject(error)
+            },
+          )
+        }
+      })
+    default:
+      throw new Error(`unknown gateway strategy: ${strategy}`)
+  }
+}
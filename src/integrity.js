@@ -0,0 +1,162 @@
+/**
+ * @file verifying that the bytes of a car part (or the blocks in it) are what their CIDs say they are
+ */
+
+import { createHash } from 'node:crypto'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { identity } from 'multiformats/hashes/identity'
+import * as Digest from 'multiformats/hashes/digest'
+import { equals } from 'uint8arrays'
+import { IntegrityError } from './w3up-migration.js'
+
+/**
+ * transformer that passes car part bytes through unchanged,
+ * hashing and counting them as they stream.
+ * If more bytes than expected are received, or the bytes don't sha256 hash to the part CID multihash,
+ * the stream errors with an IntegrityError, so whatever is reading the stream (e.g. a PUT request) is aborted.
+ * The last chunk is held back until the bytes are verified, so a reader never receives all of a corrupt part.
+ * @example `response.body.pipeThrough(new TransformStream(new VerifyCarPartBytes(part, size)))`
+ */
+export class VerifyCarPartBytes {
+  #hash = createHash('sha256')
+  #received = 0
+  /** @type {Uint8Array|undefined} */
+  #pending
+  /**
+   * error the stream failed with, if verification failed
+   * @type {IntegrityError|undefined}
+   */
+  error
+
+  /**
+   * @param {string} part - cid of car part. must have a sha2-256 multihash
+   * @param {number} size - expected number of bytes, e.g. from content-length
+   */
+  constructor(part, size) {
+    this.part = part
+    this.size = size
+    this.link = Link.parse(part)
+    if (this.link.multihash.code !== sha256.code) {
+      throw new IntegrityError(`unable to verify part ${part} with multihash code 0x${this.link.multihash.code.toString(16)}. only sha2-256 is supported`, {
+        part,
+        expected: { size },
+        actual: { size: 0 },
+      })
+    }
+  }
+
+  /**
+   * @param {Uint8Array} chunk - bytes of car part
+   * @param {TransformStreamDefaultController<Uint8Array>} controller - stream controller
+   */
+  transform(chunk, controller) {
+    this.#received += chunk.byteLength
+    if (this.#received > this.size) {
+      throw this.#fail(`received more than the expected ${this.size} bytes for part ${this.part}`)
+    }
+    this.#hash.update(chunk)
+    if (this.#pending) controller.enqueue(this.#pending)
+    this.#pending = chunk
+  }
+
+  /**
+   * @param {TransformStreamDefaultController<Uint8Array>} controller - stream controller
+   */
+  flush(controller) {
+    if (this.#received !== this.size) {
+      throw this.#fail(`received ${this.#received} bytes for part ${this.part} but expected ${this.size}`)
+    }
+    const digest = this.#hash.digest()
+    if (!equals(digest, this.link.multihash.digest)) {
+      const actual = Link.create(this.link.code, Digest.create(sha256.code, digest))
+      throw this.#fail(`bytes of part ${this.part} hash to ${actual}`, actual.toString())
+    }
+    if (this.#pending) controller.enqueue(this.#pending)
+  }
+
+  /**
+   * @param {string} message - error message
+   * @param {string} [actualCid] - cid of bytes received
+   */
+  #fail(message, actualCid) {
+    this.error = new IntegrityError(message, {
+      part: this.part,
+      expected: { size: this.size, cid: this.link.toString() },
+      actual: { size: this.#received, ...(actualCid ? { cid: actualCid } : {}) },
+    })
+    return this.error
+  }
+}
+
+/**
+ * hashers of multihashes VerifyCarBlocks can verify, by multihash code
+ * @type {Map<number, import('multiformats').MultihashHasher>}
+ */
+const blockHashers = new Map([sha256, identity].map(hasher => [hasher.code, hasher]))
+
+/**
+ * transformer of blocks read from a car (e.g. by carstream's CARReaderStream) that passes them through unchanged,
+ * once the bytes of each are verified to hash to the multihash of its CID.
+ * Useful for cars with no CAR CID to verify them against, like the car of a DAG from a trustless gateway.
+ * The stream errors with an IntegrityError if a block doesn't match its CID, or if the car ends without a block for the root.
+ * @example `blocks.pipeThrough(new TransformStream(new VerifyCarBlocks(root)))`
+ * @template {import('carstream/api').Block} [B=import('carstream/api').Block]
+ */
+export class VerifyCarBlocks {
+  #received = 0
+  #hasRoot = false
+  /**
+   * error the stream failed with, if verification failed
+   * @type {IntegrityError|undefined}
+   */
+  error
+
+  /**
+   * @param {string} root - cid of DAG root, which the car must have a block for
+   * @param {object} [options] - options
+   * @param {boolean} [options.requireRoot] - whether the car must have a block for the root. Defaults to true. Use false for a car that is one of many parts of a DAG, whose root may be in another part
+   */
+  constructor(root, { requireRoot = true } = {}) {
+    this.root = root
+    this.link = Link.parse(root)
+    this.requireRoot = requireRoot
+  }
+
+  /**
+   * @param {B} block - block read from car
+   * @param {TransformStreamDefaultController<B>} controller - stream controller
+   */
+  async transform(block, controller) {
+    this.#received += block.bytes.byteLength
+    const hasher = blockHashers.get(block.cid.multihash.code)
+    if (!hasher) {
+      throw this.#fail(`unable to verify block ${block.cid} with multihash code 0x${block.cid.multihash.code.toString(16)}. only sha2-256 and identity are supported`)
+    }
+    const digest = await hasher.digest(block.bytes)
+    if (!equals(digest.bytes, block.cid.multihash.bytes)) {
+      throw this.#fail(`bytes of block ${block.cid} do not match its cid`)
+    }
+    // compare multihashes, since the root may be CIDv0 and the block CIDv1 or vice versa
+    if (equals(block.cid.multihash.bytes, this.link.multihash.bytes)) this.#hasRoot = true
+    controller.enqueue(block)
+  }
+
+  flush() {
+    if (this.requireRoot && !this.#hasRoot) {
+      throw this.#fail(`car of DAG ${this.root} has no block for its root`)
+    }
+  }
+
+  /**
+   * @param {string} message - error message
+   */
+  #fail(message) {
+    this.error = new IntegrityError(message, {
+      part: this.root,
+      expected: { cid: this.root },
+      actual: { size: this.#received },
+    })
+    return this.error
+  }
+}
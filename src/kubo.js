@@ -0,0 +1,104 @@
+/**
+ * @file migration source of the recursive pins of a kubo IPFS node
+ */
+
+import readNDJSONStream from 'ndjson-readablestream'
+import { spoolUploads, verifyDagCar, CarSpool } from './car-spool.js'
+import { UnexpectedResponseError } from './w3up-migration.js'
+
+export const API = 'http://127.0.0.1:5001'
+
+/**
+ * get a stream of w32023 uploads from the recursive pins of a kubo node.
+ * The car for each pinned root comes from `dag export`,
+ * and is spooled to a temporary file to determine its CID and size (see `spoolUploads`).
+ * Each upload has a single part: the CID of that car.
+ * Blocks of each export are verified against their CIDs, and the export must have a block for the pinned root.
+ * kubo only reports an export that fails part way through in a trailer, so a truncated export fails verification instead.
+ * A pin that fails to export or verify is yielded as an UploadMigrationFailure, and the rest are still exported.
+ * The recursive pins are listed once up front, so `length` is known before any car is exported.
+ * @param {object} [options] - options
+ * @param {string} [options.api] - kubo RPC API endpoint
+ * @param {Record<string, string>} [options.headers] - headers to send with each RPC request, e.g. authorization
+ * @param {CarSpool} [options.spool] - where to spool cars
+ * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads already migrated, whose cars won't be gotten
+ * @param {AbortSignal} [options.signal] - for cancelling exporting and spooling cars
+ */
+export function getUploads({
+  api = API,
+  headers = {},
+  spool,
+  migrated,
+  signal,
+} = {}) {
+  const kubo = new Kubo({ endpoint: new URL(api), headers })
+  const pins = (async () => {
+    /** @type {string[]} */
+    const cids = []
+    for await (const cid of kubo.recursivePins()) cids.push(cid)
+    return cids
+  })()
+  const dags = (async function* () {
+    for (const cid of await pins) {
+      yield {
+        upload: { cid },
+        car: async (options) => verifyDagCar(await kubo.dagExport(cid, options), cid, options),
+      }
+    }
+  }())
+  return spoolUploads(dags, {
+    length: pins.then(cids => cids.length).catch(() => undefined),
+    spool,
+    migrated,
+    signal,
+  })
+}
+
+class Kubo {
+  /**
+   * @param {object} options - options
+   * @param {URL} options.endpoint - kubo RPC API endpoint
+   * @param {Record<string, string>} options.headers - headers to send with each RPC request
+   */
+  constructor({ endpoint, headers }) {
+    this.endpoint = endpoint
+    this.headers = headers
+  }
+
+  /**
+   * kubo RPC methods are all POST
+   * @param {string} path - RPC method path, e.g. /api/v0/pin/ls
+   * @param {Record<string, string>} params - query params
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling the request
+   */
+  async #rpc(path, params, { signal } = {}) {
+    const url = new URL(path, this.endpoint)
+    url.search = new URLSearchParams(params).toString()
+    const response = await fetch(url, { method: 'POST', headers: this.headers, signal })
+    if (!response.ok || !response.body) {
+      throw new UnexpectedResponseError(`unexpected response status from kubo ${path}`, response)
+    }
+    return /** @type {Response & { body: ReadableStream<Uint8Array> }} */ (response)
+  }
+
+  /**
+   * @yields {string} cid of each recursive pin
+   */
+  async* recursivePins() {
+    const response = await this.#rpc('/api/v0/pin/ls', { type: 'recursive', stream: 'true' })
+    for await (const pin of readNDJSONStream(response.body)) {
+      yield pin.Cid
+    }
+  }
+
+  /**
+   * @param {string} root - root CID of DAG to export
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling the export
+   */
+  async dagExport(root, { signal } = {}) {
+    const response = await this.#rpc('/api/v0/dag/export', { arg: root }, { signal })
+    return response.body
+  }
+}
@@ -0,0 +1,206 @@
+/**
+ * @file summarize the ndjson events logged by a migration, e.g. with `--log`
+ */
+
+/**
+ * report of what happened in a migration, built from its logged events.
+ * Add every event from a migration log, then serialize with toJSON (or toString for humans).
+ */
+export class MigrationLogSummary {
+  /** number of UploadMigrationSuccess events */
+  successes = 0
+  /** number of UploadMigrationFailure events */
+  failures = 0
+  /** number of UploadMigrationSkipped events */
+  skipped = 0
+  /** sum of store/add nb.size (or blob/add nb.blob.size) of parts that were stored */
+  bytes = 0
+  /** parts whose store/add (or blob/add) said to send car bytes, so they were sent with a PUT */
+  partsPut = 0
+  /** parts whose store/add (or blob/add) said the space already had the car */
+  partsDone = 0
+  /** parts not added at all because the destination already had them (see --preflight) */
+  partsPresent = 0
+  /** @type {string|undefined} time of earliest event */
+  start
+  /** @type {string|undefined} time of latest event */
+  end
+  /**
+   * map of `${name}: ${message}` of each failure cause to number of failures with that cause.
+   * For uploads with failed parts, each part failure is counted.
+   * @type {Map<string, number>}
+   */
+  causes = new Map
+  /**
+   * map of gateway URL to stats of fetching parts from it, from GatewayStats events
+   * @type {Map<string, { successes: number, failures: number, cancelled: number, latency: number }>}
+   */
+  gateways = new Map
+
+  /**
+   * @param {any} event - event parsed from a migration log line
+   */
+  add(event) {
+    switch (event?.type) {
+      case 'UploadMigrationSuccess':
+        this.successes++
+        break
+      case 'UploadMigrationFailure':
+        this.failures++
+        this.#addFailureCauses(event)
+        break
+      case 'UploadMigrationSkipped':
+        this.skipped++
+        break
+      case 'GatewayStats':
+        this.#addGatewayStats(event)
+        return
+      default:
+        return
+    }
+    for (const part of Object.values(event.parts ?? {})) {
+      this.#addPart(part)
+    }
+    if (event.time) {
+      if (!this.start || event.time < this.start) this.start = event.time
+      if (!this.end || event.time > this.end) this.end = event.time
+    }
+  }
+
+  /**
+   * @param {any} part - part from the parts of a logged event
+   */
+  #addPart(part) {
+    if (part?.shards) {
+      // re-sharded parts weren't added themselves, but each of their shards was
+      for (const shard of part.shards) this.#addPart(shard)
+      return
+    }
+    if (part?.present) {
+      this.partsPresent++
+      return
+    }
+    const receipt = part?.add?.receipt
+    if (!receipt?.out?.ok) return
+    const capability = receipt.ran?.capabilities?.[0]
+    if (capability?.can === 'blob/add') {
+      // blob/add has no status, but car bytes were only sent if w3up allocated somewhere to send them
+      if (part.copy) this.partsPut++
+      else this.partsDone++
+      this.bytes += capability.nb?.blob?.size ?? 0
+      return
+    }
+    const status = receipt.out.ok.status
+    if (status === 'upload') this.partsPut++
+    if (status === 'done') this.partsDone++
+    if (status) this.bytes += capability?.nb?.size ?? 0
+  }
+
+  /**
+   * @param {any} event - UploadMigrationFailure event
+   */
+  #addFailureCauses(event) {
+    const partCauses = Object.values(event.parts ?? {}).map(part => part?.cause).filter(Boolean)
+    for (const cause of partCauses.length ? partCauses : [event.cause]) {
+      const key = `${cause?.name ?? 'Error'}: ${cause?.message ?? JSON.stringify(cause)}`
+      this.causes.set(key, (this.causes.get(key) ?? 0) + 1)
+    }
+  }
+
+  /**
+   * @param {any} event - GatewayStats event, e.g. one per migration run
+   */
+  #addGatewayStats(event) {
+    for (const [gateway, stats] of Object.entries(event.gateways ?? {})) {
+      const sum = this.gateways.get(gateway) ?? { successes: 0, failures: 0, cancelled: 0, latency: 0 }
+      sum.successes += stats?.successes ?? 0
+      sum.failures += stats?.failures ?? 0
+      sum.cancelled += stats?.cancelled ?? 0
+      sum.latency += (stats?.meanLatency ?? 0) * (stats?.successes ?? 0)
+      this.gateways.set(gateway, sum)
+    }
+  }
+
+  /**
+   * milliseconds between earliest and latest event
+   */
+  get duration() {
+    if (!this.start || !this.end) return undefined
+    return Date.parse(this.end) - Date.parse(this.start)
+  }
+
+  toJSON() {
+    return {
+      type: 'MigrationLogSummary',
+      uploads: {
+        successes: this.successes,
+        failures: this.failures,
+        skipped: this.skipped,
+      },
+      parts: {
+        put: this.partsPut,
+        done: this.partsDone,
+        present: this.partsPresent,
+      },
+      bytes: this.bytes,
+      time: {
+        start: this.start,
+        end: this.end,
+        duration: this.duration,
+      },
+      // most common first
+      causes: Object.fromEntries([...this.causes].sort(([, a], [, b]) => b - a)),
+      gateways: Object.fromEntries([...this.gateways].map(([gateway, { latency, ...stats }]) => {
+        return [gateway, {
+          ...stats,
+          meanLatency: stats.successes ? Math.round(latency / stats.successes) : undefined,
+        }]
+      })),
+    }
+  }
+
+  toString() {
+    const lines = [
+      `uploads: ${this.successes} migrated, ${this.failures} failed, ${this.skipped} skipped`,
+      `parts: ${this.partsPut} sent with PUT, ${this.partsDone} already stored (status done), ${this.partsPresent} already in destination`,
+      `bytes migrated: ${this.bytes}`,
+      `time: ${this.start && this.end ? `${this.start} to ${this.end} (${formatDuration(this.duration ?? 0)})` : 'unknown'}`,
+    ]
+    if (this.causes.size) {
+      lines.push('failures by cause:')
+      for (const [cause, count] of Object.entries(this.toJSON().causes)) {
+        lines.push(`  ${count}\t${cause}`)
+      }
+    }
+    if (this.gateways.size) {
+      lines.push('gateways:')
+      for (const [gateway, { successes, failures, cancelled, meanLatency }] of Object.entries(this.toJSON().gateways)) {
+        lines.push(`  ${gateway}\t${successes} ok, ${failures} failed, ${cancelled} cancelled${meanLatency === undefined ? '' : `, mean latency ${meanLatency}ms`}`)
+      }
+    }
+    return lines.join('\n')
+  }
+}
+
+/**
+ * @param {number} ms - milliseconds
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000)
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = seconds % 60
+  return [h && `${h}h`, (h || m) && `${m}m`, `${s}s`].filter(Boolean).join(' ')
+}
+
+/**
+ * drain migration log events into a MigrationLogSummary
+ * @param {AsyncIterable<any>|Array<any>} events - events parsed from migration log
+ */
+export async function summarizeMigrationLog(events) {
+  const summary = new MigrationLogSummary
+  for await (const event of events) {
+    summary.add(event)
+  }
+  return summary
+}
@@ -0,0 +1,134 @@
+/**
+ * @file describe what a migration would do without doing it
+ */
+
+import { UploadMigrationFailure } from './w3up-migration.js'
+
+/**
+ * @typedef {Pick<import('./w32023.js').W32023Upload, 'cid'|'parts'|'dagSize'>} PlannableUpload
+ */
+
+/**
+ * summary of the work a migration of some uploads would involve,
+ * e.g. how many invocations it would send and how much data it would copy.
+ * Add every upload from a migration source, then serialize with toJSON.
+ */
+export class MigrationPlan {
+  /** @type {{ has: (uploadCid: string) => boolean }|undefined} */
+  #migrated
+  /**
+   * cids of uploads the source failed to get, e.g. because a gateway didn't have the car of their DAG
+   * @type {string[]}
+   */
+  #sourceFailures = []
+  /** number of uploads that would be migrated */
+  uploads = 0
+  /** number of upload parts that would be migrated */
+  parts = 0
+  /** sum of upload.dagSize of uploads that would be migrated */
+  dagSize = 0
+  /** number of uploads that would be skipped because they were already migrated */
+  alreadyMigrated = 0
+  /**
+   * cids of uploads with no parts
+   * @type {string[]}
+   */
+  #uploadsWithoutParts = []
+  /**
+   * map of upload root cid to number of uploads with that root
+   * @type {Map<string, number>}
+   */
+  #roots = new Map
+  /**
+   * map of part cid to cids of uploads with that part
+   * @type {Map<string, string[]>}
+   */
+  #partToUploads = new Map
+
+  /**
+   * @param {object} [options] - options
+   * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads whose cid is in here were already migrated and would be skipped
+   */
+  constructor({ migrated } = {}) {
+    this.#migrated = migrated
+  }
+
+  /**
+   * @param {PlannableUpload} upload - upload from migration source
+   */
+  add(upload) {
+    if (this.#migrated?.has(upload.cid)) {
+      this.alreadyMigrated++
+      return
+    }
+    this.uploads++
+    this.parts += upload.parts.length
+    this.dagSize += upload.dagSize ?? 0
+    if (upload.parts.length === 0) {
+      this.#uploadsWithoutParts.push(upload.cid)
+    }
+    this.#roots.set(upload.cid, (this.#roots.get(upload.cid) ?? 0) + 1)
+    for (const part of upload.parts) {
+      const uploadsWithPart = this.#partToUploads.get(part) ?? []
+      this.#partToUploads.set(part, [...uploadsWithPart, upload.cid])
+    }
+  }
+
+  /**
+   * @param {UploadMigrationFailure<Pick<PlannableUpload, 'cid'>>} failure - failure from migration source
+   */
+  addFailure(failure) {
+    this.#sourceFailures.push(failure.upload.cid)
+  }
+
+  /**
+   * map of root cid to count of uploads with that root, for roots of more than one upload
+   */
+  get duplicateRoots() {
+    return new Map([...this.#roots].filter(([, count]) => count > 1))
+  }
+
+  /**
+   * map of part cid to cids of uploads with that part, for parts of more than one upload
+   */
+  get sharedParts() {
+    return new Map([...this.#partToUploads].filter(([, uploads]) => uploads.length > 1))
+  }
+
+  toJSON() {
+    return {
+      type: 'MigrationPlan',
+      uploads: this.uploads,
+      parts: this.parts,
+      dagSize: this.dagSize,
+      alreadyMigrated: this.alreadyMigrated,
+      invocations: {
+        'store/add': this.parts,
+        'upload/add': this.uploads,
+      },
+      uploadsWithoutParts: this.#uploadsWithoutParts,
+      sourceFailures: this.#sourceFailures,
+      duplicateRoots: Object.fromEntries(this.duplicateRoots),
+      sharedParts: Object.fromEntries(this.sharedParts),
+    }
+  }
+}
+
+/**
+ * drain a source of uploads into a MigrationPlan
+ * @template {PlannableUpload} U
+ * @param {AsyncIterable<U|UploadMigrationFailure<U>>|Array<U|UploadMigrationFailure<U>>} source - uploads that would be migrated, and failures from the source
+ * @param {ConstructorParameters<typeof MigrationPlan>[0] & { release?: (upload: U) => Promise<void> }} [options] - options. `release` is called with each upload once it has been added to the plan, e.g. to delete the cars a source spooled for it
+ */
+export async function planMigration(source, { release, ...options } = {}) {
+  const plan = new MigrationPlan(options)
+  for await (const upload of source) {
+    if (upload instanceof UploadMigrationFailure) {
+      plan.addFailure(upload)
+    } else {
+      plan.add(upload)
+      await release?.(upload)
+    }
+  }
+  return plan
+}
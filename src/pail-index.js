@@ -0,0 +1,102 @@
+/**
+ * @file indexing migrated uploads by the names they had in old web3.storage, in a pail stored in the destination space.
+ * w3up uploads have no names, so this index is how users can find their uploads by name after migrating.
+ * @see https://github.com/web3-storage/pail
+ */
+
+import { MemoryBlockstore } from '@web3-storage/pail/block'
+import * as Batch from '@web3-storage/pail/batch'
+import { ShardBlock } from '@web3-storage/pail/shard'
+import * as Link from 'multiformats/link'
+import { CARReaderStream } from 'carstream/reader'
+import { CARWriterStream } from 'carstream/writer'
+import { fetchDagCarResponse } from './car-spool.js'
+import { VerifyCarBlocks } from './integrity.js'
+import { UnexpectedResponseError } from './w3up-migration.js'
+
+/**
+ * key of an upload in the pail, e.g. `2024-01-19T04:40:04.49+00:00/my-photos`.
+ * Uploads without a name are keyed by their root cid instead, so the key is the same in every update of the pail.
+ * @param {{ cid: string, created?: string, name?: string }} upload - upload from an UploadMigrationSuccess event
+ */
+export function pailKey(upload) {
+  return `${upload.created ?? ''}/${upload.name || upload.cid}`
+}
+
+/**
+ * put each upload from the UploadMigrationSuccess events of a migration log into a pail,
+ * keyed by pailKey, with the upload root as the value.
+ * @param {AsyncIterable<any>|Array<any>} events - events parsed from migration log
+ * @param {object} [options] - options
+ * @param {Link.UnknownLink} [options.root] - root of an existing pail to add to, whose blocks are in `options.blocks`. Without this, a new pail is created
+ * @param {MemoryBlockstore} [options.blocks] - blocks of the existing pail. Blocks of the updated pail are put here too
+ */
+export async function buildUploadNamesPail(events, { root, blocks = new MemoryBlockstore } = {}) {
+  if (!root) {
+    const genesis = await ShardBlock.create()
+    blocks.putSync(genesis.cid, genesis.bytes)
+    root = genesis.cid
+  }
+  const batch = await Batch.create(blocks, /** @type {import('@web3-storage/pail/api').ShardLink} */ (root))
+  let puts = 0
+  for await (const event of events) {
+    if (event?.type !== 'UploadMigrationSuccess' || !event.upload?.cid) continue
+    await batch.put(pailKey(event.upload), Link.parse(event.upload.cid))
+    puts++
+  }
+  const committed = await batch.commit()
+  for (const block of committed.removals) blocks.deleteSync(block.cid)
+  for (const block of committed.additions) blocks.putSync(block.cid, block.bytes)
+  return {
+    root: committed.root,
+    /** number of uploads put in the pail, including any that replaced an entry with the same key */
+    puts,
+    /** all blocks of the updated pail */
+    blocks,
+  }
+}
+
+/**
+ * fetch the blocks of an existing pail from a trustless gateway, verifying each of them
+ * @param {Link.UnknownLink} root - root of pail
+ * @param {object} options - options
+ * @param {URL} options.gateway - trustless gateway
+ * @param {AbortSignal} [options.signal] - for cancelling the fetch
+ */
+export async function fetchPail(root, { gateway, signal }) {
+  const response = await fetchDagCarResponse(root.toString(), gateway, { signal })
+  if (!response.ok || !response.body) {
+    throw new UnexpectedResponseError(`unexpected response status fetching pail ${root} from gateway`, response)
+  }
+  const verifier = new VerifyCarBlocks(root.toString())
+  const blocks = new MemoryBlockstore
+  const reader = response.body
+    .pipeThrough(new CARReaderStream, { signal })
+    .pipeThrough(new TransformStream(verifier), { signal })
+    .getReader()
+  try {
+    for (let read = await reader.read(); !read.done; read = await reader.read()) {
+      blocks.putSync(read.value.cid, read.value.bytes)
+    }
+  } catch (error) {
+    throw verifier.error ?? error
+  }
+  return blocks
+}
+
+/**
+ * encode the blocks of a pail as a car
+ * @param {Link.UnknownLink} root - root of pail
+ * @param {MemoryBlockstore} blocks - blocks of pail
+ * @returns {ReadableStream<Uint8Array>} car bytes
+ */
+export function pailCar(root, blocks) {
+  const entries = blocks.entries()
+  return new ReadableStream({
+    pull(controller) {
+      const next = entries.next()
+      if (next.done) return controller.close()
+      controller.enqueue(next.value)
+    }
+  }).pipeThrough(new CARWriterStream([root]))
+}
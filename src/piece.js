@@ -0,0 +1,146 @@
+/**
+ * @file computing Filecoin piece CIDs (CommP) of car parts as they stream, and offering the pieces for Filecoin deals
+ */
+
+import { Fr32, Piece, Proof, Tree, ZeroComm, IN_BYTES_PER_QUAD, MIN_PAYLOAD_SIZE } from '@web3-storage/data-segment'
+import { Filecoin } from '@web3-storage/capabilities'
+
+/**
+ * transformer that passes bytes through unchanged,
+ * computing the Filecoin piece CID of them as they stream.
+ * Only the nodes along the right edge of the piece tree are kept,
+ * so memory stays constant no matter how big the part is.
+ * The piece CID is `link` once the stream has flushed.
+ * @example `response.body.pipeThrough(new TransformStream(hasher))`
+ */
+export class PieceHasher {
+  #buffer = new Uint8Array(IN_BYTES_PER_QUAD)
+  #offset = 0
+  #size = 0
+  /**
+   * node waiting for a sibling at each level of the tree, from the leaves up
+   * @type {Array<Uint8Array|undefined>}
+   */
+  #layers = []
+  /**
+   * piece CID of the bytes, once they have all been written
+   * @type {import('@web3-storage/data-segment').PieceLink|undefined}
+   */
+  link
+
+  /**
+   * @param {Uint8Array} chunk - bytes
+   * @param {TransformStreamDefaultController<Uint8Array>} controller - stream controller
+   */
+  transform(chunk, controller) {
+    this.write(chunk)
+    controller.enqueue(chunk)
+  }
+
+  flush() {
+    this.link = this.digest()
+  }
+
+  /**
+   * @param {Uint8Array} bytes - next bytes of payload
+   */
+  write(bytes) {
+    this.#size += bytes.length
+    let read = 0
+    if (this.#offset > 0) {
+      read = Math.min(bytes.length, IN_BYTES_PER_QUAD - this.#offset)
+      this.#buffer.set(bytes.subarray(0, read), this.#offset)
+      this.#offset += read
+      if (this.#offset < IN_BYTES_PER_QUAD) return
+      this.#addQuads(this.#buffer)
+      this.#offset = 0
+    }
+    const quads = Math.floor((bytes.length - read) / IN_BYTES_PER_QUAD)
+    if (quads > 0) {
+      this.#addQuads(bytes.subarray(read, read + quads * IN_BYTES_PER_QUAD))
+      read += quads * IN_BYTES_PER_QUAD
+    }
+    this.#buffer.set(bytes.subarray(read), 0)
+    this.#offset = bytes.length - read
+  }
+
+  /**
+   * piece CID of the bytes written so far
+   * @returns {import('@web3-storage/data-segment').PieceLink} piece CID
+   */
+  digest() {
+    if (this.#size < MIN_PAYLOAD_SIZE) {
+      throw new RangeError(`unable to compute piece of ${this.#size} bytes. pieces must be at least ${MIN_PAYLOAD_SIZE} bytes`)
+    }
+    const layers = [...this.#layers]
+    if (this.#offset > 0) {
+      // the last quad is padded with zeros
+      const quad = new Uint8Array(IN_BYTES_PER_QUAD)
+      quad.set(this.#buffer.subarray(0, this.#offset))
+      for (const leaf of Tree.split(Fr32.pad(quad))) addNode(layers, leaf)
+    }
+    // combine the nodes left at each level, padding any without a sibling with the zero node of its level
+    const top = layers.length - 1
+    /** @type {Uint8Array|undefined} */
+    let node
+    let height = top
+    for (let level = 0; level <= top; level++) {
+      const pending = layers[level]
+      if (pending && node) {
+        node = Proof.computeNode(pending, node)
+        height = level + 1
+      } else if (pending ?? node) {
+        const only = /** @type {Uint8Array} */ (pending ?? node)
+        node = level < top ? Proof.computeNode(only, ZeroComm.fromLevel(level)) : only
+        height = level < top ? level + 1 : level
+      }
+    }
+    return Piece.toLink({ height, root: /** @type {Uint8Array} */ (node) })
+  }
+
+  /**
+   * @param {Uint8Array} bytes - whole quads of payload
+   */
+  #addQuads(bytes) {
+    // Fr32.pad zero-pads its input up to a whole piece, so pad one quad at a time
+    for (let offset = 0; offset < bytes.length; offset += IN_BYTES_PER_QUAD) {
+      const quad = bytes.subarray(offset, offset + IN_BYTES_PER_QUAD)
+      for (const leaf of Tree.split(Fr32.pad(quad))) addNode(this.#layers, leaf)
+    }
+  }
+}
+
+/**
+ * add a leaf to the right edge of a piece tree, combining it with any nodes waiting for a sibling
+ * @param {Array<Uint8Array|undefined>} layers - node waiting for a sibling at each level
+ * @param {Uint8Array} leaf - leaf node
+ */
+function addNode(layers, leaf) {
+  let node = leaf
+  let level = 0
+  for (; layers[level]; level++) {
+    node = Proof.computeNode(/** @type {Uint8Array} */ (layers[level]), node)
+    layers[level] = undefined
+  }
+  layers[level] = node
+}
+
+/**
+ * create a filecoin/offer invocation, which offers a stored car for Filecoin deals like w3up clients do for new uploads
+ * @param {object} options - options
+ * @param {import('@ucanto/interface').Signer} options.issuer - issuer of invocation
+ * @param {import('@ucanto/interface').Principal} options.audience - w3up service
+ * @param {import('@ucanto/interface').Delegation[]} [options.proofs] - proofs that issuer can filecoin/offer on space
+ * @param {import('@ucanto/interface').DID<'key'>} options.space - space the car is stored in
+ * @param {import('multiformats').UnknownLink} options.content - CAR CID of car
+ * @param {import('@web3-storage/data-segment').PieceLink} options.piece - piece CID of car
+ */
+export function invokeFilecoinOffer({ issuer, audience, proofs, space, content, piece }) {
+  return Filecoin.offer.invoke({
+    issuer,
+    audience,
+    proofs,
+    with: space,
+    nb: { content, piece },
+  })
+}
@@ -0,0 +1,120 @@
+/**
+ * @file migration source of the pins in a pinata account
+ */
+
+import { CarSpool, TRUSTLESS_GATEWAY, fetchDagCar, spoolUploads } from './car-spool.js'
+import { UnexpectedResponseError } from './w3up-migration.js'
+
+export const API = 'https://api.pinata.cloud'
+
+/**
+ * a pin from the pinata pinList API
+ * @typedef PinataPin
+ * @property {string} id - pin id
+ * @property {string} ipfs_pin_hash - root CID
+ * @property {number} size - size of pinned DAG in bytes
+ * @property {string} date_pinned - ISO 8601 date when pinned
+ * @property {{ name?: string|null }} [metadata] - pin metadata
+ */
+
+/**
+ * get a stream of w32023 uploads from the pins in a pinata account.
+ * Pinata pins have no car parts, so the car for each pinned root is fetched from a trustless gateway
+ * and spooled to a temporary file to determine its CID and size (see `spoolUploads`).
+ * Each upload has a single part: the CID of that car.
+ * Blocks of each car are verified against their CIDs, and a pin whose car can't be fetched or verified is yielded as an UploadMigrationFailure.
+ * @param {object} options - options
+ * @param {string} [options.api] - optional API endpoint override
+ * @param {string} options.jwt - pinata API JWT
+ * @param {string} [options.gateway] - trustless gateway to fetch car of each pinned root from
+ * @param {number} [options.pageSize] - number of pins to request per page
+ * @param {CarSpool} [options.spool] - where to spool cars
+ * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads already migrated, whose cars won't be gotten
+ * @param {AbortSignal} [options.signal] - for cancelling fetching and spooling cars
+ */
+export function getUploads({
+  api = API,
+  jwt,
+  gateway = TRUSTLESS_GATEWAY,
+  pageSize = 1000,
+  spool,
+  migrated,
+  signal,
+}) {
+  if (!jwt) {
+    throw new Error('a pinata API JWT is required to list pins')
+  }
+  const pinata = new Pinata({ jwt, endpoint: new URL(api) })
+  const dags = (async function* () {
+    for await (const pin of pinata.list({ size: pageSize })) {
+      yield {
+        upload: {
+          _id: pin.id,
+          name: pin.metadata?.name ?? '',
+          created: pin.date_pinned,
+          updated: pin.date_pinned,
+          cid: pin.ipfs_pin_hash,
+          dagSize: pin.size,
+        },
+        car: (options) => fetchDagCar(pin.ipfs_pin_hash, new URL(gateway), options),
+      }
+    }
+  }())
+  return spoolUploads(dags, {
+    // if pins can't be counted, listing them will fail with a better error
+    length: pinata.count().catch(() => undefined),
+    spool,
+    migrated,
+    signal,
+  })
+}
+
+class Pinata {
+  /**
+   * @param {object} options - options
+   * @param {string} options.jwt - pinata API JWT
+   * @param {URL} options.endpoint - pinata API endpoint
+   */
+  constructor({ jwt, endpoint }) {
+    this.jwt = jwt
+    this.endpoint = endpoint
+  }
+
+  /**
+   * @param {Record<string, string>} params - pinList query params
+   */
+  async #pinList(params) {
+    const url = new URL('/data/pinList', this.endpoint)
+    url.search = new URLSearchParams({ status: 'pinned', ...params }).toString()
+    const response = await fetch(url, {
+      headers: { authorization: `Bearer ${this.jwt}` },
+    })
+    if (!response.ok) {
+      throw new UnexpectedResponseError(`unexpected response status listing pinata pins`, response)
+    }
+    /** @type {{ count: number, rows: PinataPin[] }} */
+    const page = await response.json()
+    return page
+  }
+
+  /**
+   * @returns {Promise<number|undefined>} number of pinned pins
+   */
+  async count() {
+    const { count } = await this.#pinList({ pageLimit: '1' })
+    return typeof count === 'number' ? count : undefined
+  }
+
+  /**
+   * page through all pins by offset
+   * @param {object} options - options
+   * @param {number} options.size - page size
+   */
+  async* list({ size }) {
+    for (let offset = 0; ; offset += size) {
+      const { rows } = await this.#pinList({ pageLimit: String(size), pageOffset: String(offset) })
+      yield* rows
+      if (rows.length < size) break
+    }
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * @file migration source of pins from any IPFS Pinning Service API
+ * @see https://ipfs.github.io/pinning-services-api-spec/
+ */
+
+import { CarSpool, TRUSTLESS_GATEWAY, fetchDagCar, spoolUploads } from './car-spool.js'
+import { UnexpectedResponseError } from './w3up-migration.js'
+
+/**
+ * a pin status from the pinning service API
+ * @typedef PinStatus
+ * @property {string} requestid - id of pin request
+ * @property {'queued'|'pinning'|'pinned'|'failed'} status - status of pin
+ * @property {string} created - ISO 8601 date when pin was requested
+ * @property {{ cid: string, name?: string, origins?: string[], meta?: Record<string, string> }} pin - pinned object
+ * @property {string[]} delegates - multiaddrs of nodes with the pin
+ * @property {Record<string, string>} [info] - extra info from the pinning service
+ */
+
+/**
+ * get a stream of w32023 uploads from the pinned pins of a pinning service.
+ * Pins have no car parts, so the car for each pinned root is fetched from a trustless gateway
+ * and spooled to a temporary file to determine its CID and size (see `spoolUploads`).
+ * Each upload has a single part: the CID of that car.
+ * Pin name, created date, status, and meta are kept on the upload so they are in the migration log.
+ * @param {object} options - options
+ * @param {string} options.endpoint - pinning service API endpoint, e.g. https://api.web3.storage
+ * @param {string} options.token - bearer token for the pinning service
+ * @param {string} [options.gateway] - trustless gateway to fetch car of each pinned root from
+ * @param {number} [options.pageSize] - number of pins to request per page
+ * @param {CarSpool} [options.spool] - where to spool cars
+ * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads already migrated, whose cars won't be gotten
+ * @param {AbortSignal} [options.signal] - for cancelling fetching and spooling cars
+ */
+export function getUploads({
+  endpoint,
+  token,
+  gateway = TRUSTLESS_GATEWAY,
+  pageSize = 1000,
+  spool,
+  migrated,
+  signal,
+}) {
+  if (!token) {
+    throw new Error('a bearer token is required to list pins from a pinning service')
+  }
+  const service = new PinningService({ endpoint: new URL(endpoint), token })
+  const dags = (async function* () {
+    for await (const pinStatus of service.list({ size: pageSize, signal })) {
+      const { pin } = pinStatus
+      yield {
+        upload: {
+          _id: pinStatus.requestid,
+          name: pin.name ?? '',
+          created: pinStatus.created,
+          updated: pinStatus.created,
+          cid: pin.cid,
+          pins: [{
+            status: pinStatus.status,
+            updated: pinStatus.created,
+            peerId: '',
+            peerName: service.endpoint.hostname,
+            region: null,
+          }],
+          meta: pin.meta ?? {},
+        },
+        car: (options) => fetchDagCar(pin.cid, new URL(gateway), options),
+      }
+    }
+  }())
+  return spoolUploads(dags, {
+    // if pins can't be counted, listing them will fail with a better error
+    length: service.count({ signal }).catch(() => undefined),
+    spool,
+    migrated,
+    signal,
+  })
+}
+
+class PinningService {
+  /**
+   * @param {object} options - options
+   * @param {URL} options.endpoint - pinning service API endpoint
+   * @param {string} options.token - bearer token
+   */
+  constructor({ endpoint, token }) {
+    this.endpoint = endpoint
+    this.token = token
+  }
+
+  /**
+   * @param {Record<string, string>} params - GET /pins query params
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling the request
+   * @returns {Promise<{ count: number, results: PinStatus[] }>} page of pins
+   */
+  async #listPage(params, { signal } = {}) {
+    // keep any path of the endpoint, e.g. pins of https://example.com/psa are at https://example.com/psa/pins
+    const url = new URL(`${this.endpoint.pathname.replace(/\/$/, '')}/pins`, this.endpoint)
+    url.search = new URLSearchParams({ status: 'pinned', ...params }).toString()
+    const response = await fetch(url, {
+      headers: { authorization: `Bearer ${this.token}` },
+      signal,
+    })
+    if (!response.ok) {
+      throw new UnexpectedResponseError(`unexpected response status listing pins from pinning service`, response)
+    }
+    return await response.json()
+  }
+
+  /**
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - for cancelling the request
+   * @returns {Promise<number|undefined>} number of pinned pins
+   */
+  async count({ signal } = {}) {
+    const { count } = await this.#listPage({ limit: '1' }, { signal })
+    return typeof count === 'number' ? count : undefined
+  }
+
+  /**
+   * page through all pins, newest first.
+   * `before` is exclusive, so each page is requested from just after the oldest pin in the last one,
+   * which includes other pins created at the same time that didn't fit in it.
+   * Pins already yielded from that time are skipped by their requestid.
+   * @param {object} options - options
+   * @param {number} options.size - page size
+   * @param {AbortSignal} [options.signal] - for cancelling requests
+   * @yields {PinStatus} each pin
+   */
+  async* list({ size, signal }) {
+    /** @type {string|undefined} */
+    let before
+    /** time of the oldest pin yielded so far, and requestids of the pins yielded that were created then */
+    let boundary = { time: NaN, requestids: new Set }
+    while (true) {
+      const { results } = await this.#listPage({ limit: String(size), ...(before ? { before } : {}) }, { signal })
+      const fresh = results.filter(p => !boundary.requestids.has(p.requestid))
+      yield* fresh
+      if (results.length < size) break
+      const oldest = results[results.length - 1].created
+      if (!fresh.length) {
+        // every pin in the page was yielded already, so they were all created at the same time, and paging by time can't get past them
+        before = oldest
+        continue
+      }
+      const time = Date.parse(oldest)
+      const requestids = results.filter(p => Date.parse(p.created) === time).map(p => p.requestid)
+      boundary = {
+        time,
+        requestids: new Set([...(time === boundary.time ? boundary.requestids : []), ...requestids]),
+      }
+      before = new Date(time + 1).toISOString()
+    }
+  }
+}
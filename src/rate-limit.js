@@ -0,0 +1,189 @@
+/**
+ * @file client-side rate limiting of requests, so servers don't have to throttle us
+ */
+
+import { sleep } from './utils.js'
+
+/**
+ * max rate of each kind of request made by a migration, in requests per second.
+ * Omitted kinds are not limited, but still back off when throttled.
+ * @typedef {object} RateLimits
+ * @property {number} [storeAdd] - store/add invocations per second
+ * @property {number} [uploadAdd] - upload/add invocations per second
+ * @property {number} [fetch] - part fetches per second, e.g. from an IPFS gateway
+ * @property {number} [put] - PUTs of car bytes to presigned URLs per second
+ */
+
+/** milliseconds to back off after being throttled without a Retry-After */
+const defaultBackoff = 1000
+/** max milliseconds to back off after being throttled without a Retry-After */
+const maxBackoff = 60 * 1000
+
+/**
+ * token bucket rate limiter.
+ * Tokens are added at `rate` per second, up to `burst`, and each request takes one.
+ * When a request is throttled (e.g. 429), all requests pause until the Retry-After, or else an exponential backoff,
+ * and the rate is halved. Each request that isn't throttled restores some of the rate.
+ */
+export class TokenBucket {
+  /** number of tokens available */
+  #tokens
+  /** when tokens were last added */
+  #refilled = Date.now()
+  /** no tokens are taken before this time, e.g. because of a Retry-After */
+  #pausedUntil = 0
+  /** milliseconds to back off next time request is throttled without a Retry-After */
+  #backoff = defaultBackoff
+  /** queue of taking tokens, so they are taken in order */
+  #queue = Promise.resolve()
+
+  /**
+   * @param {object} [options] - options
+   * @param {number} [options.rate] - tokens added per second. Infinity for no limit
+   * @param {number} [options.burst] - max tokens that can accumulate
+   */
+  constructor({ rate = Infinity, burst = Number.isFinite(rate) ? Math.max(1, rate) : Infinity } = {}) {
+    if (!(rate > 0)) {
+      throw new Error(`rate must be greater than 0`)
+    }
+    this.maxRate = rate
+    /** current rate, which is lower than maxRate after being throttled */
+    this.rate = rate
+    this.burst = burst
+    this.#tokens = burst
+  }
+
+  #refill() {
+    const now = Date.now()
+    if (!Number.isFinite(this.rate)) {
+      this.#tokens = this.burst
+      this.#refilled = now
+      return
+    }
+    this.#tokens = Math.min(this.burst, this.#tokens + ((now - this.#refilled) / 1000 * this.rate))
+    this.#refilled = now
+  }
+
+  /**
+   * @returns {number} milliseconds until a token can be taken, or 0 if one can be taken now
+   */
+  #untilAvailable() {
+    this.#refill()
+    const paused = this.#pausedUntil - Date.now()
+    const refilled = this.#tokens >= 1 ? 0 : (1 - this.#tokens) / this.rate * 1000
+    return Math.max(0, paused, refilled)
+  }
+
+  /**
+   * wait until a token is available, then take it
+   * @param {object} [options] - options
+   * @param {AbortSignal} [options.signal] - stops waiting when aborted
+   */
+  take({ signal } = {}) {
+    const taken = this.#queue.then(async () => {
+      signal?.throwIfAborted()
+      for (let wait = this.#untilAvailable(); wait > 0; wait = this.#untilAvailable()) {
+        await sleep(Math.ceil(wait), signal)
+        signal?.throwIfAborted()
+      }
+      this.#tokens--
+    })
+    // don't let one aborted take stop the rest
+    this.#queue = taken.catch(() => {})
+    return taken
+  }
+
+  /**
+   * back off after a request was throttled
+   * @param {object} [options] - options
+   * @param {number} [options.retryAfter] - milliseconds the server asked us to wait, e.g. from Retry-After header
+   */
+  throttled({ retryAfter } = {}) {
+    const pause = retryAfter ?? this.#backoff
+    this.#backoff = Math.min(maxBackoff, this.#backoff * 2)
+    this.#pausedUntil = Math.max(this.#pausedUntil, Date.now() + pause)
+    if (Number.isFinite(this.rate)) {
+      this.rate = Math.max(this.maxRate / 16, this.rate / 2)
+    }
+    this.#tokens = Math.min(this.#tokens, 0)
+  }
+
+  /**
+   * note a request that was not throttled, recovering from earlier throttling
+   */
+  succeeded() {
+    this.#backoff = defaultBackoff
+    this.rate = Math.min(this.maxRate, this.rate + (this.maxRate / 16))
+  }
+}
+
+/**
+ * parse a Retry-After header value
+ * @param {string|null|undefined} value - seconds or HTTP date
+ * @returns {number|undefined} milliseconds to wait
+ */
+export function parseRetryAfter(value) {
+  if (!value) return
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000
+  const date = Date.parse(value)
+  if (isNaN(date)) return
+  return Math.max(0, date - Date.now())
+}
+
+/**
+ * if a response or error means a request was throttled, get how long to wait before the next request
+ * @param {any} result - Response, or error with status and maybe response (e.g. UnexpectedResponseError)
+ * @returns {{ retryAfter?: number }|undefined} throttle, or undefined if not throttled
+ */
+function getThrottle(result) {
+  const response = result instanceof Response ? result : result?.response
+  const status = result?.status ?? response?.status
+  const retryAfter = parseRetryAfter(response?.headers?.get?.('retry-after'))
+  if (status === 429 || retryAfter !== undefined) {
+    return { retryAfter }
+  }
+}
+
+/**
+ * call an async function once the limiter allows it,
+ * then back off the limiter if the result or error says the request was throttled
+ * @template T
+ * @param {TokenBucket|undefined} limiter - limiter, or undefined for no limit
+ * @param {() => Promise<T>} fn - request to make
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - stops waiting for the limiter when aborted
+ * @returns {Promise<T>} result of fn
+ */
+export async function rateLimited(limiter, fn, { signal } = {}) {
+  if (!limiter) return await fn()
+  await limiter.take({ signal })
+  let result
+  try {
+    result = await fn()
+  } catch (error) {
+    const throttle = getThrottle(error)
+    if (throttle) limiter.throttled(throttle)
+    throw error
+  }
+  const throttle = getThrottle(result)
+  if (throttle) limiter.throttled(throttle)
+  else limiter.succeeded()
+  return result
+}
+
+/**
+ * create a TokenBucket for each kind of request a migration makes
+ * @param {RateLimits} [limits] - max rate of each kind of request
+ */
+export function createRateLimiters(limits = {}) {
+  return {
+    storeAdd: new TokenBucket({ rate: limits.storeAdd }),
+    uploadAdd: new TokenBucket({ rate: limits.uploadAdd }),
+    fetch: new TokenBucket({ rate: limits.fetch }),
+    put: new TokenBucket({ rate: limits.put }),
+  }
+}
+
+/**
+ * @typedef {ReturnType<typeof createRateLimiters>} RateLimiters
+ */
@@ -0,0 +1,58 @@
+/**
+ * @file splitting car parts that are too big for w3up into smaller cars
+ */
+
+import { CARReaderStream } from 'carstream/reader'
+import { CARWriterStream, encodeHeader } from 'carstream/writer'
+
+/** default max shard size of cars packaged from a DAG, the same as current w3up clients use */
+export const DEFAULT_MAX_SHARD_SIZE = 133_169_152
+
+/**
+ * split a car into cars of at most `maxShardSize` bytes, at block boundaries.
+ * Each new car has the roots of the original car, and is spooled so its CID and size are known before it's added to w3up.
+ * @param {ReadableStream<Uint8Array>} car - car bytes
+ * @param {object} options - options
+ * @param {number} options.maxShardSize - max bytes of each new car
+ * @param {import('./car-spool.js').CarSpool} options.spool - where to spool the new cars
+ * @param {AbortSignal} [options.signal] - for cancelling
+ * @param {import('./integrity.js').VerifyCarBlocks<import('carstream/api').Block & import('carstream/api').Position>} [options.verify] - verifier to pass each block through before it's written to a new car, e.g. for cars from an untrusted gateway
+ * @returns {Promise<import('./car-spool.js').SpooledCar[]>} new cars, in the order of their blocks in the original car
+ */
+export async function reshardCar(car, { maxShardSize, spool, signal, verify }) {
+  const reader = new CARReaderStream
+  const read = car.pipeThrough(reader, { signal })
+  const blocks = (verify ? read.pipeThrough(new TransformStream(verify), { signal }) : read).getReader()
+  const { roots } = await reader.getHeader()
+  const headerSize = encodeHeader(roots).length
+  /** @type {import('./car-spool.js').SpooledCar[]} */
+  const shards = []
+  /** @type {{ writer: WritableStreamDefaultWriter<import('carstream/api').Block>, spooled: Promise<import('./car-spool.js').SpooledCar>, size: number }|undefined} */
+  let shard
+  const closeShard = async () => {
+    if (!shard) return
+    await shard.writer.close()
+    shards.push(await shard.spooled)
+    shard = undefined
+  }
+  for (let read = await blocks.read(); !read.done; read = await blocks.read()) {
+    const block = read.value
+    if (headerSize + block.length > maxShardSize) {
+      throw new Error(`unable to reshard car: block ${block.cid} is ${block.length} bytes, which with a car header is more than the max shard size of ${maxShardSize}`)
+    }
+    if (shard && shard.size + block.length > maxShardSize) {
+      await closeShard()
+    }
+    if (!shard) {
+      const { readable, writable } = new CARWriterStream(roots)
+      const spooled = spool.add(readable, { signal })
+      // if spooling fails, writing fails too, so don't let this go unhandled in the meantime
+      spooled.catch(() => {})
+      shard = { writer: writable.getWriter(), spooled, size: headerSize }
+    }
+    await shard.writer.write({ cid: block.cid, bytes: block.bytes })
+    shard.size += block.length
+  }
+  await closeShard()
+  return shards
+}
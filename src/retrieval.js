@@ -0,0 +1,187 @@
+/**
+ * @file checking that migrated uploads can be retrieved by their root CID from an IPFS gateway
+ */
+
+import { CARReaderStream } from 'carstream/reader'
+import { VerifyCarBlocks } from './integrity.js'
+import { sleep } from './utils.js'
+
+/** gateway to check retrieval from by default */
+export const DEFAULT_RETRIEVAL_GATEWAY = 'https://w3s.link'
+
+/**
+ * how to check retrieval of a root CID from a gateway.
+ * 'head' sends a HEAD request for the root, and the gateway responding ok is enough.
+ * 'car' requests a car of only the root block (`?format=car&dag-scope=block`), and the root block has to be in it and match the CID
+ * @typedef {'head'|'car'} RetrievalMethod
+ */
+
+/**
+ * result of one request for a root CID from a gateway
+ * @typedef RetrievalCheck
+ * @property {string} time - when the check started, as an ISO 8601 date
+ * @property {string} url - url that was requested
+ * @property {boolean} ok - whether the root was retrieved
+ * @property {number} [status] - response status, if there was a response
+ * @property {number} duration - milliseconds the check took
+ * @property {{ name: string, message: string }} [error] - why the root wasn't retrieved, if the response wasn't enough to tell
+ */
+
+/**
+ * results of checking retrieval of a root CID on a schedule, e.g. to log in an UploadRetrievalChecked event
+ * @typedef RetrievalChecks
+ * @property {string} gateway - gateway retrieval was checked from
+ * @property {RetrievalMethod} method - how retrieval was checked
+ * @property {boolean} ok - whether the latest check retrieved the root
+ * @property {RetrievalCheck[]} checks - every check, in the order they ran
+ */
+
+/**
+ * results of checking retrieval of a migrated upload, logged once the last check of its schedule is done.
+ * It refers to the upload by cid, since the UploadMigrationSuccess of the upload was logged when it was migrated
+ */
+export class UploadRetrievalChecked {
+  /**
+   * when this happened, as an ISO 8601 date
+   * @type {string}
+   */
+  time = new Date().toISOString()
+
+  /**
+   * @param {{ cid: string }} upload - upload that was migrated
+   * @param {RetrievalChecks} retrieval - results of checking its retrieval
+   */
+  constructor(upload, retrieval) {
+    this.upload = upload
+    this.retrieval = retrieval
+  }
+
+  toJSON() {
+    return {
+      type: 'UploadRetrievalChecked',
+      time: this.time,
+      upload: { cid: this.upload.cid },
+      retrieval: this.retrieval,
+    }
+  }
+}
+
+/**
+ * parse --retrieval-method flag
+ * @param {string|undefined} value - flag value
+ * @returns {RetrievalMethod} method
+ */
+export function parseRetrievalMethod(value = 'car') {
+  if (value !== 'head' && value !== 'car') {
+    throw new Error(`unexpected retrieval method ${JSON.stringify(value)}. expected 'head' or 'car'`)
+  }
+  return value
+}
+
+/**
+ * parse a comma-separated list of milliseconds, e.g. '0,60000,600000' from --retrieval-schedule
+ * @param {string} input - comma-separated milliseconds
+ * @returns {number[]} delays
+ */
+export function parseRetrievalSchedule(input) {
+  return input.split(',').map(s => s.trim()).filter(Boolean).map(s => {
+    const delay = Number(s)
+    if (!Number.isFinite(delay) || delay < 0) {
+      throw new Error(`unexpected retrieval schedule delay ${JSON.stringify(s)}. expected milliseconds`)
+    }
+    return delay
+  })
+}
+
+/**
+ * request a root CID from a gateway once
+ * @param {string} root - root CID of upload
+ * @param {object} options - options
+ * @param {URL} options.gateway - IPFS gateway
+ * @param {RetrievalMethod} [options.method] - how to check retrieval
+ * @param {number} [options.timeout] - milliseconds to wait for the gateway before the check fails
+ * @param {AbortSignal} [options.signal] - for cancelling the check
+ * @returns {Promise<RetrievalCheck>} result of check
+ */
+export async function checkRetrieval(root, { gateway, method = 'car', timeout = 30_000, signal }) {
+  const url = new URL(`/ipfs/${root}`, gateway)
+  if (method === 'car') url.search = '?format=car&dag-scope=block'
+  const time = new Date().toISOString()
+  const start = Date.now()
+  const controller = new AbortController
+  const abort = () => controller.abort(signal?.reason)
+  signal?.addEventListener('abort', abort, { once: true })
+  const timer = setTimeout(() => controller.abort(new Error(`gateway did not respond within ${timeout}ms`)), timeout)
+  /** @type {number|undefined} */
+  let status
+  try {
+    const response = await fetch(url, {
+      method: method === 'head' ? 'HEAD' : 'GET',
+      ...(method === 'car' ? { headers: { accept: 'application/vnd.ipld.car' } } : {}),
+      signal: controller.signal,
+    })
+    status = response.status
+    if (method === 'car' && response.ok && response.body) {
+      await readRootBlock(root, response.body, controller.signal)
+    } else {
+      await response.body?.cancel()
+    }
+    return { time, url: url.toString(), ok: response.ok, status, duration: Date.now() - start }
+  } catch (error) {
+    signal?.throwIfAborted()
+    const { name, message } = /** @type {Error} */ (error)
+    return { time, url: url.toString(), ok: false, ...(status ? { status } : {}), duration: Date.now() - start, error: { name, message } }
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', abort)
+  }
+}
+
+/**
+ * check retrieval of a root CID once for each delay of a schedule, e.g. [0, 60_000] checks right away, and again a minute later.
+ * Every check runs, even after one retrieves the root, so the result shows whether the root is still retrievable at the end of the schedule.
+ * @param {string} root - root CID of upload
+ * @param {object} options - options
+ * @param {URL} options.gateway - IPFS gateway
+ * @param {RetrievalMethod} [options.method] - how to check retrieval
+ * @param {number[]} [options.schedule] - milliseconds after starting to run each check
+ * @param {number} [options.timeout] - milliseconds to wait for the gateway before a check fails
+ * @param {AbortSignal} [options.signal] - for cancelling the checks
+ * @returns {Promise<RetrievalChecks>} results of checks
+ */
+export async function checkRetrievalOnSchedule(root, { gateway, method = 'car', schedule = [0], timeout, signal }) {
+  const start = Date.now()
+  /** @type {RetrievalCheck[]} */
+  const checks = []
+  for (const delay of [...schedule].sort((a, b) => a - b)) {
+    await sleep(start + delay - Date.now(), signal)
+    checks.push(await checkRetrieval(root, { gateway, method, timeout, signal }))
+  }
+  return {
+    gateway: gateway.toString(),
+    method,
+    ok: checks.at(-1)?.ok ?? false,
+    checks,
+  }
+}
+
+/**
+ * read a car of a root block, failing unless it has the root block with bytes that match the root CID
+ * @param {string} root - root CID
+ * @param {ReadableStream<Uint8Array>} car - car bytes
+ * @param {AbortSignal} signal - for cancelling reading
+ */
+async function readRootBlock(root, car, signal) {
+  const verifier = new VerifyCarBlocks(root)
+  const blocks = car
+    .pipeThrough(new CARReaderStream, { signal })
+    .pipeThrough(new TransformStream(verifier), { signal })
+    .getReader()
+  try {
+    for (let read = await blocks.read(); !read.done; read = await blocks.read()) {
+      // blocks are verified as they're read
+    }
+  } catch (error) {
+    throw verifier.error ?? error
+  }
+}
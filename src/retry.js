@@ -0,0 +1,101 @@
+/**
+ * @file retrying operations that may fail for transient reasons, e.g. network errors
+ */
+
+import { sleep } from './utils.js'
+
+/**
+ * when and how to retry a failed operation
+ * @typedef {object} RetryPolicy
+ * @property {number} [maxAttempts] - max number of times to attempt the operation, including the first attempt. default 1 (no retries)
+ * @property {number} [baseDelay] - milliseconds to wait before the first retry. Each subsequent retry waits twice as long as the previous one.
+ * @property {number} [jitter] - fraction (0-1) of each delay that is randomized, so concurrent retries don't happen all at once
+ * @property {Array<string|number>} [retryOn] - which errors are retryable: error names (e.g. 'TypeError'), HTTP statuses (e.g. 429), or HTTP status classes (e.g. '5xx')
+ */
+
+/**
+ * record of one attempt at an operation
+ * @typedef {object} RetryAttempt
+ * @property {number} attempt - 1 for first attempt, 2 for first retry, etc
+ * @property {unknown} [error] - error the attempt failed with, if any
+ * @property {number} [delay] - milliseconds waited before retrying, if the attempt will be retried
+ */
+
+/**
+ * retry network errors, rate limiting, and server errors
+ * @type {Array<string|number>}
+ */
+export const defaultRetryOn = ['TypeError', 429, '5xx']
+
+/**
+ * whether an error should be retried according to a retry policy
+ * @param {any} error - error from failed attempt
+ * @param {Array<string|number>} retryOn - see RetryPolicy['retryOn']
+ */
+export function isRetryable(error, retryOn = defaultRetryOn) {
+  const status = error?.status ?? error?.response?.status
+  for (const condition of retryOn) {
+    if (typeof condition === 'number') {
+      if (status === condition) return true
+      continue
+    }
+    const statusClass = condition.match(/^([1-5])xx$/i)
+    if (statusClass) {
+      if (typeof status === 'number' && Math.floor(status / 100) === Number(statusClass[1])) return true
+      continue
+    }
+    if (error?.name === condition) return true
+  }
+  return false
+}
+
+/**
+ * parse a comma-separated list of retryable errors, e.g. from a cli flag
+ * @param {string} input - e.g. 'TypeError,429,5xx'
+ * @returns {Array<string|number>} see RetryPolicy['retryOn']
+ */
+export function parseRetryOn(input) {
+  return input.split(',').map(s => s.trim()).filter(Boolean).map(s => {
+    return /^\d+$/.test(s) ? parseInt(s, 10) : s
+  })
+}
+
+/**
+ * milliseconds to wait before retrying after a failed attempt.
+ * @param {number} attempt - attempt that failed (1 for first attempt)
+ * @param {RetryPolicy} policy - retry policy
+ */
+export function retryDelay(attempt, { baseDelay = 1000, jitter = 0 }) {
+  const delay = baseDelay * (2 ** (attempt - 1))
+  return Math.round(delay * (1 - (jitter * Math.random())))
+}
+
+/**
+ * call an async function until it succeeds,
+ * retrying according to a retry policy.
+ * If the last attempt fails, or the error isn't retryable, that error is thrown.
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn - operation to attempt. called with attempt number
+ * @param {object} [options] - options
+ * @param {RetryPolicy} [options.policy] - how to retry
+ * @param {AbortSignal} [options.signal] - stops retrying when aborted
+ * @param {(attempt: RetryAttempt) => void} [options.onAttempt] - called after each attempt, e.g. to log it
+ * @returns {Promise<T>} result of first successful attempt
+ */
+export async function retry(fn, { policy = {}, signal, onAttempt } = {}) {
+  const { maxAttempts = 1, retryOn = defaultRetryOn } = policy
+  for (let attempt = 1; ; attempt++) {
+    signal?.throwIfAborted()
+    try {
+      const result = await fn(attempt)
+      onAttempt?.({ attempt })
+      return result
+    } catch (error) {
+      const willRetry = attempt < maxAttempts && isRetryable(error, retryOn) && !signal?.aborted
+      const delay = willRetry ? retryDelay(attempt, policy) : undefined
+      onAttempt?.({ attempt, error, ...(willRetry ? { delay } : {}) })
+      if (!willRetry) throw error
+      await sleep(/** @type {number} */ (delay), signal)
+    }
+  }
+}
@@ -0,0 +1,79 @@
+/**
+ * @file a browsable UnixFS directory of migrated uploads, stored in the destination space.
+ * The directory links every upload by the name it had in old web3.storage, so one gateway link browses everything that was migrated.
+ */
+
+import * as UnixFS from '@ipld/unixfs'
+import * as Link from 'multiformats/link'
+import { CARWriterStream } from 'carstream/writer'
+
+/**
+ * upload to link from the directory, e.g. from a migration source or the upload of an UploadMigrationSuccess event
+ * @typedef {{ cid: string, created?: string, name?: string, dagSize?: number }} DirectoryUpload
+ */
+
+/**
+ * name of an upload in the directory, e.g. `2024-01-19T04:40:04.49+00:00 my-photos`.
+ * Uploads without a name are named by their root cid instead.
+ * A `/` can't be in a UnixFS path segment, so any in the upload name are replaced with `_`.
+ * @param {DirectoryUpload} upload - upload to name
+ */
+export function unixfsEntryName(upload) {
+  const name = (upload.name || upload.cid).replace(/\//g, '_')
+  return upload.created ? `${upload.created} ${name}` : name
+}
+
+/**
+ * build a sharded UnixFS directory linking each upload by unixfsEntryName.
+ * If more than one upload has the same name, the root cid of each after the first is appended to its name,
+ * again if need be, until it's a name no other upload has.
+ * @param {AsyncIterable<DirectoryUpload>|Array<DirectoryUpload>} uploads - uploads to link
+ */
+export async function buildUploadsDirectory(uploads) {
+  /** @type {TransformStream<import('@ipld/unixfs').Block, import('@ipld/unixfs').Block>} */
+  const { readable, writable } = new TransformStream()
+  /** @type {import('@ipld/unixfs').Block[]} */
+  const blocks = []
+  // blocks have to be read as they are written, or the writer waits forever
+  const reading = readable.pipeTo(new WritableStream({ write: (block) => { blocks.push(block) } }))
+  const writer = UnixFS.createWriter({ writable })
+  const directory = UnixFS.createShardedDirectoryWriter(writer)
+  const names = new Set
+  for await (const upload of uploads) {
+    let name = unixfsEntryName(upload)
+    // the name with the cid appended may be the name of another upload too
+    while (names.has(name)) name = `${name} ${upload.cid}`
+    names.add(name)
+    directory.set(name, {
+      cid: Link.parse(upload.cid),
+      contentByteLength: 0,
+      dagByteLength: upload.dagSize ?? 0,
+    })
+  }
+  const { cid: root } = await directory.close()
+  await writer.close()
+  await reading
+  return {
+    root,
+    /** number of uploads linked from the directory */
+    entries: names.size,
+    /** blocks of the directory, not including the uploads it links to */
+    blocks,
+  }
+}
+
+/**
+ * encode the blocks of a directory as a car
+ * @param {Link.UnknownLink} root - root of directory
+ * @param {import('@ipld/unixfs').Block[]} blocks - blocks of directory
+ * @returns {ReadableStream<Uint8Array>} car bytes
+ */
+export function directoryCar(root, blocks) {
+  let next = 0
+  return new ReadableStream({
+    pull(controller) {
+      if (next >= blocks.length) return controller.close()
+      controller.enqueue(blocks[next++])
+    }
+  }).pipeThrough(new CARWriterStream([root]))
+}
@@ -53,7 +53,7 @@ export class MapCidToPromiseResolvers {
 }
 
 // multicodec codec for CAR bytes
-const CAR_CODE = 0x0202
+export const CAR_CODE = 0x0202
 
 /**
  * Attempts to extract a CAR CID from a bucket key.
@@ -88,3 +88,25 @@ export const stringToCarCid = key => {
     })
   }
 }
+
+/**
+ * wait some milliseconds, removing any abort listener once the wait is over so long-lived signals don't accumulate them
+ * @param {number} ms - milliseconds to sleep
+ * @param {AbortSignal} [signal] - rejects with abort reason when aborted
+ * @returns {Promise<void>} resolves after ms
+ */
+export function sleep(ms, signal) {
+  signal?.throwIfAborted()
+  if (ms <= 0) return Promise.resolve()
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeout)
+      reject(signal?.reason)
+    }
+    const timeout = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
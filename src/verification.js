@@ -0,0 +1,203 @@
+/**
+ * @file verifying that a destination space has every upload of a migration, independently of the receipts in the migration log.
+ * What the space has is read back with upload/list, store/list, and blob/list (see listDestinationContents).
+ */
+
+import { DestinationContents } from './destination-contents.js'
+import { UploadMigrationFailure } from './w3up-migration.js'
+
+/**
+ * a shard an upload should have in the destination
+ * @typedef ExpectedShard
+ * @property {string} cid - CAR CID of shard
+ * @property {number} [size] - size of shard in bytes, if known, e.g. from the store/add (or blob/add) invocation in a migration log
+ */
+
+/**
+ * an upload and the shards it should have in the destination
+ * @typedef ExpectedUpload
+ * @property {{ cid: string, [key: string]: unknown }} upload - upload from source, or from a migration log event
+ * @property {ExpectedShard[]} [shards] - shards the upload should have. If unknown, e.g. a source couldn't get the car of the upload's DAG, whatever shards the upload has in the destination are expected, as long as each is stored
+ */
+
+/**
+ * something a destination space is missing (or has unexpectedly) for an upload
+ * @typedef {{ type: 'UploadNotFound' }
+ *   | { type: 'ShardNotInUpload', shard: string }
+ *   | { type: 'UnexpectedShard', shard: string }
+ *   | { type: 'ShardNotStored', shard: string }
+ *   | { type: 'ShardSizeMismatch', shard: string, expected: number, actual: number }
+ * } VerificationProblem
+ */
+
+/**
+ * an upload whose root, shards, and shard sizes in the destination are as expected
+ */
+export class UploadVerified {
+  /**
+   * when this happened, as an ISO 8601 date
+   * @type {string}
+   */
+  time = new Date().toISOString()
+
+  /**
+   * @param {ExpectedUpload['upload']} upload - upload that was verified
+   * @param {Array<{ cid: string, size?: number }>} shards - shards of the upload in the destination, with their stored sizes
+   */
+  constructor(upload, shards) {
+    this.upload = upload
+    this.shards = shards
+  }
+
+  toJSON() {
+    return {
+      type: 'UploadVerified',
+      time: this.time,
+      upload: { cid: this.upload.cid },
+      shards: this.shards,
+    }
+  }
+}
+
+/**
+ * an upload the destination doesn't have all of
+ */
+export class UploadVerificationFailure {
+  /**
+   * when this happened, as an ISO 8601 date
+   * @type {string}
+   */
+  time = new Date().toISOString()
+
+  /**
+   * @param {ExpectedUpload['upload']} upload - upload that failed verification
+   * @param {VerificationProblem[]} problems - what is wrong with the upload in the destination
+   */
+  constructor(upload, problems) {
+    this.upload = upload
+    this.problems = problems
+  }
+
+  toJSON() {
+    return {
+      type: 'UploadVerificationFailure',
+      time: this.time,
+      upload: { cid: this.upload.cid },
+      problems: this.problems,
+    }
+  }
+}
+
+/**
+ * verify that a destination has an upload's root, that the upload has exactly the expected shards,
+ * and that each shard is stored with the expected size.
+ * @param {ExpectedUpload} expected - upload to verify
+ * @param {DestinationContents} contents - what the destination has
+ * @returns {UploadVerified|UploadVerificationFailure} result
+ */
+export function verifyUpload({ upload, shards: expectedShards }, contents) {
+  const actualShards = contents.uploads.get(DestinationContents.uploadKey(upload.cid))
+  if (!actualShards) {
+    return new UploadVerificationFailure(upload, [{ type: 'UploadNotFound' }])
+  }
+  /** @type {ExpectedShard[]} */
+  const shards = expectedShards ?? actualShards.map(cid => ({ cid }))
+  /** @type {VerificationProblem[]} */
+  const problems = []
+  const expectedKeys = new Set(shards.map(shard => DestinationContents.shardKey(shard.cid)))
+  for (const shard of shards) {
+    const key = DestinationContents.shardKey(shard.cid)
+    if (!actualShards.includes(key)) {
+      problems.push({ type: 'ShardNotInUpload', shard: shard.cid })
+    }
+    const size = contents.shards.get(key)
+    if (size === undefined) {
+      problems.push({ type: 'ShardNotStored', shard: shard.cid })
+    } else if (shard.size !== undefined && size !== shard.size) {
+      problems.push({ type: 'ShardSizeMismatch', shard: shard.cid, expected: shard.size, actual: size })
+    }
+  }
+  for (const key of actualShards) {
+    if (!expectedKeys.has(key)) problems.push({ type: 'UnexpectedShard', shard: key })
+  }
+  if (problems.length) {
+    return new UploadVerificationFailure(upload, problems)
+  }
+  return new UploadVerified(upload, shards.map(shard => {
+    const size = contents.shards.get(DestinationContents.shardKey(shard.cid)) ?? shard.size
+    return { cid: shard.cid, ...(size === undefined ? {} : { size }) }
+  }))
+}
+
+/**
+ * expect the parts of uploads from a migration source to be the shards of the uploads in the destination.
+ * Sources don't know the size of parts, so only that each is stored is verified, not its size.
+ * For failures from the source (e.g. a DAG it couldn't get the car of), the parts aren't known,
+ * so the upload is expected with whatever shards it has.
+ * @param {AsyncIterable<{ cid: string, parts: string[] }|UploadMigrationFailure<{ cid: string }>>} uploads - uploads from a migration source
+ * @yields {ExpectedUpload} each upload with its parts as shards
+ */
+export async function* expectSourceUploads(uploads) {
+  for await (const upload of uploads) {
+    if (upload instanceof UploadMigrationFailure) {
+      yield { upload: upload.upload }
+      continue
+    }
+    yield { upload, shards: upload.parts.map(cid => ({ cid })) }
+  }
+}
+
+/**
+ * expect the uploads of migration log events to be in the destination, with the shards they were migrated as.
+ * Uploads of UploadMigrationSuccess and UploadMigrationSkipped events are expected to have the shards in the event,
+ * e.g. the smaller shards of a part that was re-sharded, with the sizes they were added with.
+ * Uploads that only have UploadMigrationFailure events are expected too, with their parts as shards,
+ * so uploads that never migrated fail verification instead of being left out of it.
+ * @param {AsyncIterable<any>|Array<any>} events - events parsed from migration logs
+ * @yields {ExpectedUpload} each upload in the logs, once
+ */
+export async function* expectMigrationLogUploads(events) {
+  /** @type {Map<string, ExpectedUpload>} */
+  const failed = new Map
+  const migrated = new Set
+  for await (const event of events) {
+    const upload = event?.upload
+    if (!upload?.cid) continue
+    switch (event.type) {
+      case 'UploadMigrationSuccess':
+      case 'UploadMigrationSkipped': {
+        failed.delete(upload.cid)
+        if (migrated.has(upload.cid)) continue
+        migrated.add(upload.cid)
+        const parts = upload.parts?.length ? upload.parts : Object.keys(event.parts ?? {})
+        yield {
+          upload,
+          shards: parts.flatMap((/** @type {string} */ cid) => expectedShardsOfPart(cid, event.parts?.[cid])),
+        }
+        break
+      }
+      case 'UploadMigrationFailure':
+        if (!migrated.has(upload.cid)) {
+          failed.set(upload.cid, { upload, shards: (upload.parts ?? []).map((/** @type {string} */ cid) => ({ cid })) })
+        }
+        break
+    }
+  }
+  yield* failed.values()
+}
+
+/**
+ * @param {string} cid - CAR CID of part
+ * @param {any} part - logged MigratedUploadPart of the part, if any
+ * @returns {ExpectedShard[]} shards the part was added as
+ */
+function expectedShardsOfPart(cid, part) {
+  if (part?.shards) {
+    return part.shards.flatMap((/** @type {any} */ shard) => expectedShardsOfPart(shard.part, shard))
+  }
+  const capability = part?.add?.receipt?.ran?.capabilities?.[0]
+  if (capability?.can === 'blob/add') {
+    return [{ cid, size: capability.nb?.blob?.size }]
+  }
+  return [{ cid, size: capability?.nb?.size }]
+}
@@ -1,9 +1,24 @@
 import { W32023Upload } from "./w32023.js";
 import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { base58btc } from 'multiformats/bases/base58'
+import { equals } from 'uint8arrays'
 import { Store, Upload } from '@web3-storage/capabilities'
 import { DID } from "@ucanto/validator"
 import { Parallel } from 'parallel-transform-web'
-import { UploadMigrationFailure, UploadMigrationSuccess, MigratedUploadParts, MigratedUploadPart, UploadPartMigrationFailure, UnexpectedFailureReceipt } from "./w3up-migration.js";
+import { UploadMigrationFailure, UploadMigrationSuccess, UploadMigrationSkipped, MigratedUploadParts, MigratedUploadPart, UploadPartMigrationFailure, UnexpectedFailureReceipt, UnexpectedResponseError, IntegrityError } from "./w3up-migration.js";
+import { retry } from './retry.js'
+import { VerifyCarBlocks, VerifyCarPartBytes } from './integrity.js'
+import { createRateLimiters, rateLimited } from './rate-limit.js'
+import { AdaptiveConcurrency } from './concurrency.js'
+import { InvocationBatcher } from './batch.js'
+import { invokeBlobAdd, invokeConcludeHttpPut, parseBlobAddReceiptNext, pollReceipt } from './blob-add.js'
+import { CarSpool, TRUSTLESS_GATEWAY, fetchDagCarResponse, measurePartResponse } from './car-spool.js'
+import { DEFAULT_MAX_SHARD_SIZE, reshardCar } from './reshard.js'
+import { MIN_PAYLOAD_SIZE } from '@web3-storage/data-segment'
+import { PieceHasher, invokeFilecoinOffer } from './piece.js'
+import { ShardIndexer, encodeShardedDagIndex } from './blob-index.js'
+import { IndexAdd } from './capabilities.js'
 
 /**
  * migrate from w32023 to w3up.
@@ -14,11 +29,23 @@ import { UploadMigrationFailure, UploadMigrationSuccess, MigratedUploadParts, Mi
  * @param {import("@ucanto/client").ConnectionView} options.w3up - connection to w3up on which invocations will be sent
  * @param {URL} options.destination - e.g. w3up space DID to which source uploads will be migrated
  * @param {AbortSignal} [options.signal] - for cancelling the migration
- * @param {ReadableStream<W32023Upload>} options.source - uploads that will be migrated from w32023 json format to w3up
- * @param {number} [options.concurrency] - max concurrency for any phase of pipeline
+ * @param {ReadableStream<W32023Upload>} options.source - uploads that will be migrated from w32023 json format to w3up. A source may have UploadMigrationFailures too (e.g. for a DAG it couldn't get the car of), which are yielded as they are
+ * @param {number|AdaptiveConcurrency} [options.concurrency] - max concurrency for any phase of pipeline, or an AdaptiveConcurrency to adjust how many parts are migrated at once
  * @param {(part: string, options?: { signal?: AbortSignal }) => Promise<Response>} options.fetchPart - given a part CID, return the fetched response
  * @param {(receipt: import("@ucanto/interface").Receipt) => any} [options.onStoreAddReceipt] - called with each store/add invocation receipt
- * @yields {UploadMigrationSuccess<W32023Upload>}
+ * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads whose cid is in here were already migrated (e.g. by a previous run) and will be skipped
+ * @param {import('./destination-contents.js').DestinationContents} [options.present] - what the destination already has (e.g. from listDestinationContents). parts and uploads in here will not be migrated again
+ * @param {import('./retry.js').RetryPolicy} [options.retry] - how to retry part fetches, invocations, and car uploads that fail for transient reasons
+ * @param {boolean} [options.verify] - hash part bytes as they are uploaded, aborting the upload with an IntegrityError if they don't match the part CID or content-length. default true, so mismatched bytes are never sent
+ * @param {import('./rate-limit.js').RateLimits} [options.rateLimits] - max rate of store/add and upload/add invocations, part fetches, and car PUTs. Each backs off when throttled, limited or not
+ * @param {{ size: number, wait?: number }} [options.batch] - send up to `size` store/add (or upload/add) invocations per request, waiting up to `wait` milliseconds for others to batch with. Only useful with concurrency > 1
+ * @param {Protocol} [options.protocol] - how to add parts to w3up
+ * @param {URL} [options.receipts] - with protocol 'blob', w3up receipts endpoint to wait for each blob to be accepted from, e.g. https://up.web3.storage/receipt/
+ * @param {number} [options.maxShardSize] - parts bigger than this many bytes are split into shards no bigger than it at block boundaries, and upload/add lists those shards instead
+ * @param {URL} [options.gateway] - trustless gateway to fetch the car of the whole DAG of uploads with no parts from, so it can be packaged into new parts
+ * @param {boolean} [options.piece] - compute the Filecoin piece CID of each part as it streams, and include it in the MigratedUploadPart
+ * @param {boolean} [options.filecoinOffer] - invoke filecoin/offer for each part once it's added, so it enters the Filecoin deal pipeline like new uploads do. Implies `piece`
+ * @yields {UploadMigrationSuccess<W32023Upload>|UploadMigrationSkipped<W32023Upload>}
  */
 export async function* migrate(options) {
   const {
@@ -30,31 +57,69 @@ export async function* migrate(options) {
     source,
     concurrency = 1,
     fetchPart,
+    migrated,
+    present,
+    retry,
+    rateLimits,
+    batch,
+    gateway = new URL(TRUSTLESS_GATEWAY),
+    protocol,
+    receipts,
   } = options;
-  if (concurrency < 1) {
-    throw new Error(`concurrency must be at least 1`)
+  const adaptive = concurrency instanceof AdaptiveConcurrency ? concurrency : undefined
+  // with adaptive concurrency, Parallel is as wide as it can get, and adaptive decides how much of that is used
+  const width = adaptive ? adaptive.max : /** @type {number} */ (concurrency)
+  if (!Number.isInteger(width) || width < 1) {
+    throw new Error(`concurrency must be an integer of at least 1`)
+  }
+  const limiters = createRateLimiters(rateLimits)
+  // connections that send invocations in batches
+  const batched = batch && {
+    storeAdd: new InvocationBatcher({ connection: w3up, maxSize: batch.size, maxWait: batch.wait }).connection,
+    uploadAdd: new InvocationBatcher({ connection: w3up, maxSize: batch.size, maxWait: batch.wait }).connection,
   }
   /** @type {Array<UploadPartMigrationFailure|UploadMigrationFailure<W32023Upload>>} */
   const failures = []
+  /**
+   * uploads the destination already has, which skip the rest of the pipeline
+   * @type {Array<UploadMigrationSkipped<W32023Upload>>}
+   */
+  const skipped = []
   let uploadCidToParts = new Map
   const results = source
-    .pipeThrough(new TransformStream(new UploadToFetchableUploadPart({ fetchPart })))
+    .pipeThrough(new TransformStream(new UploadToFetchableUploadPart({ fetchPart, migrated, present, skipped, failures, gateway })))
     .pipeThrough(
-      new Parallel(concurrency, (fetchablePart) => migratePart({
-        ...options,
-        part: fetchablePart,
-      }).catch(async error => {
-        if (error instanceof DOMException && error.name === 'AbortError') {
-          throw error
-        }
-        // represent this unexpected error as a PartMigrationFailure
-        // and pass it along
-        const failure = new UploadPartMigrationFailure()
-        failure.part = fetchablePart.part
-        failure.cause = error
-        failure.upload = fetchablePart.upload
-        return failure
-      }))
+      new Parallel(width, async (fetchablePart) => {
+        /** @type {MigrationAttempt[]} */
+        const attempts = []
+        // parts the destination already has are skipped right away, so they'd skew latency.
+        // with protocol 'blob' they are still read to index them
+        const release = present?.hasShard(fetchablePart.part) && protocol !== 'blob' ? undefined : await adaptive?.acquire()
+        return migratePart({
+          ...options,
+          part: fetchablePart,
+          attempts,
+          limiters,
+          w3up: batched?.storeAdd ?? w3up,
+        }).then((migrated) => {
+          // a part that needed retries is a sign of trouble too
+          release?.({ error: migrated instanceof UploadPartMigrationFailure || attempts.some(a => a.error) })
+          return migrated
+        }, async error => {
+          release?.({ error: true })
+          if (error instanceof DOMException && error.name === 'AbortError') {
+            throw error
+          }
+          // represent this unexpected error as a PartMigrationFailure
+          // and pass it along
+          const failure = new UploadPartMigrationFailure()
+          failure.part = fetchablePart.part
+          failure.cause = error
+          failure.upload = fetchablePart.upload
+          failure.attempts = attempts
+          return failure
+        })
+      })
     )
     .pipeThrough(new TransformStream(new CollectMigratedUploadParts(uploadCidToParts, signal)))
     .pipeThrough(new TransformStream({
@@ -72,11 +137,14 @@ export async function* migrate(options) {
         }
       }
     }))
-    .pipeThrough(new TransformStream(new InvokeUploadAddForMigratedParts({ w3up, issuer, destination, authorization, signal })))
+    .pipeThrough(batched
+      // upload/add for more than one upload at once, so there's something to batch
+      ? new Parallel(batch.size, (uploadedParts) => invokeUploadAddOrFail(uploadedParts, { w3up: batched.uploadAdd, issuer, destination, authorization, signal, retry, limiters, protocol, receipts }))
+      : new TransformStream(new InvokeUploadAddForMigratedParts({ w3up, issuer, destination, authorization, signal, retry, limiters, protocol, receipts })))
   const queue = []
   let resultsDone = false
   while (true) {
-    if (resultsDone && !failures.length && !queue.length) break;
+    if (resultsDone && !failures.length && !skipped.length && !queue.length) break;
     while (queue.length) yield queue.pop()
     // watch for results and failures at same time,
     // adding any results/failures to queue to get yielded
@@ -96,6 +164,9 @@ export async function* migrate(options) {
             while (failures.length) {
               queue.push(failures.pop())
             }
+            while (skipped.length) {
+              queue.push(skipped.pop())
+            }
             if (queue.length) return;
             await new Promise((resolve) => setImmediate(resolve))
           }
@@ -120,12 +191,52 @@ export async function* migrate(options) {
  * @typedef {import('@ucanto/interface').Delegation[]} Authorization
  */
 
+/**
+ * connection to w3up as invocations from a function like `invokeBlobAdd` expect it,
+ * since invocations of capabilities from @web3-storage/capabilities are typed with its own version of @ucanto/interface
+ * @template {(...args: any[]) => any} F
+ * @typedef {Parameters<Awaited<ReturnType<F>>['execute']>[0]} ConnectionOf
+ */
+
 /**
  * a single part of an upload, with the part fetchable
  * @typedef FetchableUploadPart
  * @property {string} part - cid of car part
  * @property {W32023Upload} upload - upload that has part in .parts
  * @property {(options?:{signal?:AbortSignal}) => Promise<Response>} fetch - fetch the car bytes
+ * @property {boolean} [dag] - true if the upload has no parts, so `part` is the upload root and `fetch` gets the car of its whole DAG, which is packaged into new parts
+ */
+
+/**
+ * one attempt at an operation while migrating, e.g. fetching a part
+ * @typedef {import('./retry.js').RetryAttempt & { operation: 'fetch'|'store/add'|'blob/add'|'put'|'ucan/conclude'|'filecoin/offer'|'index/add'|'upload/add' }} MigrationAttempt
+ */
+
+/**
+ * create a function that attempts an operation while migrating, retrying it if it fails for transient reasons
+ * @param {object} options - options
+ * @param {import('./retry.js').RetryPolicy} [options.policy] - how to retry operations that fail for transient reasons
+ * @param {AbortSignal} [options.signal] - for cancelling
+ * @param {MigrationAttempt[]} options.attempts - each attempt at an operation will be pushed here
+ */
+function createAttempt({ policy, signal, attempts }) {
+  /**
+   * @template T
+   * @param {MigrationAttempt['operation']} operation - name of operation for attempts log
+   * @param {(attempt: number) => Promise<T>} fn - operation to attempt
+   */
+  return (operation, fn) => retry(fn, {
+    policy,
+    signal,
+    onAttempt: (a) => attempts.push({ operation, ...a }),
+  })
+}
+
+/**
+ * how parts are added to w3up.
+ * 'store' invokes store/add (the protocol of older w3up clients),
+ * 'blob' invokes blob/add and follows its allocate/put/accept effects, then adds the sharded DAG index of each upload with index/add (the protocol of current w3up clients)
+ * @typedef {'store'|'blob'} Protocol
  */
 
 /**
@@ -147,57 +258,387 @@ export async function* migrate(options) {
  * @param {URL} options.destination - e.g. w3up space DID to which source uploads will be migrated
  * @param {AbortSignal} [options.signal] - for cancelling the migration
  * @param {(receipt: import("@ucanto/interface").Receipt) => any} [options.onStoreAddReceipt] - called with each store/add invocation receipt
+ * @param {import('./destination-contents.js').DestinationContents} [options.present] - what the destination already has
+ * @param {import('./retry.js').RetryPolicy} [options.retry] - how to retry operations that fail for transient reasons
+ * @param {MigrationAttempt[]} [options.attempts] - each attempt at an operation will be pushed here
+ * @param {boolean} [options.verify] - verify part bytes match part CID as they are uploaded. default true
+ * @param {import('./rate-limit.js').RateLimiters} [options.limiters] - limit rate of fetches, store/add (or blob/add) invocations, and PUTs
+ * @param {Protocol} [options.protocol] - how to add the part to w3up
+ * @param {URL} [options.receipts] - with protocol 'blob', w3up receipts endpoint to wait for the blob to be accepted from
+ * @param {number} [options.maxShardSize] - parts bigger than this many bytes are split into shards no bigger than it, which are migrated instead
+ * @param {boolean} [options.piece] - compute the Filecoin piece CID of the part as it streams
+ * @param {boolean} [options.filecoinOffer] - invoke filecoin/offer for the part once it's added. Implies `piece`
+ * @returns {Promise<MigratedUploadPart<W32023Upload>|UploadPartMigrationFailure<W32023Upload>>} migrated part, or why it couldn't be migrated
  */
-async function migratePart({ part, signal, issuer, authorization, destination, w3up, onStoreAddReceipt }) {
+async function migratePart(options) {
+  const { part, signal, issuer, authorization, destination, w3up, onStoreAddReceipt, present, retry: retryPolicy, attempts = [], verify = true, limiters, protocol = 'store', receipts, maxShardSize, filecoinOffer = false, piece = filecoinOffer } = options
   signal?.throwIfAborted()
-  const space = DID.match({ method: 'key' }).from(destination.toString())
-  let partFetchResponse
-  partFetchResponse = await part.fetch({ signal })
-  const addNb = carPartToStoreAddNb({ part: part.part, response: partFetchResponse })
-  const invocation = Store.add.invoke({
-    issuer,
-    audience: w3up.id,
-    proofs: authorization,
-    with: space,
-    nb: addNb,
+  // with protocol 'blob', the part is read anyway to index its blocks
+  if (present?.hasShard(part.part) && protocol !== 'blob') {
+    /** @type {MigratedUploadPart<W32023Upload>} */
+    const alreadyPresent = Object.assign(new MigratedUploadPart, {
+      ...part,
+      present: true,
+    })
+    return alreadyPresent
+  }
+  const attempt = createAttempt({ policy: retryPolicy, signal, attempts })
+  /**
+   * bytes of a part fetched without a content-length, measured so they can be added
+   * @type {import('./car-spool.js').MeasuredPart|undefined}
+   */
+  let measured
+  const fetchPart = () => attempt('fetch', async () => {
+    // measured bytes can be read again, so there's no need to fetch them again
+    if (measured) return measured.response({ signal })
+    const response = await rateLimited(limiters?.fetch, () => part.fetch({ signal }), { signal })
+    if (!response.ok) {
+      throw new UnexpectedResponseError(`unexpected response status fetching part ${part.part}`, response)
+    }
+    if (response.headers.get('content-length')) {
+      return response
+    }
+    // e.g. chunked transfer encoding. store/add and blob/add need the size up front
+    const measuredPart = await measurePartResponse(response, { signal })
+    const link = Link.parse(part.part)
+    if (link.multihash.code === sha256.code && !equals(Link.parse(measuredPart.cid).multihash.bytes, link.multihash.bytes)) {
+      await measuredPart.release()
+      throw new IntegrityError(`bytes of part ${part.part} hash to ${measuredPart.cid}`, {
+        part: part.part,
+        expected: { cid: part.part },
+        actual: { size: measuredPart.size, cid: measuredPart.cid },
+      })
+    }
+    measured = measuredPart
+    return measured.response({ signal })
   })
-  const receipt = await invocation.execute(w3up)
-  onStoreAddReceipt?.(receipt)
-
-  // if store/add did not succeed, return info about Failure
-  if (receipt.out.error) {
-    /** @type {UploadPartMigrationFailure<W32023Upload>} */
-    const failure = Object.assign(new UploadPartMigrationFailure, {
+  try {
+    /**
+     * @param {unknown} cause - why the part could not be migrated
+     * @returns {UploadPartMigrationFailure<W32023Upload>} failure to return
+     */
+    const failed = (cause) => Object.assign(new UploadPartMigrationFailure, {
       part: part.part,
-      cause: receipt.out.error,
+      cause,
       upload: part.upload,
+      attempts,
     })
-    return failure
-  }
+    /**
+     * @param {{ url: string, headers: Record<string, string> }} target - where to send car bytes
+     */
+    const putPart = (target) => attempt('put', async (putAttempt) => {
+      // the first fetched body can only be read once, so refetch on retries
+      const car = putAttempt === 1 ? partFetchResponse : await fetchPart()
+      bodyRead = true
+      const verifier = verify ? new VerifyCarPartBytes(part.part, addNb.size) : undefined
+      const hasher = piece && addNb.size >= MIN_PAYLOAD_SIZE ? new PieceHasher : undefined
+      const indexer = protocol === 'blob' ? new ShardIndexer : undefined
+      let body = car.body
+      if (verifier) body = body.pipeThrough(new TransformStream(verifier))
+      if (hasher) body = body.pipeThrough(new TransformStream(hasher))
+      if (indexer) body = body.pipeThrough(new TransformStream(indexer))
+      try {
+        const response = await rateLimited(limiters?.put, () => putCar(target, body, { signal }), { signal })
+        pieceLink = hasher?.link
+        slices = indexer?.slices
+        return response
+      } catch (error) {
+        // when verification errors the request body, fetch rejects with a less useful TypeError
+        throw verifier?.error ?? error
+      }
+    })
+    /**
+     * compute whichever of the piece and slices of the part weren't computed from the bytes that were sent, by reading the fetched bytes.
+     * Fetched bytes are verified like sent ones, so neither is ever computed from bytes that don't match the part CID
+     * @param {object} needed - what to compute, if it hasn't been already
+     * @param {boolean} [needed.piece] - piece CID of the part
+     * @param {boolean} [needed.slices] - size of the part and where each of its blocks is in it
+     */
+    const readPart = async (needed) => {
+      const hasher = needed.piece && !pieceLink ? new PieceHasher : undefined
+      const indexer = needed.slices && !slices ? new ShardIndexer : undefined
+      if (!hasher && !indexer) return
+      const verifier = verify ? new VerifyCarPartBytes(part.part, addNb.size) : undefined
+      const car = bodyRead ? await fetchPart() : partFetchResponse
+      bodyRead = true
+      let body = car.body
+      if (verifier) body = body.pipeThrough(new TransformStream(verifier), { signal })
+      if (hasher) body = body.pipeThrough(new TransformStream(hasher), { signal })
+      if (indexer) body = body.pipeThrough(new TransformStream(indexer), { signal })
+      const reader = body.getReader()
+      try {
+        for (let read = await reader.read(); !read.done; read = await reader.read()) {
+          // the hasher and indexer read the bytes as they pass through
+        }
+      } catch (error) {
+        throw verifier?.error ?? error
+      }
+      if (hasher) pieceLink = hasher.link
+      if (indexer) slices = indexer.slices
+    }
+    /**
+     * piece CID of the part, computed from the bytes that were sent, or else from the fetched bytes that didn't need to be
+     * @returns {Promise<import('@web3-storage/data-segment').PieceLink>} piece CID
+     */
+    const partPiece = async () => {
+      // with protocol 'blob', the same read can index the part if that's needed too
+      await readPart({ piece: true, slices: protocol === 'blob' })
+      return /** @type {import('@web3-storage/data-segment').PieceLink} */ (pieceLink)
+    }
+    /**
+     * compute the piece of a part that was added, and offer it for Filecoin deals if requested.
+     * A failed offer is recorded on the part, since the part itself was added
+     * @param {MigratedUploadPart<W32023Upload>} added - part that was added
+     * @returns {Promise<MigratedUploadPart<W32023Upload>>} part with its piece and filecoin/offer receipt
+     */
+    const withPiece = async (added) => {
+      // there's no piece of fewer bytes than this
+      if (!piece || addNb.size < MIN_PAYLOAD_SIZE) return added
+      added.piece = (await partPiece()).toString()
+      if (!filecoinOffer) return added
+      const offer = invokeFilecoinOffer({
+        issuer,
+        audience: w3up.id,
+        proofs: authorization,
+        space,
+        content: addNb.link,
+        piece: pieceLink,
+      })
+      const receipt = await attempt('filecoin/offer', async () => rateLimited(limiters?.storeAdd, async () => offer.execute(/** @type {ConnectionOf<typeof invokeFilecoinOffer>} */ (w3up)), { signal }))
+      added.offer = { receipt, ...(receipt.out.error ? { error: receipt.out.error } : {}) }
+      return added
+    }
+    /**
+     * split car bytes into shards of at most `maxShardSize` bytes, and migrate each of those instead of the part
+     * @param {ReadableStream<Uint8Array>} car - car bytes
+     * @param {object} reshardOptions - options
+     * @param {number} reshardOptions.maxShardSize - max bytes of each shard
+     * @param {VerifyCarPartBytes} [reshardOptions.verifyBytes] - verify car bytes match the part cid as they are read
+     * @param {VerifyCarBlocks} [reshardOptions.verifyBlocks] - verify each block of the car matches its cid as it is read
+     * @returns {Promise<MigratedUploadPart<W32023Upload>|UploadPartMigrationFailure<W32023Upload>>} part with its migrated shards, or why a shard couldn't be migrated
+     */
+    const migrateShards = async (car, { maxShardSize, verifyBytes, verifyBlocks }) => {
+      const spool = new CarSpool
+      try {
+        let shards
+        try {
+          shards = await reshardCar(
+            verifyBytes ? car.pipeThrough(new TransformStream(verifyBytes)) : car,
+            { maxShardSize, spool, signal, verify: verifyBlocks },
+          )
+        } catch (error) {
+          throw verifyBytes?.error ?? verifyBlocks?.error ?? error
+        }
+        /** @type {MigratedUploadPart<W32023Upload>[]} */
+        const migratedShards = []
+        for (const shard of shards) {
+          const migratedShard = await migratePart({
+            ...options,
+            part: {
+              part: shard.cid,
+              upload: part.upload,
+              fetch: async (fetchOptions) => spool.response(shard.cid, fetchOptions),
+            },
+            attempts: [],
+            // shards are already small enough
+            maxShardSize: undefined,
+          })
+          if (migratedShard instanceof UploadPartMigrationFailure) {
+            return failed(migratedShard.cause)
+          }
+          migratedShards.push(migratedShard)
+        }
+        /** @type {MigratedUploadPart<W32023Upload>} */
+        const resharded = Object.assign(new MigratedUploadPart, {
+          ...part,
+          shards: migratedShards,
+          attempts,
+        })
+        return resharded
+      } finally {
+        await spool.close()
+      }
+    }
 
-  const storeAddSuccess = receipt.out.ok
-  let copyResponse
-  // @ts-expect-error storeAddSuccess has vague type
-  if (storeAddSuccess.status === 'upload') {
-    copyResponse = await uploadBlockForStoreAddSuccess(
-      // @ts-expect-error no svc type
-      receipt.out.ok,
-      partFetchResponse,
-    )
+    if (part.dag) {
+      // the car of a whole DAG from a gateway has no CAR CID to check it against, so check each of its blocks instead
+      const response = await attempt('fetch', async () => {
+        const response = await rateLimited(limiters?.fetch, () => part.fetch({ signal }), { signal })
+        if (!response.ok || !response.body) {
+          throw new UnexpectedResponseError(`unexpected response status fetching car of DAG ${part.part}`, response)
+        }
+        return response
+      })
+      return await migrateShards(/** @type {ReadableStream<Uint8Array>} */ (response.body), {
+        maxShardSize: maxShardSize ?? DEFAULT_MAX_SHARD_SIZE,
+        verifyBlocks: new VerifyCarBlocks(part.part),
+      })
+    }
+
+    const space = DID.match({ method: 'key' }).from(destination.toString())
+    let partFetchResponse
+    partFetchResponse = await fetchPart()
+    // whether the body of partFetchResponse has been read, so the part has to be fetched again to read it
+    let bodyRead = false
+    /** @type {import('@web3-storage/data-segment').PieceLink|undefined} */
+    let pieceLink
+    /** @type {import('./blob-index.js').ShardSlices|undefined} */
+    let slices
+    const addNb = carPartToStoreAddNb({ part: part.part, response: partFetchResponse })
+
+    if (present?.hasShard(part.part)) {
+      // the space already has the part, but the sharded DAG index of its upload needs to know where its blocks are
+      await readPart({ slices: true })
+      /** @type {MigratedUploadPart<W32023Upload>} */
+      const alreadyPresent = Object.assign(new MigratedUploadPart, {
+        ...part,
+        present: true,
+        slices,
+      })
+      return alreadyPresent
+    }
+
+    if (maxShardSize !== undefined && addNb.size > maxShardSize) {
+      // too big for w3up, so split into smaller shards and migrate each of those instead
+      return await migrateShards(partFetchResponse.body, {
+        maxShardSize,
+        verifyBytes: verify ? new VerifyCarPartBytes(part.part, addNb.size) : undefined,
+      })
+    }
+
+    if (protocol === 'blob') {
+      const added = await addBlob({
+        issuer,
+        authorization,
+        w3up,
+        space,
+        digest: addNb.link.multihash,
+        size: addNb.size,
+        put: putPart,
+        attempt,
+        limiters,
+        receipts,
+        signal,
+        onReceipt: onStoreAddReceipt,
+      })
+      if (!added.ok) {
+        return failed(added.error)
+      }
+      // e.g. the space already had the blob, so its bytes weren't sent
+      await readPart({ piece, slices: true })
+      /** @type {MigratedUploadPart<W32023Upload>} */
+      const output = Object.assign(new MigratedUploadPart, {
+        ...part,
+        add: {
+          receipt: added.receipt,
+        },
+        copy: added.ok.copy && {
+          response: added.ok.copy,
+        },
+        slices,
+        attempts,
+      })
+      return await withPiece(output)
+    }
+
+    const invocation = Store.add.invoke({
+      issuer,
+      audience: w3up.id,
+      proofs: authorization,
+      with: space,
+      nb: addNb,
+    })
+    const receipt = await attempt('store/add', async () => rateLimited(limiters?.storeAdd, async () => invocation.execute(w3up), { signal }))
+    onStoreAddReceipt?.(receipt)
+
+    // if store/add did not succeed, return info about Failure
+    if (receipt.out.error) {
+      return failed(receipt.out.error)
+    }
+
+    const storeAddSuccess = receipt.out.ok
+    let copyResponse
+    // @ts-expect-error storeAddSuccess has vague type
+    if (storeAddSuccess.status === 'upload') {
+      copyResponse = await putPart(getStoreAddUploadTarget(
+        // @ts-expect-error no svc type
+        receipt.out.ok
+      ))
+    }
+    /**
+     * @type {MigratedUploadPart<W32023Upload>}
+     */
+    const output = Object.assign(new MigratedUploadPart, {
+      ...part,
+      add: {
+        receipt,
+      },
+      copy: copyResponse && {
+        response: copyResponse,
+      },
+      attempts,
+    })
+    return await withPiece(output)
+  } finally {
+    await measured?.release()
   }
-  /**
-   * @type {MigratedUploadPart<W32023Upload>}
-   */
-  const output = Object.assign(new MigratedUploadPart, {
-    ...part,
-    add: {
-      receipt,
-    },
-    copy: copyResponse && {
-      response: copyResponse,
-    },
+}
+
+/**
+ * add a blob to a space with blob/add, following its effects until w3up accepts the blob
+ * @param {object} options - options
+ * @param {import("@ucanto/client").SignerKey} options.issuer - principal that will issue w3up invocations
+ * @param {Authorization} [options.authorization] - authorization sent with w3up invocations
+ * @param {import("@ucanto/client").ConnectionView} options.w3up - connection to w3up on which invocations will be sent
+ * @param {import('@web3-storage/capabilities/types').SpaceDID} options.space - space to add the blob to
+ * @param {import('multiformats').MultihashDigest} options.digest - multihash of blob bytes
+ * @param {number} options.size - size of blob in bytes
+ * @param {(address: { url: string, headers: Record<string, string> }) => Promise<Response>} options.put - send the blob bytes to the address w3up allocated for them
+ * @param {ReturnType<typeof createAttempt>} options.attempt - attempt an operation, retrying it if it fails for transient reasons
+ * @param {import('./rate-limit.js').RateLimiters} [options.limiters] - limit rate of blob/add and ucan/conclude invocations
+ * @param {URL} [options.receipts] - w3up receipts endpoint to wait for the blob to be accepted from
+ * @param {AbortSignal} [options.signal] - for cancelling
+ * @param {(receipt: import("@ucanto/interface").Receipt) => any} [options.onReceipt] - called with the blob/add receipt
+ * @returns {Promise<{ ok: { copy: Response|undefined }, error?: undefined, receipt: import('@ucanto/interface').Receipt } | { ok?: undefined, error: unknown, receipt: import('@ucanto/interface').Receipt }>} response to sending the bytes if they had to be, with the blob/add receipt, or else the error and receipt of whichever task failed
+ */
+async function addBlob({ issuer, authorization, w3up, space, digest, size, put, attempt, limiters, receipts, signal, onReceipt }) {
+  const invocation = invokeBlobAdd({
+    issuer,
+    audience: w3up.id,
+    proofs: authorization,
+    space,
+    digest,
+    size,
   })
-  return output
+  const receipt = await attempt('blob/add', async () => rateLimited(limiters?.storeAdd, async () => invocation.execute(/** @type {ConnectionOf<typeof invokeBlobAdd>} */ (w3up)), { signal }))
+  onReceipt?.(receipt)
+  if (receipt.out.error) {
+    return { error: receipt.out.error, receipt }
+  }
+  const next = parseBlobAddReceiptNext(receipt)
+  const allocated = next.allocate.receipt
+  if (!allocated) {
+    throw new Error(`blob/add receipt for blob ${base58btc.encode(digest.bytes)} has no receipt for its allocate task`)
+  }
+  if (allocated.out.error) {
+    return { error: allocated.out.error, receipt: allocated }
+  }
+  // without an address, the space already has the blob
+  const address = /** @type {import('@web3-storage/capabilities/types').BlobAllocateSuccess} */ (allocated.out.ok).address
+  const copy = address ? await put(address) : undefined
+  if (!next.put.receipt?.out.ok) {
+    // tell w3up the bytes were sent, so it will accept the blob
+    const conclude = await invokeConcludeHttpPut({ issuer, audience: w3up.id, put: next.put.task })
+    const concluded = await attempt('ucan/conclude', async () => rateLimited(limiters?.storeAdd, async () => conclude.execute(/** @type {ConnectionOf<typeof invokeConcludeHttpPut>} */ (w3up)), { signal }))
+    if (concluded.out.error) {
+      return { error: concluded.out.error, receipt: concluded }
+    }
+  }
+  const accepted = next.accept.receipt ?? (receipts && await pollReceipt(next.accept.task.link(), { endpoint: receipts, signal }))
+  if (accepted?.out.error) {
+    return { error: accepted.out.error, receipt: accepted }
+  }
+  return { ok: { copy }, receipt }
 }
 
 /**
@@ -269,7 +710,9 @@ const collectMigratedParts = async function* (
       const fail = new UploadMigrationFailure;
       fail.upload = upload
       fail.parts = partsForUpload
-      fail.cause = new Error(`Failed to migrate ${partFailureCount}/${upload.parts.length} upload parts`)
+      fail.cause = upload.parts.length
+        ? new Error(`Failed to migrate ${partFailureCount}/${upload.parts.length} upload parts`)
+        : new Error(`Failed to rebuild parts of upload with no parts from its DAG`)
       yield fail
     } else {
       /** @type {MigratedUploadParts<W32023Upload>} */
@@ -325,12 +768,27 @@ class CollectMigratedUploadParts {
 
 /**
  * transform each upload into many upload.parts + add method for part to be fetched
- * (e.g. via http) to get the referent of the part link, i.e. the part car bytes
+ * (e.g. via http) to get the referent of the part link, i.e. the part car bytes.
+ * An upload with no parts (e.g. from the pinning API) is transformed into one part for its whole DAG, fetched from a trustless gateway.
  * @param {W32023Upload} upload - upload with parts
  * @param {(part: string, options?: { signal?: AbortSignal }) => Promise<Response>} fetchPart - given a part CID, fetch it and return a Response
+ * @param {URL} [gateway] - trustless gateway to fetch the DAG of an upload with no parts from
  * @yields {FetchableUploadPart} for each part in upload.parts
  */
-const transformUploadToFetchableUploadPart = async function* (upload, fetchPart) {
+const transformUploadToFetchableUploadPart = async function* (upload, fetchPart, gateway = new URL(TRUSTLESS_GATEWAY)) {
+  if (!upload.parts.length) {
+    /** @type {FetchableUploadPart} */
+    const dag = {
+      upload,
+      part: upload.cid,
+      dag: true,
+      fetch({ signal } = {}) {
+        return fetchDagCarResponse(upload.cid, gateway, { signal })
+      },
+    }
+    yield dag
+    return
+  }
   for (const part of upload.parts) {
     /** @type {FetchableUploadPart} */
     const withResponse = {
@@ -348,7 +806,7 @@ const transformUploadToFetchableUploadPart = async function* (upload, fetchPart)
  * transform each upload into many upload.parts + add method for part to be fetched
  * (e.g. via http) to get the referent of the part link, i.e. the part car bytes.
  * @implements {Transformer<
- *   W32023Upload,
+ *   W32023Upload|UploadMigrationFailure<W32023Upload>,
  *   FetchableUploadPart
  * >}
  */
@@ -357,16 +815,41 @@ class UploadToFetchableUploadPart {
   /**
    * @param {object} options - options
    * @param {(part: string, options?: { signal?: AbortSignal }) => Promise<Response>} options.fetchPart - given a part CID, return the fetched response
+   * @param {{ has: (uploadCid: string) => boolean }} [options.migrated] - uploads whose cid is in here will be skipped
+   * @param {import('./destination-contents.js').DestinationContents} [options.present] - uploads the destination already has will be skipped without fetching their parts
+   * @param {Array<UploadMigrationSkipped<W32023Upload>>} [options.skipped] - an UploadMigrationSkipped for each upload skipped because the destination has it will be pushed here
+   * @param {Array<UploadPartMigrationFailure|UploadMigrationFailure<W32023Upload>>} [options.failures] - failures from the source will be pushed here
+   * @param {URL} [options.gateway] - trustless gateway to fetch the DAG of uploads with no parts from
    */
-  constructor({ fetchPart }) {
+  constructor({ fetchPart, migrated, present, skipped, failures, gateway }) {
     this.fetchPart = fetchPart
+    this.migrated = migrated
+    this.present = present
+    this.skipped = skipped
+    this.failures = failures
+    this.gateway = gateway
   }
   /**
-   * @param {W32023Upload} upload - upload to transform into one output per upload.part
+   * @param {W32023Upload|UploadMigrationFailure<W32023Upload>} upload - upload to transform into one output per upload.part
    * @param {TransformStreamDefaultController} controller - enqueue output her
    */
   async transform(upload, controller) {
-    for await (const out of UploadToFetchableUploadPart.transformUploadToFetchableUploadPart(upload, this.fetchPart)) {
+    if (upload instanceof UploadMigrationFailure) {
+      this.failures?.push(upload)
+      return
+    }
+    // already migrated, e.g. by a previous run of this migration
+    if (this.migrated?.has(upload.cid)) return
+    if (this.present?.hasUpload(upload.cid)) {
+      /** @type {UploadMigrationSkipped<W32023Upload>} */
+      const skipped = new UploadMigrationSkipped
+      skipped.reason = 'destination already has upload'
+      skipped.upload = upload
+      skipped.parts = new Map
+      this.skipped?.push(skipped)
+      return
+    }
+    for await (const out of UploadToFetchableUploadPart.transformUploadToFetchableUploadPart(upload, this.fetchPart, this.gateway)) {
       controller.enqueue(out)
     }
   }
@@ -374,33 +857,38 @@ class UploadToFetchableUploadPart {
 
 /**
  * when store/add succeeds, the result instructs the client how to ensure w3up has the block bytes.
- * This function handles that instruction,
- * doing nothing if the StoreAddSuccess indicates w3up already has the block,
- * and piping car bytes to the instructed destination if not.
+ * This function gets where to send the car bytes from a StoreAddSuccess whose status says w3up doesn't have them yet.
  * @param {import("@web3-storage/access").StoreAddSuccess} storeAddSuccess - successful store/add result
- * @param {ReadableStream<Uint8Array>} car - car bytes
- * @param {object} [options] - options
- * @param {AbortSignal} [options.signal] - emits when this should abort
+ * @returns {{ url: string, headers: Record<string, string> }} where to PUT car bytes
  */
-async function uploadBlockForStoreAddSuccess(
-  storeAddSuccess,
-  car,
-  options = {}
-) {
+function getStoreAddUploadTarget(storeAddSuccess) {
   switch (storeAddSuccess.status) {
     case "upload":
-      break;
+      return storeAddSuccess
     case "done":
     default:
       throw new Error(`unexpected store/add success status: "${storeAddSuccess.status}"`)
   }
-  // need to do upload
+}
+
+/**
+ * PUT car bytes to a url from w3up, e.g. from a store/add result or the address from a blob allocation
+ * @param {{ url: string, headers: Record<string, string> }} target - where to send car bytes
+ * @param {ReadableStream<Uint8Array>} car - car bytes
+ * @param {object} [options] - options
+ * @param {AbortSignal} [options.signal] - emits when this should abort
+ */
+async function putCar(
+  target,
+  car,
+  options = {}
+) {
   const sendCarRequest = new Request(
-    storeAddSuccess.url,
+    target.url,
     {
       method: 'PUT',
       mode: 'cors',
-      headers: storeAddSuccess.headers,
+      headers: target.headers,
       body: car,
       redirect: 'follow',
       // @ts-expect-error not in types, but required for the body to work
@@ -411,15 +899,63 @@ async function uploadBlockForStoreAddSuccess(
   // ensure was 2xx, otherwise throw because something unusual happened
   if (!(200 <= sendToPresignedResponse.status && sendToPresignedResponse.status < 300)) {
     console.warn('unsuccessful sendToPresignedResponse', sendToPresignedResponse)
-    throw Object.assign(
-      new Error(`error sending car bytes to url from store/add response`), {
-      response: sendToPresignedResponse,
-    }
-    )
+    throw new UnexpectedResponseError(`error sending car bytes to url from w3up`, sendToPresignedResponse)
   }
   return sendToPresignedResponse
 }
 
+/**
+ * add the sharded DAG index of an upload as a blob, then register it with index/add, like current w3up clients do before upload/add
+ * @param {import('multiformats').UnknownLink} root - root of the upload
+ * @param {MigratedUploadPart<W32023Upload>[]} shards - each shard of the upload, with its slices
+ * @param {object} options - options
+ * @param {import("@ucanto/client").ConnectionView} options.w3up - connection to w3up on which invocations will be sent
+ * @param {import("@ucanto/client").SignerKey} options.issuer - principal that will issue w3up invocations
+ * @param {Authorization} [options.authorization] - authorization sent with w3up invocations
+ * @param {import('@web3-storage/capabilities/types').SpaceDID} options.space - space the upload is added to
+ * @param {ReturnType<typeof createAttempt>} options.attempt - attempt an operation, retrying it if it fails for transient reasons
+ * @param {import('./rate-limit.js').RateLimiters} [options.limiters] - limit rate of invocations and PUTs
+ * @param {URL} [options.receipts] - w3up receipts endpoint to wait for the index blob to be accepted from
+ * @param {AbortSignal} [options.signal] - for cancelling
+ * @returns {Promise<NonNullable<UploadMigrationSuccess<W32023Upload>['index']>>} CAR CID of the index, and index/add receipt
+ */
+async function addShardedDagIndex(root, shards, { w3up, issuer, authorization, space, attempt, limiters, receipts, signal }) {
+  const index = await encodeShardedDagIndex(root, shards.map(shard => {
+    if (!shard.slices) {
+      throw new Error(`unable to index upload ${root}: blocks of shard ${shard.part} are unknown`)
+    }
+    return { multihash: Link.parse(shard.part).multihash, ...shard.slices }
+  }))
+  const added = await addBlob({
+    issuer,
+    authorization,
+    w3up,
+    space,
+    digest: index.link.multihash,
+    size: index.bytes.byteLength,
+    put: (address) => attempt('put', async () => rateLimited(limiters?.put, () => putCar(address, new Blob(/** @type {BlobPart[]} */ ([index.bytes])).stream(), { signal }), { signal })),
+    attempt,
+    limiters,
+    receipts,
+    signal,
+  })
+  if (!added.ok) {
+    throw new UnexpectedFailureReceipt(`adding sharded DAG index ${index.link} of upload ${root} resulted in failure`, added.receipt)
+  }
+  const invocation = IndexAdd.invoke({
+    issuer,
+    audience: w3up.id,
+    proofs: authorization,
+    with: space,
+    nb: { index: index.link },
+  })
+  const receipt = await attempt('index/add', async () => rateLimited(limiters?.uploadAdd, async () => invocation.execute(/** @type {ConnectionOf<typeof IndexAdd.invoke>} */ (w3up)), { signal }))
+  if (receipt.out.error) {
+    throw new UnexpectedFailureReceipt(`index/add invocation resulted in failure`, receipt)
+  }
+  return { link: index.link.toString(), receipt }
+}
+
 /**
  * given info about an upload with all parts migrated to w3up,
  * invoke upload/add with the part links to complete migrating the upload itself.
@@ -430,12 +966,27 @@ async function uploadBlockForStoreAddSuccess(
  * @param {Authorization} options.authorization - authorization sent with w3up invocations
  * @param {URL} options.destination - e.g. w3up space DID to which source uploads will be migrated
  * @param {AbortSignal} [options.signal] - for cancelling the migration
+ * @param {import('./retry.js').RetryPolicy} [options.retry] - how to retry upload/add invocations that fail for transient reasons
+ * @param {MigrationAttempt[]} [options.attempts] - each attempt at upload/add, and at adding the index of the upload, will be pushed here
+ * @param {import('./rate-limit.js').RateLimiters} [options.limiters] - limit rate of upload/add invocations
+ * @param {Protocol} [options.protocol] - how the parts were added to w3up. With 'blob', the sharded DAG index of the upload is added with index/add first
+ * @param {URL} [options.receipts] - with protocol 'blob', w3up receipts endpoint to wait for the index blob to be accepted from
  */
-async function transformInvokeUploadAddForMigratedUploadParts({ upload, parts }, { issuer, authorization, destination, w3up, signal }) {
-  const shards = upload.parts.map(c => Link.parse(c).toV1())
+async function transformInvokeUploadAddForMigratedUploadParts({ upload, parts }, { issuer, authorization, destination, w3up, signal, retry: retryPolicy, attempts = [], limiters, protocol = 'store', receipts }) {
+  // uploads with no parts were rebuilt from their DAG, as a part keyed by the upload root
+  const partCids = upload.parts.length ? upload.parts : [...parts.keys()]
+  // resharded parts are replaced by their shards
+  const shards = partCids.flatMap(c => parts.get(c)?.shards?.map(s => Link.parse(s.part)) ?? [Link.parse(c).toV1()])
   const root = Link.parse(upload.cid)
   const space = DID.match({ method: 'key' }).from(destination.toString())
-  const uploadAddReceipt = await Upload.add.invoke({
+  const attempt = createAttempt({ policy: retryPolicy, signal, attempts })
+  const index = protocol === 'blob'
+    ? await addShardedDagIndex(root, partCids.flatMap(c => {
+      const part = /** @type {MigratedUploadPart<W32023Upload>} */ (parts.get(c))
+      return part.shards ?? [part]
+    }), { w3up, issuer, authorization, space, attempt, limiters, receipts, signal })
+    : undefined
+  const invocation = Upload.add.invoke({
     issuer,
     audience: w3up.id,
     proofs: authorization,
@@ -445,9 +996,8 @@ async function transformInvokeUploadAddForMigratedUploadParts({ upload, parts },
       // @ts-expect-error tolerate any link vs car link
       shards,
     },
-  }).execute(
-    w3up,
-  )
+  })
+  const uploadAddReceipt = await attempt('upload/add', async () => rateLimited(limiters?.uploadAdd, async () => invocation.execute(w3up), { signal }))
   if (!uploadAddReceipt.out.ok) {
     throw new UnexpectedFailureReceipt(`upload/add invocation resulted in failure`, uploadAddReceipt)
   }
@@ -459,6 +1009,8 @@ async function transformInvokeUploadAddForMigratedUploadParts({ upload, parts },
   success.upload = upload
   success.parts = parts
   success.add = { receipt }
+  success.index = index
+  success.attempts = attempts
   return success
 }
 
@@ -467,7 +1019,7 @@ async function transformInvokeUploadAddForMigratedUploadParts({ upload, parts },
  * into stream of info about uploads migrated via successful upload/add invocation linking to parts.
  * @implements {Transformer<
  *   MigratedUploadParts<W32023Upload>,
- *   UploadMigrationSuccess<W32023Upload>|UploadMigrationFailure<W32023Upload>
+ *   UploadMigrationSuccess<W32023Upload>|UploadMigrationSkipped<W32023Upload>|UploadMigrationFailure<W32023Upload>
  * >}
  */
 class InvokeUploadAddForMigratedParts {
@@ -479,25 +1031,43 @@ class InvokeUploadAddForMigratedParts {
    * @param {Authorization} [options.authorization] - authorization sent with w3up invocations
    * @param {URL} options.destination - e.g. w3up space DID to which source uploads will be migrated
    * @param {AbortSignal} [options.signal] - for cancelling the migration
+   * @param {import('./retry.js').RetryPolicy} [options.retry] - how to retry upload/add invocations that fail for transient reasons
+   * @param {import('./rate-limit.js').RateLimiters} [options.limiters] - limit rate of upload/add invocations
+   * @param {Protocol} [options.protocol] - how the parts were added to w3up
+   * @param {URL} [options.receipts] - with protocol 'blob', w3up receipts endpoint to wait for the index blob to be accepted from
    */
-  constructor({ w3up, issuer, authorization, destination, signal }) {
+  constructor({ w3up, issuer, authorization, destination, signal, retry, limiters, protocol, receipts }) {
     /**
      * @param {MigratedUploadParts<W32023Upload>|undefined} uploadedParts - upload to transform into one output per upload.part
-     * @param {TransformStreamDefaultController<UploadMigrationSuccess<W32023Upload>|UploadMigrationFailure<W32023Upload>>} controller - enqueue output her
+     * @param {TransformStreamDefaultController<UploadMigrationSuccess<W32023Upload>|UploadMigrationSkipped<W32023Upload>|UploadMigrationFailure<W32023Upload>>} controller - enqueue output her
      */
     this.transform = async function transform(uploadedParts, controller) {
       if (uploadedParts) {
-        try {
-          controller.enqueue(await InvokeUploadAddForMigratedParts.transform(uploadedParts, { w3up, issuer, authorization, destination, signal }))
-        } catch (error) {
-          /** @type {UploadMigrationFailure<W32023Upload>} */
-          const failure = new UploadMigrationFailure
-          failure.cause = error
-          failure.upload = uploadedParts.upload
-          failure.parts = uploadedParts.parts
-          controller.enqueue(failure)
-        }
+        controller.enqueue(await invokeUploadAddOrFail(uploadedParts, { w3up, issuer, authorization, destination, signal, retry, limiters, protocol, receipts }))
       }
     }
   }
 }
+
+/**
+ * invoke upload/add for an upload with all parts migrated,
+ * representing any error as an UploadMigrationFailure
+ * @param {MigratedUploadParts<W32023Upload>} uploadedParts - upload with all parts migrated to destination
+ * @param {Omit<Parameters<typeof transformInvokeUploadAddForMigratedUploadParts>[1], 'attempts'>} options - options
+ * @returns {Promise<UploadMigrationSuccess<W32023Upload>|UploadMigrationSkipped<W32023Upload>|UploadMigrationFailure<W32023Upload>>} result
+ */
+async function invokeUploadAddOrFail(uploadedParts, options) {
+  /** @type {MigrationAttempt[]} */
+  const attempts = []
+  try {
+    return await InvokeUploadAddForMigratedParts.transform(uploadedParts, { ...options, attempts })
+  } catch (error) {
+    /** @type {UploadMigrationFailure<W32023Upload>} */
+    const failure = new UploadMigrationFailure
+    failure.cause = error
+    failure.upload = uploadedParts.upload
+    failure.parts = uploadedParts.parts
+    failure.attempts = attempts
+    return failure
+  }
+}
@@ -77,7 +77,10 @@ export class W32023Upload {
 }
 
 export class W32023UploadSummary {
-  /** @type {W32023Upload} */
+  /**
+   * meta is not a w32023 field, but some sources add it, e.g. the meta of each pin from pinning service sources
+   * @type {W32023Upload & { meta?: Record<string, string> }}
+   */
   #upload;
   constructor(upload) {
     if ( ! upload) {
@@ -93,6 +96,11 @@ export class W32023UploadSummary {
       parts: this.#upload.parts,
       created: this.#upload.created,
       updated: this.#upload.updated,
+      // e.g. pin status and meta from pinning service sources
+      ...(this.#upload.pins?.length ? { pins: this.#upload.pins } : {}),
+      // Filecoin deals the upload had in old web3.storage, to compare with pieces of the migrated parts
+      ...(this.#upload.deals?.length ? { deals: this.#upload.deals } : {}),
+      ...(this.#upload.meta ? { meta: this.#upload.meta } : {}),
     }
   }
 }
@@ -11,7 +11,7 @@ import { ReadableStream } from 'node:stream/web'
 export class MigratedUploadPart {
   /**
    * @type {{
-   *   receipt: import('@ucanto/interface').Receipt<import("@web3-storage/access").StoreAddSuccess>
+   *   receipt: import('@ucanto/interface').Receipt<import("@web3-storage/access").StoreAddSuccess|import('@web3-storage/capabilities/types').BlobAddSuccess>
    * }}
    */
   add
@@ -25,15 +25,61 @@ export class MigratedUploadPart {
   part
   /** @type {Upload} */
   upload
+  /**
+   * true if the destination already had this part,
+   * so it was not fetched and there is no store/add receipt
+   * @type {boolean|undefined}
+   */
+  present
+
+  /**
+   * if this part was too big for w3up, the smaller shards it was split into, which were migrated instead of it.
+   * there is no add receipt for the part itself
+   * @type {undefined|Array<MigratedUploadPart<any>>}
+   */
+  shards
+
+  /**
+   * Filecoin piece CID (CommP) of the part bytes, if it was computed (see --piece)
+   * @type {undefined|string}
+   */
+  piece
+
+  /**
+   * filecoin/offer of the piece (see --filecoin-offer), and its error if the offer failed
+   * @type {undefined|{
+   *   receipt: import('@ucanto/interface').Receipt
+   *   error?: unknown
+   * }}
+   */
+  offer
+
+  /**
+   * with protocol 'blob', the size of the part and where each of its blocks is in it, for the sharded DAG index of its upload.
+   * Not logged, since it has an entry for every block
+   * @type {undefined|import('./blob-index.js').ShardSlices}
+   */
+  slices
+
+  /**
+   * each attempt at an operation while migrating, e.g. retries of fetching a part
+   * @type {undefined|Array<import('./w32023-to-w3up.js').MigrationAttempt>}
+   */
+  attempts
 
   toJSON() {
     return {
       type: 'MigratedUploadPart',
       copy: this.copy,
       part: this.part,
-      add: {
+      add: this.add && {
         receipt: receiptToJson(this.add.receipt),
       },
+      ...(this.present ? { present: true } : {}),
+      ...(this.shards ? { shards: this.shards.map(s => s.toJSON()) } : {}),
+      ...(this.piece ? { piece: this.piece } : {}),
+      ...(this.offer ? { offer: { receipt: receiptToJson(this.offer.receipt), ...(this.offer.error ? { error: this.offer.error } : {}) } } : {}),
+      attempts: this.attempts,
       upload: {
         cid: this.upload.cid,
       }
@@ -63,6 +109,12 @@ export class MigratedUploadParts {
  * AND an upload/add receipt
  */
 export class UploadMigrationSuccess {
+  /**
+   * when this happened, as an ISO 8601 date
+   * @type {string}
+   */
+  time = new Date().toISOString()
+
   /**
    * @type {{
    *  receipt: import('@ucanto/interface').Receipt<import("@web3-storage/access").UploadAddSuccess>
@@ -79,15 +131,73 @@ export class UploadMigrationSuccess {
   /** @type {Upload} */
   upload
 
+  /**
+   * with protocol 'blob', the sharded DAG index of the upload, added as a blob and registered with index/add before upload/add
+   * @type {undefined|{
+   *  link: string
+   *  receipt: import('@ucanto/interface').Receipt
+   * }}
+   */
+  index
+
+  /**
+   * each attempt at an operation while migrating, e.g. retries of fetching a part
+   * @type {undefined|Array<import('./w32023-to-w3up.js').MigrationAttempt>}
+   */
+  attempts
+
   toJSON() {
     return {
       type: 'UploadMigrationSuccess',
+      time: this.time,
       parts: Object.fromEntries([...this.parts.entries()].map(([partCid, migratedPart]) => {
         return [partCid, migratedPart.toJSON()]
       })),
       add: {
         receipt: receiptToJson(this.add.receipt),
       },
+      ...(this.index ? { index: { link: this.index.link, receipt: receiptToJson(this.index.receipt) } } : {}),
+      attempts: this.attempts,
+      upload: this.upload,
+    }
+  }
+}
+
+/**
+ * @template {{ cid: string }} Upload
+ * 
+ * a single upload that was not migrated because the destination already has it
+ */
+export class UploadMigrationSkipped {
+  /**
+   * when this happened, as an ISO 8601 date
+   * @type {string}
+   */
+  time = new Date().toISOString()
+
+  /**
+   * why the upload was skipped
+   * @type {string}
+   */
+  reason
+
+  /**
+   * map of part CID to migrated part block
+   * @type {Map<string, MigratedUploadPart<Upload>>}
+   */
+  parts
+
+  /** @type {Upload} */
+  upload
+
+  toJSON() {
+    return {
+      type: 'UploadMigrationSkipped',
+      time: this.time,
+      reason: this.reason,
+      parts: Object.fromEntries([...this.parts.entries()].map(([partCid, migratedPart]) => {
+        return [partCid, migratedPart.toJSON()]
+      })),
       upload: this.upload,
     }
   }
@@ -109,12 +219,19 @@ export class UploadPartMigrationFailure {
   /** @type {E} */
   cause
 
+  /**
+   * each attempt at an operation while migrating, e.g. retries of fetching a part
+   * @type {undefined|Array<import('./w32023-to-w3up.js').MigrationAttempt>}
+   */
+  attempts
+
   toJSON() {
     return {
       part: this.part,
       upload: { cid: this.upload.cid },
       // @ts-expect-error 'toJSON' may be there in practice
       cause: ('toJSON' in this.cause && typeof this.cause === 'function') ? this.cause.toJSON() : this.cause,
+      attempts: this.attempts,
     }
   }
 }
@@ -126,6 +243,12 @@ export class UploadPartMigrationFailure {
  * a single upload that could not be migrated due to an Error
  */
 export class UploadMigrationFailure {
+  /**
+   * when this happened, as an ISO 8601 date
+   * @type {string}
+   */
+  time = new Date().toISOString()
+
   /** @type {E} */
   cause
 
@@ -138,11 +261,19 @@ export class UploadMigrationFailure {
   /** @type {Upload} */
   upload
 
+  /**
+   * each attempt at an operation while migrating, e.g. retries of fetching a part
+   * @type {undefined|Array<import('./w32023-to-w3up.js').MigrationAttempt>}
+   */
+  attempts
+
   toJSON() {
     return {
       type: 'UploadMigrationFailure',
+      time: this.time,
       cause: this.cause,
       upload: this.upload,
+      attempts: this.attempts,
       parts: Object.fromEntries([...this.parts.entries()].map(([partCid, partMigration]) => {
         return [partCid, 'toJSON' in partMigration ? partMigration.toJSON() : partMigration]
       }))
@@ -172,6 +303,66 @@ export class UnexpectedFailureReceipt extends Error {
   }
 }
 
+export class UnexpectedResponseError extends Error {
+  /**
+   * @param {string} message - error message
+   * @param {Response} response - response with unexpected status
+   * @param {object} [options] - options
+   * @param {unknown} [options.cause] - cause of error
+   */
+  constructor(message, response, options={}) {
+    super(message)
+    this.name = 'UnexpectedResponseError'
+    /** @type {unknown} */
+    this.cause = options.cause
+    this.response = response
+    this.status = response.status
+  }
+  toJSON() {
+    return {
+      message: this.message,
+      name: this.name,
+      cause: this.cause,
+      status: this.status,
+      url: this.response.url,
+    }
+  }
+}
+
+/**
+ * bytes of an upload part did not match the part CID,
+ * e.g. because a gateway or proxy returned corrupt or truncated data
+ */
+export class IntegrityError extends Error {
+  /**
+   * @param {string} message - error message
+   * @param {object} options - options
+   * @param {string} options.part - cid of car part that was being verified
+   * @param {{ size?: number, cid?: string }} options.expected - size and cid the bytes should have had
+   * @param {{ size: number, cid?: string }} options.actual - size and cid of the bytes that were received
+   * @param {unknown} [options.cause] - cause of error
+   */
+  constructor(message, { part, expected, actual, cause }) {
+    super(message)
+    this.name = 'IntegrityError'
+    /** @type {unknown} */
+    this.cause = cause
+    this.part = part
+    this.expected = expected
+    this.actual = actual
+  }
+  toJSON() {
+    return {
+      message: this.message,
+      name: this.name,
+      cause: this.cause,
+      part: this.part,
+      expected: this.expected,
+      actual: this.actual,
+    }
+  }
+}
+
 /**
  * @param {import('@ucanto/interface').Receipt} r - receipt
  */
@@ -183,13 +374,24 @@ export function receiptToJson(r) {
       ok: r.out.ok,
       error: r.out.error,
     },
-    fx: r.fx,
+    // effects like those of blob/add can be whole invocations, so log only their links
+    fx: {
+      fork: r.fx.fork.map(toLink),
+      ...(r.fx.join ? { join: toLink(r.fx.join) } : {}),
+    },
     meta: r.meta,
     issuer: r.issuer,
     signature: r.signature,
   }
 }
 
+/**
+ * @param {import('@ucanto/interface').Effect} effect - receipt effect, which is an invocation or a link to one
+ */
+function toLink(effect) {
+  return 'link' in effect ? effect.link() : effect
+}
+
 /**
  * @param {import('@ucanto/interface').Invocation} i - invocation
  */
@@ -221,3 +423,17 @@ export function readUploadsFromUploadMigrationFailuresNdjson(readable) {
     }
   })
 }
+
+/**
+ * @param {ReadableStream} readable - readable stream of ndjson migration events
+ * @returns {Promise<Set<string>>} - cids of uploads from UploadMigrationSuccess (or UploadMigrationSkipped) events in readable
+ */
+export async function readMigratedUploadCidsFromNdjson(readable) {
+  const cids = new Set
+  for await (const event of readNDJSONStream(readable)) {
+    if ((event?.type === 'UploadMigrationSuccess' || event?.type === 'UploadMigrationSkipped') && event.upload?.cid) {
+      cids.add(event.upload.cid)
+    }
+  }
+  return cids
+}
@@ -0,0 +1,84 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { CAR, CBOR } from '@ucanto/core'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as raw from 'multiformats/codecs/raw'
+import { CARWriterStream } from 'carstream/writer'
+import { ShardIndexer, encodeShardedDagIndex } from '../src/blob-index.js'
+
+/**
+ * encode raw blocks of bytes as a car
+ * @param {Uint8Array[]} blocks - bytes of each block
+ */
+async function encodeRawCar(blocks) {
+  const linked = await Promise.all(blocks.map(async bytes => ({ cid: Link.create(raw.code, await sha256.digest(bytes)), bytes })))
+  const { readable, writable } = new CARWriterStream([linked[0].cid])
+  const writing = (async () => {
+    const writer = writable.getWriter()
+    for (const block of linked) await writer.write(block)
+    await writer.close()
+  })()
+  const bytes = new Uint8Array(await new Response(readable).arrayBuffer())
+  await writing
+  return { bytes, blocks: linked }
+}
+
+/**
+ * pass bytes through a transformer, a few bytes at a time
+ * @param {Uint8Array} bytes - bytes to pass through
+ * @param {Transformer<Uint8Array, Uint8Array>} transformer - transformer to pass them through
+ */
+async function passThrough(bytes, transformer) {
+  const chunks = new ReadableStream({
+    start(controller) {
+      for (let offset = 0; offset < bytes.length; offset += 7) {
+        controller.enqueue(bytes.subarray(offset, offset + 7))
+      }
+      controller.close()
+    },
+  })
+  return new Uint8Array(await new Response(chunks.pipeThrough(new TransformStream(transformer))).arrayBuffer())
+}
+
+await test('ShardIndexer passes car bytes through and has where each block is in them once it flushes', async () => {
+  const car = await encodeRawCar([new Uint8Array(100).fill(1), new Uint8Array(50).fill(2)])
+  const indexer = new ShardIndexer
+  assert.deepEqual(await passThrough(car.bytes, indexer), car.bytes)
+  assert.equal(indexer.slices?.size, car.bytes.length)
+  assert.deepEqual(indexer.slices?.blocks.map(b => b.multihash.bytes), car.blocks.map(b => b.cid.multihash.bytes))
+  for (const [i, { offset, length }] of (indexer.slices?.blocks ?? []).entries()) {
+    assert.deepEqual(car.bytes.subarray(offset, offset + length), car.blocks[i].bytes)
+  }
+})
+
+await test('ShardIndexer errors the stream for bytes that are not a whole car', async () => {
+  const car = await encodeRawCar([new Uint8Array(100).fill(1)])
+  const indexer = new ShardIndexer
+  await assert.rejects(passThrough(car.bytes.subarray(0, car.bytes.length - 10), indexer))
+  assert.equal(indexer.slices, undefined)
+})
+
+await test('encodeShardedDagIndex encodes the same index no matter the order of shards and blocks', async () => {
+  const cars = await Promise.all([1, 2].map(fill => encodeRawCar([new Uint8Array(100).fill(fill), new Uint8Array(100).fill(fill + 10)])))
+  const shards = await Promise.all(cars.map(async car => {
+    const indexer = new ShardIndexer
+    await passThrough(car.bytes, indexer)
+    return { multihash: (await sha256.digest(car.bytes)), ...(/** @type {import('../src/blob-index.js').ShardSlices} */ (indexer.slices)) }
+  }))
+  const content = cars[0].blocks[0].cid
+  const index = await encodeShardedDagIndex(content, shards)
+  const reversed = await encodeShardedDagIndex(content, [...shards].reverse().map(s => ({ ...s, blocks: [...s.blocks].reverse() })))
+  assert.equal(index.link.toString(), reversed.link.toString())
+  assert.equal(index.link.code, CAR.code)
+  const { roots, blocks } = CAR.decode(index.bytes)
+  const { content: indexed, shards: links } = /** @type {any} */ (CBOR.decode(roots[0].bytes))['index/sharded/dag@0.1']
+  assert.equal(indexed.toString(), content.toString())
+  assert.equal(links.length, 2)
+  for (const link of links) {
+    const [shard, slices] = /** @type {any} */ (CBOR.decode(blocks.get(link.toString()).bytes))
+    // the shard itself and each of its blocks
+    assert.equal(slices.length, 3)
+    assert.ok(shards.some(s => Buffer.from(s.multihash.bytes).equals(shard)))
+  }
+})
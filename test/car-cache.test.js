@@ -0,0 +1,118 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CarCache } from '../src/car-cache.js'
+import { CAR_CODE } from '../src/utils.js'
+
+/**
+ * @param {string} text - part bytes
+ */
+async function createPart(text) {
+  const bytes = new TextEncoder().encode(text)
+  const cid = Link.create(CAR_CODE, await sha256.digest(bytes)).toString()
+  return { cid, bytes, text }
+}
+
+/**
+ * create a fetchPart that responds with known parts, and counts fetches of each
+ * @param {Array<{ cid: string, bytes: Uint8Array, text: string }>} parts - parts to respond with
+ */
+function createFetchPart(parts) {
+  /** @type {Map<string, number>} */
+  const fetches = new Map
+  /**
+   * @param {string} cid - CAR CID
+   */
+  const fetchPart = async (cid) => {
+    fetches.set(cid, (fetches.get(cid) ?? 0) + 1)
+    const part = parts.find(p => p.cid === cid)
+    if (!part) return new Response(null, { status: 404 })
+    return new Response(part.text, { headers: { 'content-length': String(part.bytes.length) } })
+  }
+  return { fetchPart, fetches }
+}
+
+await test('CarCache keeps fetched parts for later runs', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'car-cache-test-'))
+  try {
+    const part = await createPart('car bytes')
+    const { fetchPart, fetches } = createFetchPart([part])
+    const first = await new CarCache({ dir }).wrap(fetchPart)(part.cid)
+    assert.equal(await first.text(), 'car bytes')
+    // a later run with a new cache in the same directory
+    const cache = new CarCache({ dir })
+    assert.equal(await cache.has(part.cid), true)
+    const second = await cache.wrap(fetchPart)(part.cid)
+    assert.equal(second.headers.get('content-length'), String(part.bytes.length))
+    assert.equal(await second.text(), 'car bytes')
+    assert.equal(fetches.get(part.cid), 1, 'part was only fetched once')
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+await test('CarCache does not keep parts that were not fully read or do not match their CID', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'car-cache-test-'))
+  try {
+    const part = await createPart('car bytes')
+    const impostor = { ...(await createPart('wrong bytes')), cid: (await createPart('other bytes')).cid }
+    const { fetchPart } = createFetchPart([part, impostor])
+    const cache = new CarCache({ dir })
+    const cachedFetchPart = cache.wrap(fetchPart)
+
+    await (await cachedFetchPart(part.cid)).body?.cancel()
+    assert.equal(await cache.has(part.cid), false, 'cancelled part is not cached')
+
+    assert.equal(await (await cachedFetchPart(impostor.cid)).text(), 'wrong bytes')
+    assert.equal(await cache.has(impostor.cid), false, 'part with wrong bytes is not cached')
+
+    assert.deepEqual(await fs.readdir(dir), [], 'no temporary files are left behind')
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+await test('CarCache evicts least recently used parts to stay under maxBytes', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'car-cache-test-'))
+  try {
+    const [a, b, c] = await Promise.all(['part a', 'part b', 'part c'].map(createPart))
+    const { fetchPart } = createFetchPart([a, b, c])
+    const cache = new CarCache({ dir, maxBytes: a.bytes.length * 2 })
+    const cachedFetchPart = cache.wrap(fetchPart)
+    for (const part of [a, b, a, c]) {
+      await (await cachedFetchPart(part.cid)).arrayBuffer()
+      await sleep(5)
+    }
+    assert.equal(await cache.has(a.cid), true, 'a was used recently')
+    assert.equal(await cache.has(b.cid), false, 'b was least recently used')
+    assert.equal(await cache.has(c.cid), true)
+    assert.equal(await cache.size(), a.bytes.length * 2)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+await test('CarCache passes bytes through when writing to the cache fails, and leaves nothing behind for bodies that are not read', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'car-cache-test-'))
+  try {
+    const part = await createPart('car bytes')
+    const { fetchPart } = createFetchPart([part])
+    const cache = new CarCache({ dir })
+    const unread = await cache.wrap(fetchPart)(part.cid)
+    assert.equal(unread.status, 200)
+    assert.deepEqual(await fs.readdir(dir), [], 'no cache file for a body that was not read')
+
+    // e.g. the disk the cache is on went away
+    await fs.rm(dir, { recursive: true })
+    const response = await cache.wrap(fetchPart)(part.cid)
+    assert.equal(await response.text(), 'car bytes', 'bytes still pass through')
+    assert.equal(await cache.has(part.cid), false)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
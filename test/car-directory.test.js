@@ -0,0 +1,117 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import * as fs from 'node:fs/promises'
+import { CARWriterStream } from 'carstream/writer'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as Link from 'multiformats/link'
+import { getUploads } from '../src/car-directory.js'
+import { CAR_CODE } from '../src/utils.js'
+import { UploadMigrationFailure } from '../src/w3up-migration.js'
+
+/**
+ * write a car file with a raw block for each text, each of which is a root
+ * @param {string} path - where to write car
+ * @param {...string} texts - contents of each block
+ */
+async function writeCar(path, ...texts) {
+  const blocks = await Promise.all(texts.map(async text => {
+    const bytes = new TextEncoder().encode(text)
+    return { cid: Link.create(raw.code, await sha256.digest(bytes)), bytes }
+  }))
+  const { readable, writable } = new CARWriterStream(blocks.map(b => b.cid))
+  const writing = (async () => {
+    const writer = writable.getWriter()
+    for (const block of blocks) await writer.write(block)
+    await writer.close()
+  })()
+  const car = new Uint8Array(await new Response(readable).arrayBuffer())
+  await writing
+  await fs.writeFile(path, car)
+  const roots = blocks.map(b => b.cid.toString())
+  return { root: roots[0], roots, part: Link.create(CAR_CODE, await sha256.digest(car)).toString(), car }
+}
+
+await test('car directory source yields an upload for each car file', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'car-directory-test-'))
+  try {
+    await fs.mkdir(join(dir, 'sub'))
+    const a = await writeCar(join(dir, 'a.car'), 'a')
+    const b = await writeCar(join(dir, 'sub', 'b.car'), 'b')
+    await fs.writeFile(join(dir, 'notes.txt'), 'not a car')
+
+    const flat = getUploads({ dir })
+    assert.equal(await flat.length, 1)
+    const flatUploads = []
+    for await (const upload of flat) {
+      assert.ok(!(upload instanceof UploadMigrationFailure))
+      flatUploads.push(upload)
+    }
+    assert.deepEqual(flatUploads.map(u => [u.cid, u.parts, u.name]), [[a.root, [a.part], 'a.car']])
+
+    const recursive = getUploads({ dir, recursive: true })
+    assert.equal(await recursive.length, 2)
+    const uploads = []
+    for await (const upload of recursive) {
+      assert.ok(!(upload instanceof UploadMigrationFailure))
+      uploads.push(upload)
+    }
+    assert.deepEqual(uploads.map(u => [u.cid, u.parts]), [[a.root, [a.part]], [b.root, [b.part]]])
+
+    const response = await recursive.fetchPart(b.part)
+    assert.equal(response.headers.get('content-length'), String(b.car.length))
+    assert.deepEqual(new Uint8Array(await response.arrayBuffer()), b.car)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+await test('car directory source yields a failure for a car file it can not read, and reads the rest', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'car-directory-test-'))
+  try {
+    const a = await writeCar(join(dir, 'a.car'), 'a')
+    const b = await writeCar(join(dir, 'b.car'), 'b')
+    // truncated in the middle of its header
+    await fs.writeFile(join(dir, 'b-broken.car'), a.car.subarray(0, 10))
+    const source = getUploads({ dir })
+    const collected = []
+    for await (const upload of source) collected.push(upload)
+    assert.equal(collected.length, 3)
+    const [first, broken, last] = collected
+    assert.ok(!(first instanceof UploadMigrationFailure))
+    assert.deepEqual([first.cid, first.parts], [a.root, [a.part]])
+    assert.ok(broken instanceof UploadMigrationFailure)
+    assert.equal(broken.upload.name, 'b-broken.car')
+    assert.deepEqual(broken.upload.parts, [])
+    assert.equal(broken.upload.cid, Link.create(CAR_CODE, await sha256.digest(a.car.subarray(0, 10))).toString())
+    assert.match(String(broken.cause), /unable to read car header/)
+    assert.ok(!(last instanceof UploadMigrationFailure))
+    assert.deepEqual([last.cid, last.parts], [b.root, [b.part]])
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+await test('car directory source counts an upload for each root, and yields a failure for a car file with no roots', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'car-directory-test-'))
+  try {
+    const a = await writeCar(join(dir, 'a.car'), 'a', 'b')
+    const empty = await writeCar(join(dir, 'empty.car'))
+    const source = getUploads({ dir })
+    assert.equal(await source.length, 3)
+    const collected = []
+    for await (const upload of source) collected.push(upload)
+    assert.equal(collected.length, 3)
+    const [first, second, rootless] = collected
+    assert.ok(!(first instanceof UploadMigrationFailure) && !(second instanceof UploadMigrationFailure))
+    assert.deepEqual([first, second].map(u => [u.cid, u.parts]), [[a.roots[0], [a.part]], [a.roots[1], [a.part]]])
+    assert.ok(rootless instanceof UploadMigrationFailure)
+    assert.equal(rootless.upload.name, 'empty.car')
+    assert.equal(rootless.upload.cid, empty.part)
+    assert.match(String(rootless.cause), /no roots/)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
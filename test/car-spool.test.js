@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CarSpool, measurePartResponse } from '../src/car-spool.js'
+import { CAR_CODE } from '../src/utils.js'
+
+/**
+ * @param {Uint8Array[]} chunks - body chunks
+ */
+function chunkedResponse(chunks) {
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(chunk)
+      controller.close()
+    }
+  }))
+}
+
+await test('measurePartResponse measures size and CID of a response without content-length', async () => {
+  const bytes = new TextEncoder().encode('car bytes')
+  const cid = Link.create(CAR_CODE, await sha256.digest(bytes)).toString()
+  for (const maxBufferBytes of [1024, 4]) {
+    const spool = new CarSpool
+    try {
+      const measured = await measurePartResponse(chunkedResponse([bytes.slice(0, 4), bytes.slice(4)]), { spool, maxBufferBytes })
+      assert.equal(measured.cid, cid)
+      assert.equal(measured.size, bytes.length)
+      assert.equal(spool.has(cid), maxBufferBytes < bytes.length, 'spooled only if too big for memory')
+      // can be read more than once, e.g. to retry sending it
+      for (let i = 0; i < 2; i++) {
+        const response = measured.response()
+        assert.equal(response.headers.get('content-length'), String(bytes.length))
+        assert.equal(await response.text(), 'car bytes')
+      }
+      await measured.release()
+      assert.equal(spool.has(cid), false)
+    } finally {
+      await spool.close()
+    }
+  }
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { join } from 'node:path'
+import { tmpdir } from 'node:os'
+import * as fs from 'node:fs/promises'
+import { Readable } from 'node:stream'
+import { MigrationCheckpoint } from '../src/checkpoint.js'
+import { readMigratedUploadCidsFromNdjson } from '../src/w3up-migration.js'
+import { exampleUpload1 } from '../src/w32023.js'
+
+await test('MigrationCheckpoint persists migrated uploads across opens', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'migrate-to-w3up-checkpoint-'))
+  try {
+    const path = join(dir, 'checkpoint.json')
+    const checkpoint = await MigrationCheckpoint.open(path)
+    assert.equal(checkpoint.size, 0, 'checkpoint starts empty when file does not exist')
+    checkpoint.add('bafy1')
+    checkpoint.add('bafy2')
+    checkpoint.add('bafy3')
+    await checkpoint.flush()
+
+    const reopened = await MigrationCheckpoint.open(path)
+    assert.equal(reopened.size, 3)
+    assert.ok(reopened.has('bafy2'))
+    assert.ok(!reopened.has('bafy4'))
+    assert.deepEqual(
+      (await fs.readdir(dir)).filter(f => f !== 'checkpoint.json'),
+      [],
+      'no temp files left behind',
+    )
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+await test('MigrationCheckpoint appends to the checkpoint file, and removes a line left incomplete by a crash', async () => {
+  const dir = await fs.mkdtemp(join(tmpdir(), 'migrate-to-w3up-checkpoint-'))
+  try {
+    const path = join(dir, 'checkpoint.ndjson')
+    await fs.writeFile(path, '{"cid":"bafy1"}\n{"cid":"bafy2"}\n{"ci')
+    const checkpoint = await MigrationCheckpoint.open(path)
+    assert.equal(checkpoint.size, 2)
+    checkpoint.add('bafy3')
+    checkpoint.add('bafy1')
+    await checkpoint.flush()
+    assert.equal(
+      await fs.readFile(path, 'utf8'),
+      '{"cid":"bafy1"}\n{"cid":"bafy2"}\n{"cid":"bafy3"}\n',
+      'the incomplete line was removed, new uploads were appended, and uploads already in the checkpoint were not',
+    )
+    const reopened = await MigrationCheckpoint.open(path)
+    assert.deepEqual(['bafy1', 'bafy2', 'bafy3'].map(cid => reopened.has(cid)), [true, true, true])
+    assert.equal(reopened.size, 3)
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true })
+  }
+})
+
+await test('readMigratedUploadCidsFromNdjson reads cids of successfully migrated uploads from a log', async () => {
+  const log = [
+    { type: 'UploadMigrationSuccess', upload: { ...exampleUpload1, cid: 'bafySuccess' } },
+    { type: 'UploadMigrationFailure', upload: { ...exampleUpload1, cid: 'bafyFailure' } },
+  ].map(e => JSON.stringify(e) + '\n').join('')
+  const cids = await readMigratedUploadCidsFromNdjson(Readable.toWeb(Readable.from([new TextEncoder().encode(log)])))
+  assert.deepEqual([...cids], ['bafySuccess'])
+})
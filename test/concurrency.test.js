@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { AdaptiveConcurrency } from '../src/concurrency.js'
+
+/**
+ * run tasks through an AdaptiveConcurrency
+ * @param {AdaptiveConcurrency} concurrency - concurrency to run tasks with
+ * @param {number} count - number of tasks to run
+ * @param {(i: number) => { delay: number, error?: boolean }} task - how long each task takes and whether it fails
+ */
+async function run(concurrency, count, task) {
+  let maxActive = 0
+  await Promise.all(Array.from({ length: count }, async (_, i) => {
+    const release = await concurrency.acquire()
+    maxActive = Math.max(maxActive, concurrency.active)
+    const { delay, error } = task(i)
+    await sleep(delay)
+    release({ error })
+  }))
+  return { maxActive }
+}
+
+await test('AdaptiveConcurrency ramps up while tasks are healthy', async () => {
+  const concurrency = new AdaptiveConcurrency({ max: 4 })
+  const { maxActive } = await run(concurrency, 20, () => ({ delay: 5 }))
+  assert.equal(concurrency.limit, 4, 'reached max')
+  assert.ok(maxActive <= 4, `never more than max active, but got ${maxActive}`)
+  assert.equal(concurrency.active, 0)
+})
+
+await test('AdaptiveConcurrency backs off when tasks fail or slow down', async () => {
+  const failing = new AdaptiveConcurrency({ initial: 8, max: 8 })
+  await run(failing, 8, () => ({ delay: 1, error: true }))
+  assert.equal(failing.limit, 4, 'halved after a round of failures')
+
+  const slowing = new AdaptiveConcurrency({ initial: 2, max: 8 })
+  await run(slowing, 2, () => ({ delay: 5 }))
+  assert.equal(slowing.limit, 3, 'healthy round adds a slot')
+  await run(slowing, 3, () => ({ delay: 100 }))
+  assert.equal(slowing.limit, 1, 'round much slower than baseline halves slots')
+})
+
+await test('AdaptiveConcurrency requires 1 <= min <= max', () => {
+  assert.throws(() => new AdaptiveConcurrency({ min: 0 }), /min/)
+  assert.throws(() => new AdaptiveConcurrency({ min: 4, max: 2 }), /min/)
+})
@@ -0,0 +1,116 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import * as CAR from '@ucanto/transport/car'
+import * as Client from '@ucanto/client'
+import * as Server from '@ucanto/server'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import * as Link from 'multiformats/link'
+import { listDestinationContents } from '../src/destination-contents.js'
+import { serverChannel } from './test-utils.js'
+
+const root1 = 'bafybeihtddvvufnzdcetubq5mbv2rvgjchlipf6y7esei5qzg4r7re7rju'
+const root2 = 'bafybeieevwnu57cbcp5u6jsy6wxpj2waq5gfq5gc4spss4skpzk34vvxyy'
+const shard1 = 'bagbaieraclriozt34fk5ej3aa7k67es2hyq5zyc3ohivgbee4qeyyeroqb4a'
+const shard2 = 'bagbaierakuersmo7wndedhwk43e5xwcpzwenuda3dhpcsvkfibewg5gxl7oa'
+const blobShard = 'bagbaieranc6p56qopyqzqzy6x4hzow2konpqehdyoez4n5ie3tjptbe5c7fa'
+
+/**
+ * create a ucanto server that responds to list invocations with pages of one item each
+ * @param {Record<string, any[]>} itemsByCan - map of ability (e.g. upload/list) to items in the listing
+ * @param {object} [options] - options
+ * @param {string[]} [options.unauthorized] - abilities whose invocations fail as unauthorized
+ */
+async function createListingServer(itemsByCan, { unauthorized = [] } = {}) {
+  /** @type {string[]} */
+  const invoked = []
+  /**
+   * @param {string} can - ability of list capability
+   */
+  const list = (can) => (invocation) => {
+    invoked.push(can)
+    if (unauthorized.includes(can)) {
+      return { error: { name: 'Unauthorized', message: `not authorized to ${can}` } }
+    }
+    const items = itemsByCan[can]
+    const index = Number(invocation.capabilities[0].nb.cursor ?? 0)
+    const results = items.slice(index, index + 1)
+    return {
+      ok: {
+        size: results.length,
+        cursor: String(index + 1),
+        results,
+      }
+    }
+  }
+  const server = Server.create({
+    id: await ed25519.generate(),
+    service: {
+      upload: { list: list('upload/list') },
+      store: { list: list('store/list') },
+      blob: { list: list('blob/list') },
+    },
+    codec: /** @type {import('@ucanto/server').InboundCodec} */ (CAR.inbound),
+    validateAuthorization: () => ({ ok: {} }),
+  })
+  return { server: serverChannel(server), invoked }
+}
+
+await test('listDestinationContents pages through upload/list, store/list, and blob/list', async () => {
+  const { server, invoked } = await createListingServer({
+    'upload/list': [
+      { root: Link.parse(root1), shards: [Link.parse(shard1)] },
+      { root: Link.parse(root2), shards: [Link.parse(shard2)] },
+    ],
+    'store/list': [
+      { link: Link.parse(shard1), size: 100 },
+      { link: Link.parse(shard2), size: 200 },
+    ],
+    'blob/list': [
+      { blob: { digest: Link.parse(blobShard).multihash.bytes, size: 300 }, insertedAt: new Date().toISOString() },
+    ],
+  })
+  const space = await ed25519.generate()
+  const w3up = Client.connect({
+    id: space,
+    codec: CAR.outbound,
+    channel: server,
+  })
+  const contents = await listDestinationContents({
+    issuer: space,
+    w3up,
+    destination: new URL(space.did()),
+    size: 1,
+  })
+  assert.deepEqual(invoked, ['upload/list', 'upload/list', 'upload/list', 'store/list', 'store/list', 'store/list', 'blob/list', 'blob/list'])
+  assert.ok(contents.hasUpload(root1))
+  assert.ok(contents.hasUpload(root2))
+  assert.deepEqual(contents.uploads.get(root1), [shard1])
+  assert.ok(contents.hasShard(shard1))
+  assert.equal(contents.shards.get(shard2), 200)
+  assert.ok(contents.hasShard(blobShard), 'blob added with blob/add is a shard')
+  assert.equal(contents.shards.get(blobShard), 300)
+  assert.ok(contents.blobsListed)
+  assert.ok(!contents.hasShard('bagbaieratxdbqmajlqdmfgvmapeujwdmhbw4vx6qyv4nwcxoorzgsmh7jaya'))
+})
+
+await test('listDestinationContents treats an unauthorized blob/list as no blobs, and skips it without blobs', async () => {
+  const items = {
+    'upload/list': [{ root: Link.parse(root1), shards: [Link.parse(shard1)] }],
+    'store/list': [{ link: Link.parse(shard1), size: 100 }],
+    'blob/list': [],
+  }
+  const space = await ed25519.generate()
+  for (const [blobs, expected] of /** @type {const} */ ([[true, ['upload/list', 'store/list', 'blob/list']], [false, ['upload/list', 'store/list']]])) {
+    const { server, invoked } = await createListingServer(items, { unauthorized: ['blob/list'] })
+    const contents = await listDestinationContents({
+      issuer: space,
+      w3up: Client.connect({ id: space, codec: CAR.outbound, channel: server }),
+      destination: new URL(space.did()),
+      blobs,
+    })
+    assert.deepEqual(invoked.filter((can, i) => invoked.indexOf(can) === i), expected)
+    assert.ok(contents.hasUpload(root1))
+    assert.ok(contents.hasShard(shard1))
+    assert.equal(contents.blobsListed, false)
+  }
+})
@@ -0,0 +1,133 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import fs from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import * as UnixFS from '@ipld/unixfs'
+import { withMaxChunkSize } from '@ipld/unixfs/file/chunker/fixed'
+import * as Link from 'multiformats/link'
+import * as raw from 'multiformats/codecs/raw'
+import { identity } from 'multiformats/hashes/identity'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CARWriterStream } from 'carstream/writer'
+import { exportUploadFiles, resolveInside } from '../src/export-files.js'
+import { CAR_CODE } from '../src/utils.js'
+
+/**
+ * write a UnixFS directory of files with raw leaves, chunked into 4 byte leaves
+ * @param {Record<string, string>} files - file contents by name
+ */
+async function encodeDirectory(files) {
+  /** @type {TransformStream<import('@ipld/unixfs').Block, import('@ipld/unixfs').Block>} */
+  const { readable, writable } = new TransformStream()
+  /** @type {import('@ipld/unixfs').Block[]} */
+  const blocks = []
+  const reading = readable.pipeTo(new WritableStream({ write: (block) => { blocks.push(block) } }))
+  const writer = UnixFS.createWriter({
+    writable,
+    settings: UnixFS.configure({ chunker: withMaxChunkSize(4), fileChunkEncoder: raw, smallFileEncoder: raw }),
+  })
+  const directory = UnixFS.createDirectoryWriter(writer)
+  for (const [name, content] of Object.entries(files)) {
+    const file = UnixFS.createFileWriter(writer)
+    file.write(new TextEncoder().encode(content))
+    directory.set(name, await file.close())
+  }
+  const tiny = new TextEncoder().encode('hi')
+  // a file small enough to be inlined in its CID
+  directory.set('tiny.txt', {
+    cid: Link.create(raw.code, identity.digest(tiny)),
+    contentByteLength: tiny.length,
+    dagByteLength: tiny.length,
+  })
+  const { cid: root } = await directory.close()
+  await writer.close()
+  await reading
+  return { root, blocks }
+}
+
+/**
+ * @param {import('multiformats').UnknownLink} root - car root
+ * @param {import('@ipld/unixfs').Block[]} blocks - car blocks
+ */
+async function encodeCarPart(root, blocks) {
+  const bytes = new Uint8Array(await new Response(new ReadableStream({
+    start(controller) {
+      for (const block of blocks) controller.enqueue(block)
+      controller.close()
+    }
+  }).pipeThrough(new CARWriterStream([root]))).arrayBuffer())
+  return { cid: Link.create(CAR_CODE, await sha256.digest(bytes)).toString(), bytes }
+}
+
+/**
+ * @param {Array<{ cid: string, bytes: Uint8Array }>} parts - parts to fetch
+ * @returns {(part: string) => Promise<Response>} fetchPart
+ */
+function partFetcher(parts) {
+  return async (part) => {
+    const found = parts.find(p => p.cid === part)
+    return found ? new Response(new Blob(/** @type {BlobPart[]} */ ([found.bytes]))) : new Response(null, { status: 404 })
+  }
+}
+
+/**
+ * @param {AsyncIterable<T>} items - items to collect
+ * @template T
+ */
+async function collect(items) {
+  /** @type {T[]} */
+  const collected = []
+  for await (const item of items) collected.push(item)
+  return collected
+}
+
+await test('exportUploadFiles writes files from blocks in every part of an upload, and resumes', async () => {
+  const { root, blocks } = await encodeDirectory({ 'hello.txt': 'hello world', 'small.txt': 'abc' })
+  const half = Math.floor(blocks.length / 2)
+  const parts = [await encodeCarPart(root, blocks.slice(0, half)), await encodeCarPart(root, blocks.slice(half))]
+  const upload = { cid: root.toString(), parts: parts.map(p => p.cid) }
+  const out = await fs.mkdtemp(join(tmpdir(), 'export-files-test-'))
+  try {
+    const exported = await collect(exportUploadFiles(upload, { out, fetchPart: partFetcher(parts) }))
+    assert.deepEqual(exported.map(f => [f.type, f.path, f.size]).sort(), [
+      ['FileExported', join(out, root.toString(), 'hello.txt'), 11],
+      ['FileExported', join(out, root.toString(), 'small.txt'), 3],
+      ['FileExported', join(out, root.toString(), 'tiny.txt'), 2],
+    ])
+    assert.equal(await fs.readFile(join(out, root.toString(), 'hello.txt'), 'utf8'), 'hello world')
+    assert.equal(await fs.readFile(join(out, root.toString(), 'tiny.txt'), 'utf8'), 'hi')
+
+    // an interrupted file is written again, and the rest are skipped
+    await fs.truncate(join(out, root.toString(), 'hello.txt'), 5)
+    const resumed = await collect(exportUploadFiles(upload, { out, fetchPart: partFetcher(parts) }))
+    assert.deepEqual(resumed.map(f => [f.type, f.size]).sort(), [
+      ['FileAlreadyExported', 2],
+      ['FileAlreadyExported', 3],
+      ['FileExported', 11],
+    ])
+    assert.equal(await fs.readFile(join(out, root.toString(), 'hello.txt'), 'utf8'), 'hello world')
+
+    // a part whose bytes don't match its cid
+    const corrupt = partFetcher([{ cid: parts[0].cid, bytes: parts[1].bytes }, parts[1]])
+    await assert.rejects(collect(exportUploadFiles(upload, { out, fetchPart: corrupt })), { name: 'IntegrityError' })
+  } finally {
+    await fs.rm(out, { recursive: true, force: true })
+  }
+})
+
+await test('exportUploadFiles refuses to write outside of out', async () => {
+  const { root, blocks } = await encodeDirectory({ '..': 'escaped' })
+  const part = await encodeCarPart(root, blocks)
+  const out = await fs.mkdtemp(join(tmpdir(), 'export-files-test-'))
+  try {
+    await assert.rejects(
+      collect(exportUploadFiles({ cid: root.toString(), parts: [part.cid] }, { out, fetchPart: partFetcher([part]) })),
+      /refusing to export/,
+    )
+    assert.throws(() => resolveInside(out, `${root}/../../etc/passwd`), /refusing to export/)
+    assert.equal(resolveInside(out, `${root}/..foo`), join(out, root.toString(), '..foo'))
+  } finally {
+    await fs.rm(out, { recursive: true, force: true })
+  }
+})
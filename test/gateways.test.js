@@ -0,0 +1,153 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:http'
+import { setTimeout as sleep } from 'node:timers/promises'
+import { GatewayStats, createPartFetcher, parseGateways } from '../src/gateways.js'
+import { locate } from './test-utils.js'
+
+const part = 'bagbaierale63ypabqutmxxbz3qg2yzcp2xhz2yairorogfptwdd5n4lsz5xa'
+
+/**
+ * create a mock gateway
+ * @param {object} options - options
+ * @param {number} [options.status] - response status
+ * @param {number} [options.delay] - milliseconds to wait before responding
+ * @param {boolean} [options.contentLength] - whether to respond with content-length
+ */
+function createMockGateway({ status = 200, delay = 0, contentLength = true } = {}) {
+  const body = 'car bytes'
+  return createServer(async (req, res) => {
+    await sleep(delay)
+    if (res.destroyed) return
+    res.writeHead(status, contentLength ? { 'content-length': body.length } : { 'transfer-encoding': 'chunked' })
+    res.end(body)
+  })
+}
+
+/**
+ * @param {Array<import('node:http').Server>} servers - servers to listen
+ */
+function listen(servers) {
+  for (const server of servers) server.listen(0)
+  return {
+    urls: servers.map(s => locate(s).url),
+    close: () => { for (const server of servers) server.close() },
+  }
+}
+
+await test('parseGateways parses comma-separated gateway URLs', () => {
+  assert.deepEqual(
+    parseGateways('https://w3s.link, https://trustless-gateway.link').map(String),
+    ['https://w3s.link/', 'https://trustless-gateway.link/'],
+  )
+  assert.throws(() => parseGateways(''), /no gateway URLs/)
+})
+
+await test('fallback strategy tries gateways in order until one has the part', async () => {
+  const gateways = listen([
+    createMockGateway({ status: 502 }),
+    createMockGateway({ status: 404 }),
+    createMockGateway(),
+  ])
+  try {
+    const stats = new GatewayStats
+    const fetchPart = createPartFetcher({ gateways: gateways.urls, strategy: 'fallback', stats })
+    const response = await fetchPart(part)
+    assert.equal(await response.text(), 'car bytes')
+    assert.equal(new URL(response.url).origin, gateways.urls[2].origin)
+    const { gateways: byGateway } = stats.toJSON()
+    assert.deepEqual(
+      gateways.urls.map(u => [byGateway[u.toString()].successes, byGateway[u.toString()].failures]),
+      [[0, 1], [0, 1], [1, 0]],
+    )
+    assert.equal(typeof byGateway[gateways.urls[2].toString()].meanLatency, 'number')
+  } finally {
+    gateways.close()
+  }
+})
+
+await test('fallback strategy throws error from last gateway if none have the part', async () => {
+  const gateways = listen([createMockGateway({ status: 502 }), createMockGateway({ status: 404 })])
+  try {
+    const fetchPart = createPartFetcher({ gateways: gateways.urls })
+    await assert.rejects(fetchPart(part), (error) => {
+      assert.ok(error instanceof Error)
+      assert.equal(error.name, 'UnexpectedResponseError')
+      assert.equal(/** @type {any} */ (error).status, 404)
+      return true
+    })
+  } finally {
+    gateways.close()
+  }
+})
+
+await test('gateway responses without content-length are used, since the migration measures them', async () => {
+  const gateways = listen([createMockGateway({ contentLength: false })])
+  try {
+    const response = await createPartFetcher({ gateways: gateways.urls })(part)
+    assert.equal(response.headers.get('content-length'), null)
+    assert.equal(await response.text(), 'car bytes')
+  } finally {
+    gateways.close()
+  }
+})
+
+await test('race strategy uses first gateway to respond with the part and cancels the rest', async () => {
+  const gateways = listen([
+    createMockGateway({ delay: 2000 }),
+    createMockGateway({ status: 500 }),
+    createMockGateway({ delay: 50 }),
+  ])
+  try {
+    const stats = new GatewayStats
+    const fetchPart = createPartFetcher({ gateways: gateways.urls, strategy: 'race', stats })
+    const response = await fetchPart(part)
+    assert.equal(await response.text(), 'car bytes')
+    assert.equal(new URL(response.url).origin, gateways.urls[2].origin)
+    // give the cancelled request a moment to settle
+    await sleep(10)
+    const { gateways: byGateway } = stats.toJSON()
+    assert.equal(byGateway[gateways.urls[0].toString()].cancelled, 1)
+    assert.equal(byGateway[gateways.urls[1].toString()].failures, 1)
+    assert.equal(byGateway[gateways.urls[2].toString()].successes, 1)
+  } finally {
+    gateways.close()
+  }
+})
+
+await test('race strategy records a gateway that responds after another won as cancelled, not a success', async () => {
+  const gateways = listen([createMockGateway(), createMockGateway()])
+  try {
+    const stats = new GatewayStats
+    const fetchPart = createPartFetcher({ gateways: gateways.urls, strategy: 'race', stats })
+    const response = await fetchPart(part)
+    assert.equal(await response.text(), 'car bytes')
+    // give the losing request a moment to settle
+    await sleep(50)
+    const counts = Object.values(stats.toJSON().gateways)
+    assert.equal(counts.reduce((sum, g) => sum + g.successes, 0), 1)
+    assert.equal(counts.reduce((sum, g) => sum + g.cancelled, 0), 1)
+  } finally {
+    gateways.close()
+  }
+})
+
+await test('race strategy cancels reading the winning response body when aborted after it responds', async () => {
+  const server = createServer((req, res) => {
+    // respond, but never finish the body
+    res.writeHead(200, { 'content-length': 100 })
+    res.write('car')
+  })
+  const gateways = listen([server])
+  try {
+    const controller = new AbortController
+    const fetchPart = createPartFetcher({ gateways: gateways.urls, strategy: 'race' })
+    const response = await fetchPart(part, { signal: controller.signal })
+    const reading = response.arrayBuffer()
+    controller.abort()
+    await assert.rejects(reading)
+  } finally {
+    server.closeAllConnections()
+    gateways.close()
+  }
+})
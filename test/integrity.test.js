@@ -0,0 +1,105 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { ReadableStream, TransformStream } from 'node:stream/web'
+import * as consumers from 'node:stream/consumers'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as raw from 'multiformats/codecs/raw'
+import { VerifyCarBlocks, VerifyCarPartBytes } from '../src/integrity.js'
+import { IntegrityError } from '../src/w3up-migration.js'
+
+const carCode = 0x0202
+
+/**
+ * @param {Uint8Array} bytes - car bytes
+ */
+async function carLink(bytes) {
+  return Link.create(carCode, await sha256.digest(bytes)).toString()
+}
+
+/**
+ * @template T
+ * @param {T[]} chunks - chunks to stream
+ */
+function streamChunks(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      for (const chunk of chunks) controller.enqueue(chunk)
+      controller.close()
+    }
+  })
+}
+
+await test('VerifyCarPartBytes passes through bytes that match the part cid', async () => {
+  const bytes = new TextEncoder().encode('car bytes')
+  const part = await carLink(bytes)
+  const verifier = new VerifyCarPartBytes(part, bytes.length)
+  const verified = streamChunks([bytes.slice(0, 3), bytes.slice(3)]).pipeThrough(new TransformStream(verifier))
+  assert.deepEqual(new Uint8Array(await consumers.arrayBuffer(verified)), bytes)
+  assert.equal(verifier.error, undefined)
+})
+
+await test('VerifyCarPartBytes errors on bytes that do not hash to the part cid', async () => {
+  const bytes = new TextEncoder().encode('car bytes')
+  const part = await carLink(bytes)
+  const corrupt = new TextEncoder().encode('bar bytes')
+  const verifier = new VerifyCarPartBytes(part, bytes.length)
+  const received = []
+  const verified = streamChunks([corrupt.slice(0, 3), corrupt.slice(3)]).pipeThrough(new TransformStream(verifier))
+  await assert.rejects(async () => {
+    for await (const chunk of verified) received.push(chunk)
+  }, IntegrityError)
+  assert.equal(verifier.error?.actual.cid, await carLink(corrupt))
+  assert.equal(received.length, 1, 'last chunk was held back')
+})
+
+await test('VerifyCarPartBytes errors on truncated or oversized bytes', async () => {
+  const bytes = new TextEncoder().encode('car bytes')
+  const part = await carLink(bytes)
+  /** @type {Array<[Uint8Array[], number]>} */
+  const cases = [
+    [[bytes.slice(0, 5)], 5],
+    [[bytes, bytes.slice(0, 1)], bytes.length + 1],
+  ]
+  for (const [chunks, actualSize] of cases) {
+    const verifier = new VerifyCarPartBytes(part, bytes.length)
+    await assert.rejects(
+      consumers.arrayBuffer(streamChunks(chunks).pipeThrough(new TransformStream(verifier))),
+      IntegrityError,
+    )
+    assert.deepEqual(verifier.error?.actual, { size: actualSize })
+  }
+})
+
+/**
+ * @template T
+ * @param {AsyncIterable<T>} stream - stream to read all of
+ */
+async function collect(stream) {
+  const items = []
+  for await (const item of stream) items.push(item)
+  return items
+}
+
+await test('VerifyCarBlocks passes through blocks that match their cids and errors on one that does not', async () => {
+  const bytes = new TextEncoder().encode('block bytes')
+  const cid = Link.create(raw.code, await sha256.digest(bytes))
+  const verified = await collect(
+    streamChunks([{ cid, bytes }]).pipeThrough(new TransformStream(new VerifyCarBlocks(cid.toString())))
+  )
+  assert.equal(verified.length, 1)
+
+  const verifier = new VerifyCarBlocks(cid.toString())
+  const corrupt = streamChunks([{ cid, bytes: new TextEncoder().encode('blocc bytes') }]).pipeThrough(new TransformStream(verifier))
+  await assert.rejects(collect(corrupt), IntegrityError)
+  assert.equal(verifier.error?.part, cid.toString())
+})
+
+await test('VerifyCarBlocks errors on a car without a block for the root', async () => {
+  const bytes = new TextEncoder().encode('block bytes')
+  const cid = Link.create(raw.code, await sha256.digest(bytes))
+  const root = Link.create(raw.code, await sha256.digest(new Uint8Array(1))).toString()
+  const verifier = new VerifyCarBlocks(root)
+  await assert.rejects(collect(streamChunks([{ cid, bytes }]).pipeThrough(new TransformStream(verifier))), IntegrityError)
+  assert.match(verifier.error?.message ?? '', /no block for its root/)
+})
@@ -0,0 +1,153 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:http'
+import * as consumers from 'node:stream/consumers'
+import { ReadableStream } from 'node:stream/web'
+import * as CAR from '@ucanto/transport/car'
+import * as Client from '@ucanto/client'
+import * as Server from '@ucanto/server'
+import * as ed25519 from '@ucanto/principal/ed25519'
+import { getUploads } from '../src/kubo.js'
+import { migrate } from '../src/w32023-to-w3up.js'
+import { IntegrityError, UnexpectedResponseError, UploadMigrationFailure, UploadMigrationSuccess } from '../src/w3up-migration.js'
+import { createMockKubo, locate, rawBlockCar, serverChannel } from './test-utils.js'
+
+const dag1 = await rawBlockCar('one')
+const dag2 = await rawBlockCar('two')
+const root1 = dag1.cid.toString()
+const root2 = dag2.cid.toString()
+
+await test('kubo source migrates the dag export of each recursive pin', async () => {
+  const pins = new Map([[root1, dag1.car], [root2, dag2.car]])
+  const mockKubo = createMockKubo({ pins })
+  let listed = 0
+  const kubo = createServer((req, res) => {
+    if (req.url?.startsWith('/api/v0/pin/ls')) listed++
+    mockKubo(req, res)
+  })
+  /** @type {Uint8Array[]} */
+  const received = []
+  const carReceiver = createServer(async (req, res) => {
+    received.push(new Uint8Array(await consumers.arrayBuffer(req)))
+    res.writeHead(201)
+    res.end()
+  })
+  kubo.listen(0)
+  carReceiver.listen(0)
+  try {
+    const source = getUploads({ api: locate(kubo).url.toString() })
+    assert.equal(await source.length, 2)
+    const space = await ed25519.generate()
+    const w3up = Client.connect({
+      id: space,
+      codec: CAR.outbound,
+      channel: serverChannel(Server.create({
+        id: await ed25519.generate(),
+        service: {
+          store: {
+            add: (invocation) => ({
+              ok: {
+                status: 'upload',
+                with: invocation.capabilities[0].with,
+                allocated: invocation.capabilities[0].nb.size,
+                link: invocation.capabilities[0].nb.link,
+                url: locate(carReceiver).url.toString(),
+                headers: {},
+              }
+            }),
+          },
+          upload: { add: (invocation) => ({ ok: { root: invocation.capabilities[0].nb.root } }) },
+        },
+        codec: /** @type {import('@ucanto/server').InboundCodec} */ (CAR.inbound),
+        validateAuthorization: () => ({ ok: {} }),
+      })),
+    })
+    const events = []
+    for await (const event of migrate({
+      issuer: space,
+      w3up,
+      destination: new URL(space.did()),
+      source: /** @type {ReadableStream<import('../src/w32023.js').W32023Upload>} */ (ReadableStream.from(source)),
+      fetchPart: source.fetchPart,
+      verify: true,
+    })) {
+      events.push(event)
+      await source.release(event.upload)
+    }
+    await source.close()
+    assert.ok(events.every(e => e instanceof UploadMigrationSuccess))
+    assert.deepEqual(events.map(e => e.upload.cid).sort(), [root1, root2].sort())
+    assert.deepEqual(received.map(b => Buffer.from(b).toString('hex')).sort(), [...pins.values()].map(b => Buffer.from(b).toString('hex')).sort())
+    // length is counted from the same listing of pins as the uploads
+    assert.equal(listed, 1)
+  } finally {
+    kubo.close()
+    carReceiver.close()
+  }
+})
+
+await test('kubo source yields a failure for a pin that fails to export, and exports the rest', async () => {
+  const pins = new Map([[root1, dag1.car], [root2, dag2.car]])
+  const mockKubo = createMockKubo({ pins })
+  // root1 is listed as pinned, but exporting it fails, e.g. because a block is missing
+  const kubo = createServer((req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    if (url.pathname === '/api/v0/dag/export' && url.searchParams.get('arg') === root1) {
+      res.writeHead(500)
+      res.end(JSON.stringify({ Message: 'block was not found locally (offline)', Type: 'error' }))
+      return
+    }
+    mockKubo(req, res)
+  })
+  kubo.listen(0)
+  try {
+    const source = getUploads({ api: locate(kubo).url.toString() })
+    const collected = []
+    for await (const upload of source) {
+      collected.push(upload)
+    }
+    await source.close()
+    const [failure, exported] = collected
+    assert.ok(failure instanceof UploadMigrationFailure)
+    assert.ok(failure.cause instanceof UnexpectedResponseError)
+    assert.equal(failure.upload.cid, root1)
+    assert.ok(!(exported instanceof UploadMigrationFailure))
+    assert.equal(exported.cid, root2)
+    assert.equal(exported.parts.length, 1)
+  } finally {
+    kubo.close()
+  }
+})
+
+await test('kubo source yields a failure for a pin whose export is truncated or corrupt', async () => {
+  const dag3 = await rawBlockCar('three')
+  const root3 = dag3.cid.toString()
+  const corrupt = dag2.car.slice()
+  // flip a byte of the block, which is at the end of the car
+  corrupt[corrupt.length - 1] ^= 0xff
+  const pins = new Map([
+    // e.g. kubo failed part way through, and only said so in a trailer
+    [root1, dag1.car.subarray(0, dag1.car.length - 2)],
+    [root2, corrupt],
+    // a well formed car, but of some other DAG
+    [root3, dag1.car],
+  ])
+  const kubo = createServer(createMockKubo({ pins }))
+  kubo.listen(0)
+  try {
+    const source = getUploads({ api: locate(kubo).url.toString() })
+    const collected = []
+    for await (const upload of source) {
+      collected.push(upload)
+    }
+    await source.close()
+    assert.deepEqual(collected.map(u => u instanceof UploadMigrationFailure ? u.upload.cid : undefined), [root1, root2, root3])
+    const [truncated, corrupted, other] = /** @type {UploadMigrationFailure<import('../src/w32023.js').W32023Upload>[]} */ (collected)
+    assert.match(String(truncated.cause), /unexpected end of data/)
+    assert.ok(corrupted.cause instanceof IntegrityError, 'block did not match its cid')
+    assert.ok(other.cause instanceof IntegrityError, 'car has no block for the pinned root')
+    assert.deepEqual(truncated.upload.parts, [])
+  } finally {
+    kubo.close()
+  }
+})
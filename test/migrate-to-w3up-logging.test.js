@@ -247,6 +247,56 @@ await test('migrate-to-w3up logs to stderr if no --log passed', async t => {
   finally { close(); }
 })
 
+await test('migrate-to-w3up --check-retrieval logs each UploadMigrationSuccess before its retrieval schedule is done', async t => {
+  const uploads = createUploadsStream({ limit: 1 })
+  const { carFinder, w3up, close } = await setupMockW3upServices()
+  const gateway = createServer((req, res) => {
+    res.writeHead(404)
+    res.end()
+  })
+  gateway.listen(0)
+  const { space, migrator, migratorCanAddToSpace } = await setupSpaceMigrationScenario()
+  const tmpLogFilePath = await getTmpLogFilePath()
+  const migrationProcess = spawnMigration([
+    '--space', space.did(),
+    '--ipfs', carFinder.toString(),
+    '--w3up', w3up.toString(),
+    '--log', tmpLogFilePath,
+    '--check-retrieval',
+    '--retrieval-gateway', locate(gateway).url.toString(),
+    // checks right away, and again in 10 minutes
+    '--retrieval-schedule', '0,600000',
+  ], {
+    ...process.env,
+    W3_PRINCIPAL: ed25519.format(migrator),
+    W3_PROOF: (await encodeDelegationAsCid(migratorCanAddToSpace)).toString(),
+  })
+  const migrationProcessExit = new Promise((resolve) => migrationProcess.on('exit', () => resolve(undefined)))
+  migrationProcess.stdout.resume()
+  migrationProcess.stderr.resume()
+  try {
+    await pipeline(uploads, migrationProcess.stdin)
+    /** @type {any[]} */
+    let eventsFromLog = []
+    for (const deadline = Date.now() + 30_000; Date.now() < deadline;) {
+      const log = await fs.readFile(tmpLogFilePath, 'utf8').catch(() => '')
+      eventsFromLog = log.split('\n').filter(Boolean).map(line => JSON.parse(line))
+      if (eventsFromLog.some(e => e.type === 'UploadMigrationSuccess')) break
+      await new Promise(resolve => setTimeout(resolve, 100))
+    }
+    assert.equal(migrationProcess.exitCode, null, 'migration is still waiting for the retrieval schedule')
+    // e.g. the migration is killed during the schedule
+    migrationProcess.kill('SIGKILL')
+    await migrationProcessExit
+    assert.equal(eventsFromLog.filter(e => e.type === 'UploadMigrationSuccess').length, 1, 'upload was logged as migrated')
+    assert.equal(eventsFromLog.filter(e => e.type === 'UploadRetrievalChecked').length, 0, 'retrieval schedule was not done')
+  } finally {
+    migrationProcess.kill('SIGKILL')
+    gateway.close()
+    close()
+  }
+})
+
 /**
  * set up mock http servers that migration depends on: w3up and 'carFinder' e.g. w3s.link gateway
  * @param {Promise<import('node:http').RequestListener>} w3upListener - mock w3up http request listener
@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { summarizeMigrationLog } from '../src/migration-log-summary.js'
+
+/**
+ * @param {string} status - store/add success status
+ * @param {number} size - store/add nb.size
+ */
+function storedPart(status, size) {
+  return {
+    type: 'MigratedUploadPart',
+    add: {
+      receipt: {
+        ran: { capabilities: [{ can: 'store/add', nb: { size } }] },
+        out: { ok: { status } },
+      },
+    },
+  }
+}
+
+await test('summarizeMigrationLog reports uploads, parts, bytes, time range, and failure causes', async () => {
+  const fetchFailure = { name: 'UnexpectedResponseError', message: 'unexpected response status fetching part' }
+  const events = [
+    { type: 'UploadMigrationSuccess', time: '2024-01-01T00:00:10.000Z', parts: { a: storedPart('upload', 100), b: storedPart('done', 50) } },
+    { type: 'UploadMigrationSkipped', time: '2024-01-01T00:00:00.000Z', parts: { c: { type: 'MigratedUploadPart', present: true } } },
+    { type: 'UploadMigrationFailure', time: '2024-01-01T01:02:03.000Z', cause: { name: 'Error', message: 'Failed to migrate 2/3 upload parts' }, parts: { d: { cause: fetchFailure }, e: { cause: fetchFailure }, f: storedPart('upload', 25) } },
+    { type: 'UploadMigrationFailure', time: '2024-01-01T00:30:00.000Z', cause: { name: 'UnexpectedFailureReceipt', message: 'upload/add failed' }, parts: {} },
+    // one per run
+    { type: 'GatewayStats', gateways: { 'https://w3s.link/': { requests: 3, successes: 2, failures: 1, cancelled: 0, meanLatency: 100 } } },
+    { type: 'GatewayStats', gateways: { 'https://w3s.link/': { requests: 2, successes: 1, failures: 0, cancelled: 1, meanLatency: 40 } } },
+    // not a migration event
+    { type: 'MigrationPlan' },
+  ]
+  const summary = await summarizeMigrationLog(events)
+  assert.deepEqual(summary.toJSON(), {
+    type: 'MigrationLogSummary',
+    uploads: { successes: 1, failures: 2, skipped: 1 },
+    parts: { put: 2, done: 1, present: 1 },
+    bytes: 175,
+    time: {
+      start: '2024-01-01T00:00:00.000Z',
+      end: '2024-01-01T01:02:03.000Z',
+      duration: 3723000,
+    },
+    causes: {
+      'UnexpectedResponseError: unexpected response status fetching part': 2,
+      'UnexpectedFailureReceipt: upload/add failed': 1,
+    },
+    gateways: {
+      'https://w3s.link/': { successes: 3, failures: 1, cancelled: 1, meanLatency: 80 },
+    },
+  })
+  const text = summary.toString()
+  assert.match(text, /1 migrated, 2 failed, 1 skipped/)
+  assert.match(text, /\(1h 2m 3s\)/)
+  assert.match(text, /2\tUnexpectedResponseError/)
+  assert.match(text, /https:\/\/w3s\.link\/\t3 ok, 1 failed, 1 cancelled, mean latency 80ms/)
+})
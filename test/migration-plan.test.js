@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { planMigration } from '../src/migration-plan.js'
+import { exampleUpload1 } from '../src/w32023.js'
+import { UploadMigrationFailure } from '../src/w3up-migration.js'
+
+await test('planMigration summarizes uploads without migrating them', async () => {
+  // e.g. a pin whose car the gateway didn't have
+  /** @type {UploadMigrationFailure<import('../src/migration-plan.js').PlannableUpload>} */
+  const sourceFailure = new UploadMigrationFailure
+  sourceFailure.cause = new Error('gateway has no car for DAG')
+  sourceFailure.upload = { ...exampleUpload1, cid: 'bafyUnfetchable', parts: [], dagSize: 0 }
+  const uploads = [
+    { ...exampleUpload1, cid: 'bafyA', parts: ['bagPart1', 'bagPart2'], dagSize: 10 },
+    { ...exampleUpload1, cid: 'bafyB', parts: ['bagPart2'], dagSize: 5 },
+    { ...exampleUpload1, cid: 'bafyA', parts: ['bagPart3'], dagSize: 1 },
+    { ...exampleUpload1, cid: 'bafyNoParts', parts: [], dagSize: 2 },
+    { ...exampleUpload1, cid: 'bafyMigrated', parts: ['bagPart4'], dagSize: 100 },
+    sourceFailure,
+  ]
+  /** @type {string[]} */
+  const released = []
+  const plan = (await planMigration(uploads, {
+    migrated: new Set(['bafyMigrated']),
+    release: async (upload) => { released.push(upload.cid) },
+  })).toJSON()
+  assert.deepEqual(released, ['bafyA', 'bafyB', 'bafyA', 'bafyNoParts', 'bafyMigrated'], 'each upload is released once planned')
+  assert.equal(plan.type, 'MigrationPlan')
+  assert.equal(plan.uploads, 4)
+  assert.equal(plan.parts, 4)
+  assert.equal(plan.dagSize, 18)
+  assert.equal(plan.alreadyMigrated, 1)
+  assert.deepEqual(plan.invocations, { 'store/add': 4, 'upload/add': 4 })
+  assert.deepEqual(plan.uploadsWithoutParts, ['bafyNoParts'])
+  assert.deepEqual(plan.sourceFailures, ['bafyUnfetchable'])
+  assert.deepEqual(plan.duplicateRoots, { bafyA: 2 })
+  assert.deepEqual(plan.sharedParts, { bagPart2: ['bafyA', 'bafyB'] })
+})
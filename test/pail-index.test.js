@@ -0,0 +1,56 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:http'
+import * as Pail from '@web3-storage/pail'
+import { buildUploadNamesPail, fetchPail, pailCar, pailKey } from '../src/pail-index.js'
+import { exampleUpload1 } from '../src/w32023.js'
+import { locate } from './test-utils.js'
+
+/**
+ * @param {import('@web3-storage/pail/api').BlockFetcher} blocks - blocks of pail
+ * @param {import('@web3-storage/pail/api').ShardLink} root - root of pail
+ */
+async function pailEntries(blocks, root) {
+  const entries = new Map
+  for await (const [key, value] of Pail.entries(blocks, root)) {
+    entries.set(key, value.toString())
+  }
+  return entries
+}
+
+await test('buildUploadNamesPail indexes successes by name and adds to an existing pail fetched from a gateway', async () => {
+  const named = { ...exampleUpload1, name: 'my photos' }
+  const unnamed = { ...exampleUpload1, cid: 'bafkreigh2akiscaildcqabsyg3dfr6chu3fgpregiymsck7e7aqa4s52zy', name: '' }
+  const first = await buildUploadNamesPail([
+    { type: 'UploadMigrationSuccess', upload: named },
+    { type: 'UploadMigrationFailure', upload: unnamed },
+  ])
+  assert.equal(first.puts, 1, 'only successes were indexed')
+  assert.deepEqual(await pailEntries(first.blocks, first.root), new Map([[pailKey(named), named.cid]]))
+  assert.equal(pailKey(named), `${named.created}/my photos`)
+
+  const car = new Uint8Array(await new Response(pailCar(first.root, first.blocks)).arrayBuffer())
+  const gateway = createServer((req, res) => {
+    if (req.url?.startsWith(`/ipfs/${first.root}?format=car`)) {
+      res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+      res.end(car)
+      return
+    }
+    res.writeHead(404)
+    res.end()
+  })
+  gateway.listen(0)
+  await new Promise((resolve) => gateway.addListener('listening', () => resolve(undefined)))
+  try {
+    const blocks = await fetchPail(first.root, { gateway: locate(gateway).url })
+    const second = await buildUploadNamesPail([{ type: 'UploadMigrationSuccess', upload: unnamed }], { root: first.root, blocks })
+    assert.equal(second.puts, 1)
+    assert.notEqual(second.root.toString(), first.root.toString())
+    assert.deepEqual(await pailEntries(second.blocks, second.root), new Map([
+      [pailKey(named), named.cid],
+      [`${unnamed.created}/${unnamed.cid}`, unnamed.cid],
+    ]), 'unnamed upload is keyed by cid, and existing entries were kept')
+  } finally {
+    gateway.close()
+  }
+})
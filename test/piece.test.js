@@ -0,0 +1,45 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { Piece, MIN_PAYLOAD_SIZE } from '@web3-storage/data-segment'
+import { PieceHasher } from '../src/piece.js'
+
+/**
+ * @param {number} size - number of bytes
+ */
+function pseudoRandomBytes(size) {
+  const bytes = new Uint8Array(size)
+  let state = size + 1
+  for (let i = 0; i < size; i++) {
+    state = (state * 1103515245 + 12345) % 2147483648
+    bytes[i] = state >> 16
+  }
+  return bytes
+}
+
+await test('PieceHasher computes the same piece as data-segment no matter how bytes are chunked', async () => {
+  for (const size of [MIN_PAYLOAD_SIZE, 127, 128, 254, 1000, 4096, 65_000]) {
+    const bytes = pseudoRandomBytes(size)
+    const expected = Piece.toLink(Piece.fromPayload(bytes)).toString()
+    for (const chunkSize of [1, 7, 127, 128, 1024, size]) {
+      const hasher = new PieceHasher
+      for (let offset = 0; offset < size; offset += chunkSize) {
+        hasher.write(bytes.subarray(offset, offset + chunkSize))
+      }
+      assert.equal(hasher.digest().toString(), expected, `piece of ${size} bytes written ${chunkSize} at a time`)
+    }
+  }
+})
+
+await test('PieceHasher passes bytes through a TransformStream and has the piece once it flushes', async () => {
+  const bytes = pseudoRandomBytes(10_000)
+  const hasher = new PieceHasher
+  const passed = new Uint8Array(await new Response(new Blob(/** @type {BlobPart[]} */ ([bytes])).stream().pipeThrough(new TransformStream(hasher))).arrayBuffer())
+  assert.deepEqual(passed, bytes)
+  assert.equal(hasher.link?.toString(), Piece.toLink(Piece.fromPayload(bytes)).toString())
+})
+
+await test('PieceHasher refuses to compute the piece of too few bytes', async () => {
+  const hasher = new PieceHasher
+  hasher.write(new Uint8Array(MIN_PAYLOAD_SIZE - 1))
+  assert.throws(() => hasher.digest(), RangeError)
+})
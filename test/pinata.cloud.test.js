@@ -0,0 +1,164 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:http'
+import * as fs from 'node:fs/promises'
+import { getUploads } from '../src/pinata.cloud.js'
+import { CarSpool } from '../src/car-spool.js'
+import { IntegrityError, UploadMigrationFailure } from '../src/w3up-migration.js'
+import { locate, rawBlockCar } from './test-utils.js'
+
+const dag1 = await rawBlockCar('one')
+const dag2 = await rawBlockCar('two')
+const root1 = dag1.cid.toString()
+const root2 = dag2.cid.toString()
+const cars = new Map([[root1, dag1.car], [root2, dag2.car]])
+
+await test('pinata source pages through pins and spools the car of each root', async () => {
+  const pins = [root1, root2].map((cid, i) => ({
+    id: `pin-${i}`,
+    ipfs_pin_hash: cid,
+    size: 10 + i,
+    date_pinned: '2024-01-19T04:40:04.490Z',
+    metadata: { name: `pin ${i}` },
+  }))
+  /** @type {string[]} */
+  const authorizations = []
+  // mock api.pinata.cloud with pages of one pin
+  const api = createServer((req, res) => {
+    authorizations.push(req.headers.authorization ?? '')
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    const limit = Number(url.searchParams.get('pageLimit'))
+    const offset = Number(url.searchParams.get('pageOffset') ?? 0)
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ count: pins.length, rows: pins.slice(offset, offset + limit) }))
+  })
+  // mock trustless gateway that responds with the car of each root
+  const gateway = createServer((req, res) => {
+    const root = new URL(req.url ?? '/', 'http://localhost').pathname.split('/').pop() ?? ''
+    res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+    res.end(cars.get(root))
+  })
+  api.listen(0)
+  gateway.listen(0)
+  try {
+    const spool = new CarSpool
+    const uploads = getUploads({
+      jwt: 'test-jwt',
+      api: locate(api).url.toString(),
+      gateway: locate(gateway).url.toString(),
+      pageSize: 1,
+      spool,
+    })
+    assert.equal(await uploads.length, 2)
+    const collected = []
+    for await (const upload of uploads) {
+      assert.ok(!(upload instanceof UploadMigrationFailure))
+      collected.push(upload)
+    }
+    assert.deepEqual(collected.map(u => [u.cid, u.name, u.dagSize]), [
+      [root1, 'pin 0', 10],
+      [root2, 'pin 1', 11],
+    ])
+    assert.ok(authorizations.every(a => a === 'Bearer test-jwt'))
+
+    const [part] = collected[0].parts
+    assert.match(part, /^bagbaiera/, 'part is a car cid')
+    const response = await uploads.fetchPart(part)
+    assert.equal(response.headers.get('content-length'), String(dag1.car.length))
+    assert.deepEqual(new Uint8Array(await response.arrayBuffer()), dag1.car)
+
+    await uploads.release(collected[0])
+    assert.ok(!spool.has(part), 'released parts are deleted from spool')
+    assert.equal((await uploads.fetchPart(part)).status, 404)
+
+    const { path } = await spool.add((async function* () { yield new TextEncoder().encode('car') }()))
+    await uploads.close()
+    await assert.rejects(fs.stat(path), 'close deletes spooled cars')
+  } finally {
+    api.close()
+    gateway.close()
+  }
+})
+
+await test('pinata source yields a failure for a pin whose car does not verify, and stops when aborted', async () => {
+  const pins = [root1, root2].map((cid, i) => ({ id: `pin-${i}`, ipfs_pin_hash: cid, size: 10, date_pinned: '2024-01-19T04:40:04.490Z' }))
+  const api = createServer((req, res) => {
+    const offset = Number(new URL(req.url ?? '/', 'http://localhost').searchParams.get('pageOffset') ?? 0)
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ count: pins.length, rows: pins.slice(offset) }))
+  })
+  // responds with the car of root2 for every root
+  const gateway = createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+    res.end(dag2.car)
+  })
+  api.listen(0)
+  gateway.listen(0)
+  try {
+    const options = { jwt: 'test-jwt', api: locate(api).url.toString(), gateway: locate(gateway).url.toString() }
+    const uploads = getUploads(options)
+    const collected = []
+    for await (const upload of uploads) {
+      collected.push(upload)
+    }
+    await uploads.close()
+    const [failure, migratable] = collected
+    assert.ok(failure instanceof UploadMigrationFailure)
+    assert.ok(failure.cause instanceof IntegrityError)
+    assert.equal(failure.upload.cid, root1)
+    assert.equal(failure.upload._id, 'pin-0', 'failed uploads keep the fields of the pin')
+    assert.ok(!(migratable instanceof UploadMigrationFailure))
+    assert.equal(migratable.cid, root2)
+
+    const abort = new AbortController
+    const aborted = getUploads({ ...options, signal: abort.signal })
+    abort.abort()
+    await assert.rejects(async () => {
+      for await (const upload of aborted) {
+        assert.fail(`unexpected upload ${upload}`)
+      }
+    }, { name: 'AbortError' })
+    await aborted.close()
+  } finally {
+    api.close()
+    gateway.close()
+  }
+})
+
+await test('pinata source does not fetch the car of a pin that was already migrated', async () => {
+  const pins = [root1, root2].map((cid, i) => ({ id: `pin-${i}`, ipfs_pin_hash: cid, size: 10, date_pinned: '2024-01-19T04:40:04.490Z' }))
+  const api = createServer((req, res) => {
+    const offset = Number(new URL(req.url ?? '/', 'http://localhost').searchParams.get('pageOffset') ?? 0)
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ count: pins.length, rows: pins.slice(offset) }))
+  })
+  /** @type {string[]} */
+  const fetched = []
+  const gateway = createServer((req, res) => {
+    const root = new URL(req.url ?? '/', 'http://localhost').pathname.split('/').pop() ?? ''
+    fetched.push(root)
+    res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+    res.end(cars.get(root))
+  })
+  api.listen(0)
+  gateway.listen(0)
+  try {
+    const uploads = getUploads({
+      jwt: 'test-jwt',
+      api: locate(api).url.toString(),
+      gateway: locate(gateway).url.toString(),
+      migrated: new Set([root1]),
+    })
+    const collected = []
+    for await (const upload of uploads) {
+      assert.ok(!(upload instanceof UploadMigrationFailure))
+      collected.push(upload)
+    }
+    await uploads.close()
+    assert.deepEqual(fetched, [root2], 'only the car of the pin that was not migrated was fetched')
+    assert.deepEqual(collected.map(u => [u.cid, u.parts.length]), [[root1, 0], [root2, 1]])
+  } finally {
+    api.close()
+    gateway.close()
+  }
+})
@@ -0,0 +1,167 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:http'
+import { getUploads } from '../src/pinning-service.js'
+import { W32023UploadSummary } from '../src/w32023.js'
+import { IntegrityError, UnexpectedResponseError, UploadMigrationFailure } from '../src/w3up-migration.js'
+import { locate, rawBlockCar } from './test-utils.js'
+
+const dag1 = await rawBlockCar('one')
+const dag2 = await rawBlockCar('two')
+const root1 = dag1.cid.toString()
+const root2 = dag2.cid.toString()
+
+/**
+ * mock trustless gateway that responds with the car of each DAG it has
+ * @param {Map<string, Uint8Array>} cars - map of root CID to car bytes
+ */
+function createMockGateway(cars) {
+  return createServer((req, res) => {
+    const car = cars.get(new URL(req.url ?? '/', 'http://localhost').pathname.split('/').pop() ?? '')
+    if (!car) {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+    res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+    res.end(car)
+  })
+}
+
+await test('pinning service source pages through pins using before', async () => {
+  // newest first, like the spec says
+  const pins = [
+    { requestid: 'r2', status: 'pinned', created: '2024-01-02T00:00:00.000Z', pin: { cid: root2, name: 'two', meta: { app: 'test' } }, delegates: [] },
+    { requestid: 'r1', status: 'pinned', created: '2024-01-01T00:00:00.000Z', pin: { cid: root1 }, delegates: [] },
+  ]
+  /** @type {URL[]} */
+  const requests = []
+  // mock pinning service mounted at /psa
+  const service = createServer((req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    requests.push(url)
+    if (url.pathname !== '/psa/pins' || req.headers.authorization !== 'Bearer test-token') {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+    const before = url.searchParams.get('before')
+    const limit = Number(url.searchParams.get('limit'))
+    const results = pins.filter(p => !before || p.created < before).slice(0, limit)
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ count: pins.length, results }))
+  })
+  const gateway = createMockGateway(new Map([[root1, dag1.car], [root2, dag2.car]]))
+  service.listen(0)
+  gateway.listen(0)
+  try {
+    const uploads = getUploads({
+      endpoint: new URL('/psa', locate(service).url).toString(),
+      token: 'test-token',
+      gateway: locate(gateway).url.toString(),
+      pageSize: 1,
+    })
+    assert.equal(await uploads.length, 2)
+    const collected = []
+    for await (const upload of uploads) {
+      assert.ok(!(upload instanceof UploadMigrationFailure))
+      collected.push(upload)
+    }
+    await uploads.close()
+    assert.deepEqual(collected.map(u => u.cid), [root2, root1])
+    assert.deepEqual(
+      requests.filter(u => u.searchParams.get('limit') === '1').map(u => u.searchParams.get('before')),
+      [null, null, '2024-01-02T00:00:00.001Z', pins[0].created, '2024-01-01T00:00:00.001Z', pins[1].created],
+      'count request, then pages from just after the last pin of each page, and before it once a page has no new pins',
+    )
+    assert.ok(requests.every(u => u.searchParams.get('status') === 'pinned'))
+    // uploads are logged as summaries
+    const logged = JSON.parse(JSON.stringify(new W32023UploadSummary(collected[0])))
+    assert.equal(logged.name, 'two')
+    assert.equal(logged.created, pins[0].created)
+    assert.equal(logged.pins[0].status, 'pinned')
+    assert.deepEqual(logged.meta, { app: 'test' })
+    assert.match(logged.parts[0], /^bagbaiera/)
+  } finally {
+    service.close()
+    gateway.close()
+  }
+})
+
+await test('pinning service source yields pins created at the same time as the last pin of a page once each', async () => {
+  const dag3 = await rawBlockCar('three')
+  const pins = [
+    { requestid: 'r3', status: 'pinned', created: '2024-01-02T00:00:00.000Z', pin: { cid: dag3.cid.toString() }, delegates: [] },
+    { requestid: 'r2', status: 'pinned', created: '2024-01-01T00:00:00.000Z', pin: { cid: root2 }, delegates: [] },
+    { requestid: 'r1', status: 'pinned', created: '2024-01-01T00:00:00.000Z', pin: { cid: root1 }, delegates: [] },
+  ]
+  const service = createServer((req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    const before = url.searchParams.get('before')
+    const results = pins.filter(p => !before || p.created < before).slice(0, Number(url.searchParams.get('limit')))
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ count: pins.length, results }))
+  })
+  const gateway = createMockGateway(new Map([[root1, dag1.car], [root2, dag2.car], [dag3.cid.toString(), dag3.car]]))
+  service.listen(0)
+  gateway.listen(0)
+  try {
+    const uploads = getUploads({
+      endpoint: locate(service).url.toString(),
+      token: 'test-token',
+      gateway: locate(gateway).url.toString(),
+      pageSize: 2,
+    })
+    const collected = []
+    for await (const upload of uploads) {
+      assert.ok(!(upload instanceof UploadMigrationFailure))
+      collected.push(upload)
+    }
+    await uploads.close()
+    assert.deepEqual(collected.map(u => u.cid), [dag3.cid.toString(), root2, root1])
+  } finally {
+    service.close()
+    gateway.close()
+  }
+})
+
+await test('pinning service source yields a failure for each pin whose car the gateway fails to get or verify, and keeps going', async () => {
+  const dag3 = await rawBlockCar('three')
+  const pins = [root1, root2, dag3.cid.toString()].map((cid, i) => (
+    { requestid: `r${i}`, status: 'pinned', created: `2024-01-0${3 - i}T00:00:00.000Z`, pin: { cid }, delegates: [] }
+  ))
+  const service = createServer((req, res) => {
+    res.writeHead(200, { 'content-type': 'application/json' })
+    res.end(JSON.stringify({ count: pins.length, results: new URL(req.url ?? '/', 'http://localhost').searchParams.get('before') ? [] : pins }))
+  })
+  // the gateway doesn't have root2, and responds with the car of root1 for dag3
+  const gateway = createMockGateway(new Map([[root1, dag1.car], [dag3.cid.toString(), dag1.car]]))
+  service.listen(0)
+  gateway.listen(0)
+  try {
+    const uploads = getUploads({
+      endpoint: locate(service).url.toString(),
+      token: 'test-token',
+      gateway: locate(gateway).url.toString(),
+    })
+    const collected = []
+    for await (const upload of uploads) {
+      collected.push(upload)
+    }
+    await uploads.close()
+    assert.equal(collected.length, 3)
+    const [migratable, notFound, corrupt] = collected
+    assert.ok(!(migratable instanceof UploadMigrationFailure))
+    assert.equal(migratable.cid, root1)
+    assert.ok(notFound instanceof UploadMigrationFailure)
+    assert.ok(notFound.cause instanceof UnexpectedResponseError)
+    assert.equal(notFound.upload.cid, root2)
+    assert.deepEqual(notFound.upload.parts, [], 'failed uploads have no parts, so migrating them again fetches the DAG')
+    assert.ok(corrupt instanceof UploadMigrationFailure)
+    assert.ok(corrupt.cause instanceof IntegrityError)
+    assert.equal(corrupt.upload.cid, dag3.cid.toString())
+  } finally {
+    service.close()
+    gateway.close()
+  }
+})
@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { TokenBucket, parseRetryAfter, rateLimited } from '../src/rate-limit.js'
+
+await test('TokenBucket limits rate of takes', async () => {
+  const bucket = new TokenBucket({ rate: 20, burst: 1 })
+  const start = Date.now()
+  for (let i = 0; i < 5; i++) {
+    await bucket.take()
+  }
+  // first take uses the initial token, the rest wait ~50ms each
+  assert.ok(Date.now() - start >= 190, `took ${Date.now() - start}ms`)
+})
+
+await test('rateLimited pauses for Retry-After when a response is throttled', async () => {
+  // no rate limit, but still backs off
+  const bucket = new TokenBucket
+  const throttled = await rateLimited(bucket, async () => new Response(null, { status: 429, headers: { 'retry-after': '1' } }))
+  assert.equal(throttled.status, 429)
+  const start = Date.now()
+  await rateLimited(bucket, async () => new Response('ok'))
+  assert.ok(Date.now() - start >= 990, `waited ${Date.now() - start}ms`)
+})
+
+await test('rateLimited halves rate when an error says the request was throttled', async () => {
+  const bucket = new TokenBucket({ rate: 100 })
+  await assert.rejects(rateLimited(bucket, async () => {
+    throw Object.assign(new Error('HTTP Request failed. POST https://up.web3.storage → 429'), { status: 429 })
+  }), /429/)
+  assert.equal(bucket.rate, 50)
+  bucket.succeeded()
+  assert.ok(bucket.rate > 50 && bucket.rate <= 100, 'rate recovers after requests that are not throttled')
+})
+
+await test('parseRetryAfter parses seconds and dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000)
+  assert.equal(parseRetryAfter(null), undefined)
+  const ms = parseRetryAfter(new Date(Date.now() + 5000).toUTCString()) ?? 0
+  assert.ok(ms > 3000 && ms <= 5000)
+})
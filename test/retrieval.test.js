@@ -0,0 +1,77 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:http'
+import * as Link from 'multiformats/link'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CARWriterStream } from 'carstream/writer'
+import { UploadRetrievalChecked, checkRetrieval, checkRetrievalOnSchedule, parseRetrievalSchedule } from '../src/retrieval.js'
+import { locate } from './test-utils.js'
+
+/**
+ * @param {string} text - bytes of raw block
+ */
+async function rawBlockCar(text) {
+  const bytes = new TextEncoder().encode(text)
+  const cid = Link.create(raw.code, await sha256.digest(bytes))
+  const car = new Uint8Array(await new Response(new ReadableStream({
+    start(controller) {
+      controller.enqueue({ cid, bytes })
+      controller.close()
+    }
+  }).pipeThrough(new CARWriterStream([cid]))).arrayBuffer())
+  return { cid, car }
+}
+
+await test('checkRetrieval checks a gateway has the root block, and checkRetrievalOnSchedule repeats checks', async () => {
+  const good = await rawBlockCar('good')
+  const corrupt = await rawBlockCar('corrupt')
+  const missing = await rawBlockCar('missing')
+  // the car for corrupt has the block for good instead
+  const cars = new Map([[good.cid.toString(), good.car], [corrupt.cid.toString(), good.car]])
+  /** @type {string[]} */
+  const requests = []
+  const gateway = createServer((req, res) => {
+    requests.push(`${req.method} ${req.url}`)
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    const car = cars.get(url.pathname.replace('/ipfs/', ''))
+    if (!car) {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+    res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+    res.end(req.method === 'HEAD' ? undefined : car)
+  })
+  gateway.listen(0)
+  await new Promise((resolve) => gateway.addListener('listening', () => resolve(undefined)))
+  try {
+    const url = locate(gateway).url
+    const head = await checkRetrieval(good.cid.toString(), { gateway: url, method: 'head' })
+    assert.equal(head.ok, true)
+    assert.equal(head.status, 200)
+    assert.equal(requests.at(-1), `HEAD /ipfs/${good.cid}`)
+
+    assert.equal((await checkRetrieval(good.cid.toString(), { gateway: url })).ok, true)
+    assert.equal(requests.at(-1), `GET /ipfs/${good.cid}?format=car&dag-scope=block`)
+
+    const notFound = await checkRetrieval(missing.cid.toString(), { gateway: url })
+    assert.deepEqual([notFound.ok, notFound.status], [false, 404])
+
+    const wrongBlock = await checkRetrieval(corrupt.cid.toString(), { gateway: url })
+    assert.deepEqual([wrongBlock.ok, wrongBlock.status, wrongBlock.error?.name], [false, 200, 'IntegrityError'])
+
+    // becomes retrievable between checks
+    const checking = checkRetrievalOnSchedule(missing.cid.toString(), { gateway: url, schedule: parseRetrievalSchedule('0,100') })
+    await new Promise(resolve => setTimeout(resolve, 50))
+    cars.set(missing.cid.toString(), missing.car)
+    const scheduled = await checking
+    assert.deepEqual(scheduled.checks.map(c => c.ok), [false, true])
+    assert.equal(scheduled.ok, true)
+    assert.equal(scheduled.method, 'car')
+    const event = new UploadRetrievalChecked({ cid: missing.cid.toString() }, scheduled).toJSON()
+    assert.deepEqual([event.type, event.upload, event.retrieval], ['UploadRetrievalChecked', { cid: missing.cid.toString() }, scheduled])
+  } finally {
+    gateway.close()
+  }
+})
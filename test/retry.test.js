@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { getEventListeners } from 'node:events'
+import { isRetryable, parseRetryOn, retry } from '../src/retry.js'
+
+await test('isRetryable matches error names, statuses, and status classes', () => {
+  const retryOn = parseRetryOn('TypeError, 429,5xx')
+  assert.deepEqual(retryOn, ['TypeError', 429, '5xx'])
+  assert.ok(isRetryable(new TypeError('fetch failed'), retryOn))
+  assert.ok(isRetryable(Object.assign(new Error('too many requests'), { status: 429 }), retryOn))
+  assert.ok(isRetryable(Object.assign(new Error('bad gateway'), { response: { status: 502 } }), retryOn))
+  assert.ok(!isRetryable(Object.assign(new Error('not found'), { status: 404 }), retryOn))
+  assert.ok(!isRetryable(new RangeError('nope'), retryOn))
+})
+
+await test('retry retries retryable errors up to maxAttempts and reports each attempt', async () => {
+  const attempts = []
+  let calls = 0
+  const result = await retry(async (attempt) => {
+    calls++
+    if (attempt < 3) throw new TypeError(`transient failure ${attempt}`)
+    return 'ok'
+  }, {
+    policy: { maxAttempts: 3, baseDelay: 1 },
+    onAttempt: a => attempts.push(a),
+  })
+  assert.equal(result, 'ok')
+  assert.equal(calls, 3)
+  assert.deepEqual(attempts.map(a => [a.attempt, Boolean(a.error), typeof a.delay]), [
+    [1, true, 'number'],
+    [2, true, 'number'],
+    [3, false, 'undefined'],
+  ])
+})
+
+await test('retry throws without retrying errors that are not retryable', async () => {
+  let calls = 0
+  await assert.rejects(retry(async () => {
+    calls++
+    throw new RangeError('permanent failure')
+  }, { policy: { maxAttempts: 3, baseDelay: 1 } }), /permanent failure/)
+  assert.equal(calls, 1)
+})
+
+await test('retry throws the last error after maxAttempts', async () => {
+  let calls = 0
+  await assert.rejects(retry(async (attempt) => {
+    calls++
+    throw new TypeError(`failure ${attempt}`)
+  }, { policy: { maxAttempts: 2, baseDelay: 1 } }), /failure 2/)
+  assert.equal(calls, 2)
+})
+
+await test('retry removes its abort listener from the signal after each delay', async () => {
+  const signal = new AbortController().signal
+  const result = await retry(async (attempt) => {
+    if (attempt < 4) throw new TypeError(`transient failure ${attempt}`)
+    return attempt
+  }, { policy: { maxAttempts: 4, baseDelay: 1 }, signal })
+  assert.equal(result, 4)
+  assert.equal(getEventListeners(signal, 'abort').length, 0, 'no abort listeners left on signal')
+})
@@ -9,6 +9,10 @@ import * as ed25519 from '@ucanto/principal/ed25519'
 import { exampleUpload1 } from '../src/w32023.js'
 import { ReadableStream } from 'node:stream/web'
 import { delegate } from '@ucanto/core'
+import * as Link from 'multiformats/link'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { CARWriterStream } from 'carstream/writer'
 
 /**
  * set up a simple set of objects for testing migration
@@ -77,17 +81,76 @@ export function createCarFinder(options) {
         return;
       }
       const headers = options.headers(req) ?? {}
-      if (!Object.keys(headers).find(h => h.match(/content-length/i))) {
+      const contentLengthHeader = Object.keys(headers).find(h => h.match(/content-length/i))
+      if (!contentLengthHeader) {
         throw new Error('carFinder response headers must include content-length')
       }
       res.writeHead(200, {
         ...headers
       })
-      res.end()
+      // send as many bytes as content-length says there are
+      res.end(new Uint8Array(parseInt(headers[contentLengthHeader], 10)))
     })
   }
 }
 
+/**
+ * create a RequestListener that can be a mock kubo RPC API
+ * @param {object} options - options
+ * @param {Map<string, Uint8Array>} options.pins - map of recursively pinned root CID to the car bytes `dag export` responds with
+ * @returns {import('http').RequestListener} request listener that mocks kubo RPC API
+ */
+export function createMockKubo({ pins }) {
+  return (req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost')
+    if (req.method !== 'POST') {
+      res.writeHead(405)
+      res.end()
+      return
+    }
+    switch (url.pathname) {
+      case '/api/v0/pin/ls':
+        res.writeHead(200, { 'content-type': 'application/json' })
+        for (const cid of pins.keys()) {
+          res.write(JSON.stringify({ Cid: cid, Type: 'recursive' }) + '\n')
+        }
+        res.end()
+        return
+      case '/api/v0/dag/export': {
+        const car = pins.get(url.searchParams.get('arg') ?? '')
+        if (!car) {
+          res.writeHead(500)
+          res.end(JSON.stringify({ Message: 'not pinned', Type: 'error' }))
+          return
+        }
+        // like kubo, stream without content-length
+        res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+        res.end(car)
+        return
+      }
+    }
+    res.writeHead(404)
+    res.end()
+  }
+}
+
+/**
+ * car of a DAG that is one raw block, like a trustless gateway would respond with for its root
+ * @param {string} text - bytes of raw block
+ */
+export async function rawBlockCar(text) {
+  const bytes = new TextEncoder().encode(text)
+  const cid = Link.create(raw.code, await sha256.digest(bytes))
+  // the global ReadableStream, which CARWriterStream is typed for, not the one from node:stream/web
+  const car = new Uint8Array(await new Response(new globalThis.ReadableStream({
+    start(controller) {
+      controller.enqueue({ cid, bytes })
+      controller.close()
+    }
+  }).pipeThrough(new CARWriterStream([cid]))).arrayBuffer())
+  return { cid, car }
+}
+
 /**
  * @param {import('http').Server} server - server that should be listening on the returned url
  */
@@ -99,6 +162,18 @@ export function locate(server) {
   return { url }
 }
 
+/**
+ * use a ucanto server as the channel of a client connection to it.
+ * The server package is typed with its own version of @ucanto/interface,
+ * so the server is cast to the channel type the client expects.
+ * @template {Record<string, any>} S
+ * @param {import('@ucanto/server').ServerView<S>} server - ucanto server, e.g. a mock w3up
+ * @returns {import('@ucanto/interface').Transport.Channel<S>} server as a channel
+ */
+export function serverChannel(server) {
+  return /** @type {any} */ (server)
+}
+
 
 export const migrateToW3upPath = fileURLToPath(new URL('../bin/migrate-to-w3up.js', import.meta.url))
 
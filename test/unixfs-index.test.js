@@ -0,0 +1,42 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { exporter } from 'ipfs-unixfs-exporter'
+import * as Link from 'multiformats/link'
+import * as raw from 'multiformats/codecs/raw'
+import { sha256 } from 'multiformats/hashes/sha2'
+import { buildUploadsDirectory, directoryCar, unixfsEntryName } from '../src/unixfs-index.js'
+import { exampleUpload1 } from '../src/w32023.js'
+
+await test('buildUploadsDirectory links each upload by created and name', async () => {
+  // uploads of raw blocks, so the exporter can resolve them without fetching whole DAGs
+  const uploadBlocks = await Promise.all(['a', 'b'].map(async (text) => {
+    const bytes = new TextEncoder().encode(text)
+    return { cid: Link.create(raw.code, await sha256.digest(bytes)), bytes }
+  }))
+  const named = { ...exampleUpload1, cid: uploadBlocks[0].cid.toString(), name: 'photos/2023' }
+  const unnamed = { ...exampleUpload1, cid: uploadBlocks[1].cid.toString(), name: '' }
+  const sameName = { ...named, cid: unnamed.cid }
+  // named like sameName would be once its cid is appended
+  const appendedName = { ...named, name: `photos/2023 ${sameName.cid}` }
+  const { root, entries, blocks } = await buildUploadsDirectory([named, unnamed, appendedName, sameName])
+  assert.equal(entries, 4)
+  assert.equal(unixfsEntryName(named), `${named.created} photos_2023`)
+
+  const blockstore = new Map([...blocks, ...uploadBlocks].map(b => [b.cid.toString(), b.bytes]))
+  const directory = await exporter(root.toString(), { get: async (cid) => blockstore.get(cid.toString()) })
+  assert.equal(directory.type, 'directory')
+  /** @type {Record<string, string>} */
+  const links = {}
+  for await (const entry of directory.content()) {
+    links[entry.name] = entry.cid.toString()
+  }
+  assert.deepEqual(links, {
+    [`${named.created} photos_2023`]: named.cid,
+    [`${unnamed.created} ${unnamed.cid}`]: unnamed.cid,
+    [`${named.created} photos_2023 ${sameName.cid}`]: appendedName.cid,
+    [`${named.created} photos_2023 ${sameName.cid} ${sameName.cid}`]: sameName.cid,
+  })
+
+  const car = new Uint8Array(await new Response(directoryCar(root, blocks)).arrayBuffer())
+  assert.ok(car.length > blocks.reduce((size, b) => size + b.bytes.length, 0), 'car has every block of the directory')
+})
@@ -0,0 +1,112 @@
+import { test } from 'node:test'
+import assert from 'node:assert'
+import { DestinationContents } from '../src/destination-contents.js'
+import { UploadVerificationFailure, UploadVerified, expectMigrationLogUploads, expectSourceUploads, verifyUpload } from '../src/verification.js'
+import { UploadMigrationFailure } from '../src/w3up-migration.js'
+
+const root1 = 'bafybeihtddvvufnzdcetubq5mbv2rvgjchlipf6y7esei5qzg4r7re7rju'
+const root2 = 'bafybeieevwnu57cbcp5u6jsy6wxpj2waq5gfq5gc4spss4skpzk34vvxyy'
+const shard1 = 'bagbaieraclriozt34fk5ej3aa7k67es2hyq5zyc3ohivgbee4qeyyeroqb4a'
+const shard2 = 'bagbaierakuersmo7wndedhwk43e5xwcpzwenuda3dhpcsvkfibewg5gxl7oa'
+
+/**
+ * @param {string} cid - CAR CID of part
+ * @param {number} size - nb.size of store/add
+ */
+function storedPart(cid, size) {
+  return { type: 'MigratedUploadPart', part: cid, add: { receipt: { out: { ok: { status: 'done' } }, ran: { capabilities: [{ can: 'store/add', nb: { size } }] } } } }
+}
+
+/**
+ * @param {AsyncIterable<T>} items - items to collect
+ * @template T
+ */
+async function collect(items) {
+  /** @type {T[]} */
+  const collected = []
+  for await (const item of items) collected.push(item)
+  return collected
+}
+
+await test('verifyUpload checks upload root, shards, and stored shard sizes', async () => {
+  const contents = new DestinationContents
+  contents.uploads.set(root1, [shard1, shard2])
+  contents.shards.set(shard1, 100)
+  contents.shards.set(shard2, 200)
+  const verified = verifyUpload({ upload: { cid: root1 }, shards: [{ cid: shard1, size: 100 }, { cid: shard2 }] }, contents)
+  assert.ok(verified instanceof UploadVerified)
+  assert.deepEqual(verified.toJSON().shards, [{ cid: shard1, size: 100 }, { cid: shard2, size: 200 }])
+
+  const notFound = verifyUpload({ upload: { cid: root2 }, shards: [{ cid: shard1 }] }, contents)
+  assert.ok(notFound instanceof UploadVerificationFailure)
+  assert.deepEqual(notFound.problems, [{ type: 'UploadNotFound' }])
+
+  contents.uploads.set(root2, [shard2])
+  contents.shards.delete(shard2)
+  const wrong = verifyUpload({ upload: { cid: root2 }, shards: [{ cid: shard1, size: 99 }] }, contents)
+  assert.ok(wrong instanceof UploadVerificationFailure)
+  assert.deepEqual(wrong.toJSON().problems, [
+    { type: 'ShardNotInUpload', shard: shard1 },
+    { type: 'ShardSizeMismatch', shard: shard1, expected: 99, actual: 100 },
+    { type: 'UnexpectedShard', shard: shard2 },
+  ])
+})
+
+await test('expectMigrationLogUploads expects the shards uploads were migrated as', async () => {
+  const expected = await collect(expectMigrationLogUploads([
+    { type: 'UploadMigrationFailure', upload: { cid: root1, parts: [shard1] } },
+    { type: 'UploadMigrationFailure', upload: { cid: root2, parts: [shard1] } },
+    {
+      type: 'UploadMigrationSuccess',
+      upload: { cid: root1, parts: [shard1] },
+      // re-sharded part
+      parts: { [shard1]: { part: shard1, shards: [storedPart(shard2, 200)] } },
+    },
+    { type: 'GatewayStats' },
+  ]))
+  assert.deepEqual(expected, [
+    { upload: { cid: root1, parts: [shard1] }, shards: [{ cid: shard2, size: 200 }] },
+    // still failed, so it's expected with its parts as shards
+    { upload: { cid: root2, parts: [shard1] }, shards: [{ cid: shard1 }] },
+  ])
+})
+
+await test('expectSourceUploads expects uploads a source failed to get with whatever shards they have', async () => {
+  const sourceFailure = new UploadMigrationFailure
+  sourceFailure.cause = new Error('gateway has no car for DAG')
+  sourceFailure.upload = { cid: root2 }
+  const [expected, unknown] = await collect(expectSourceUploads((async function* () {
+    yield { cid: root1, parts: [shard1] }
+    yield sourceFailure
+  }())))
+  assert.deepEqual(expected.shards, [{ cid: shard1 }])
+  assert.equal(unknown.upload.cid, root2)
+  assert.equal(unknown.shards, undefined)
+
+  const contents = new DestinationContents
+  contents.uploads.set(root1, [shard1])
+  assert.ok(verifyUpload(unknown, contents) instanceof UploadVerificationFailure, 'upload must still be in the destination')
+  contents.uploads.set(root2, [shard2])
+  assert.deepEqual(/** @type {UploadVerificationFailure} */ (verifyUpload(unknown, contents)).problems, [{ type: 'ShardNotStored', shard: shard2 }])
+  contents.shards.set(shard2, 200)
+  const verified = verifyUpload(unknown, contents)
+  assert.ok(verified instanceof UploadVerified)
+  assert.deepEqual(verified.shards, [{ cid: shard2, size: 200 }])
+})
+
+await test('verifyUpload checks that shards added with blob/add are stored, like other shards', async () => {
+  const blobPart = { type: 'MigratedUploadPart', part: shard1, add: { receipt: { out: { ok: {} }, ran: { capabilities: [{ can: 'blob/add', nb: { blob: { size: 100 } } }] } } } }
+  const [expected] = await collect(expectMigrationLogUploads([
+    { type: 'UploadMigrationSuccess', upload: { cid: root1, parts: [shard1] }, parts: { [shard1]: blobPart } },
+  ]))
+  assert.deepEqual(expected.shards, [{ cid: shard1, size: 100 }])
+
+  const contents = new DestinationContents
+  contents.uploads.set(root1, [shard1])
+  // e.g. blob/list doesn't list the blob
+  assert.deepEqual(/** @type {UploadVerificationFailure} */ (verifyUpload(expected, contents)).problems, [{ type: 'ShardNotStored', shard: shard1 }])
+  contents.shards.set(shard1, 99)
+  assert.deepEqual(/** @type {UploadVerificationFailure} */ (verifyUpload(expected, contents)).problems, [{ type: 'ShardSizeMismatch', shard: shard1, expected: 100, actual: 99 }])
+  contents.shards.set(shard1, 100)
+  assert.ok(verifyUpload(expected, contents) instanceof UploadVerified)
+})
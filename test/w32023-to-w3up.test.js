@@ -7,10 +7,20 @@ import * as ed25519 from '@ucanto/principal/ed25519'
 import * as Server from "@ucanto/server"
 import { migrate } from '../src/w32023-to-w3up.js'
 import { createServer } from 'http'
-import { MapCidToPromiseResolvers } from '../src/utils.js'
+import * as consumers from 'node:stream/consumers'
+import { CAR_CODE, MapCidToPromiseResolvers } from '../src/utils.js'
 import { ReadableStream, TransformStream } from 'stream/web'
-import { UploadMigrationFailure, UploadPartMigrationFailure } from '../src/w3up-migration.js'
+import { IntegrityError, UnexpectedResponseError, UploadMigrationFailure, UploadMigrationSkipped, UploadPartMigrationFailure } from '../src/w3up-migration.js'
+import { DestinationContents } from '../src/destination-contents.js'
 import { createCarFinder, locate } from './test-utils.js'
+import { AdaptiveConcurrency } from '../src/concurrency.js'
+import { CBOR, Message, Receipt, invoke } from '@ucanto/core'
+import * as Link from 'multiformats/link'
+import { sha256 } from 'multiformats/hashes/sha2'
+import * as raw from 'multiformats/codecs/raw'
+import { CARWriterStream } from 'carstream/writer'
+import { MIN_PAYLOAD_SIZE, Piece } from '@web3-storage/data-segment'
+import { equals } from 'uint8arrays'
 
 /** example uploads from `w3 list --json` */
 const uploadsNdjson = `\
@@ -134,6 +144,8 @@ await test('migration sends car bytes when store/add result says to', async () =
     const migration = migrate({
       ...migrationOptions,
       source: uploadsLimit1,
+      // carFinder responds with zeros, not the bytes of each part
+      verify: false,
       async fetchPart(cid, { signal }) {
         return fetch(new URL(`/ipfs/${cid}`, carFinderUrl))
       }
@@ -500,6 +512,940 @@ await test('can migrate tolerating store/add invocation errors', async () => {
   }
 })
 
+await test('migration skips uploads in options.migrated without fetching their parts', async () => {
+  const uploads = createEndlessUploads({ limit: 3 }).readable
+  const migrated = new Set([JSON.parse(uploadsNdjson).cid])
+  let fetchPartCount = 0
+  const migration = migrate({
+    ...await createDefaultMigrationOptions(),
+    source: uploads,
+    migrated,
+    async fetchPart(cid, { signal }) {
+      fetchPartCount++
+      throw new Error('fetchPart should not be called for an upload that was already migrated')
+    },
+  })
+  const events = []
+  for await (const event of migration) {
+    events.push(event)
+  }
+  assert.equal(events.length, 0, 'no migration events for skipped uploads')
+  assert.equal(fetchPartCount, 0, 'no parts were fetched')
+})
+
+await test('migration skips parts and uploads the destination already has', async () => {
+  const upload = JSON.parse(uploadsNdjson)
+  const present = new DestinationContents
+  present.uploads.set(DestinationContents.uploadKey(upload.cid), upload.parts.map(DestinationContents.shardKey))
+  for (const part of upload.parts) {
+    present.shards.set(DestinationContents.shardKey(part), 100)
+  }
+  const channel = createMockW3upServer()
+  const migration = migrate({
+    ...await createDefaultMigrationOptions({ channel }),
+    source: createEndlessUploads({ limit: 2 }).readable,
+    present,
+    async fetchPart(cid, { signal }) {
+      throw new Error('fetchPart should not be called for a part the destination already has')
+    },
+  })
+  const events = []
+  for await (const event of migration) {
+    events.push(event)
+  }
+  assert.equal(events.length, 2)
+  for (const event of events) {
+    assert.ok(event instanceof UploadMigrationSkipped, 'event is UploadMigrationSkipped')
+    assert.equal(event.toJSON().type, 'UploadMigrationSkipped')
+    for (const [, part] of event.parts) {
+      assert.equal(part.present, true, 'part was present in destination')
+    }
+  }
+  assert.equal((await channel).invocations.length, 0, 'no invocations were sent')
+})
+
+await test('migration skips uploads the destination already has before fetching their parts', async () => {
+  const upload = JSON.parse(uploadsNdjson)
+  const present = new DestinationContents
+  // the upload is present, but its parts aren't known to be, e.g. because they were added with blob/add before blob/list
+  present.uploads.set(DestinationContents.uploadKey(upload.cid), upload.parts.map(DestinationContents.shardKey))
+  const channel = createMockW3upServer()
+  const migration = migrate({
+    ...await createDefaultMigrationOptions({ channel }),
+    source: createEndlessUploads({ limit: 2 }).readable,
+    present,
+    async fetchPart(cid, { signal }) {
+      throw new Error('fetchPart should not be called for parts of an upload the destination already has')
+    },
+  })
+  const events = []
+  for await (const event of migration) {
+    events.push(event)
+  }
+  assert.equal(events.length, 2)
+  for (const event of events) {
+    assert.ok(event instanceof UploadMigrationSkipped, 'event is UploadMigrationSkipped')
+    assert.equal(event.reason, 'destination already has upload')
+  }
+  assert.equal((await channel).invocations.length, 0, 'no invocations were sent')
+})
+
+await test('migration yields failures from the source and migrates the rest', async () => {
+  const upload = W32023Upload.from(JSON.parse(uploadsNdjson))
+  /** @type {UploadMigrationFailure<W32023Upload>} */
+  const sourceFailure = new UploadMigrationFailure
+  sourceFailure.cause = new Error('gateway has no car for DAG')
+  sourceFailure.upload = W32023Upload.from({ ...JSON.parse(uploadsNdjson), cid: 'bafkqaaa', parts: [] })
+  sourceFailure.parts = new Map
+  const present = new DestinationContents
+  present.uploads.set(DestinationContents.uploadKey(upload.cid), upload.parts.map(DestinationContents.shardKey))
+  const migration = migrate({
+    ...await createDefaultMigrationOptions(),
+    source: new ReadableStream({
+      /** @param {ReadableStreamDefaultController<W32023Upload>} controller - stream controller */
+      start(controller) {
+        controller.enqueue(/** @type {any} */ (sourceFailure))
+        controller.enqueue(upload)
+        controller.close()
+      }
+    }),
+    present,
+    async fetchPart() {
+      throw new Error('fetchPart should not be called')
+    },
+  })
+  const events = []
+  for await (const event of migration) {
+    events.push(event)
+  }
+  assert.equal(events.length, 2)
+  assert.ok(events.includes(sourceFailure), 'failure from source is yielded as it is')
+  assert.ok(events.some(e => e instanceof UploadMigrationSkipped && e.upload.cid === upload.cid), 'the rest of the source is still migrated')
+})
+
+await test('migration retries part fetches and records each attempt', async () => {
+  const carFinder = createServer(createCarFinder({
+    headers(req) { return { 'content-length': String(100) } }
+  }))
+  carFinder.listen(0)
+  await new Promise((resolve) => carFinder.addListener('listening', () => resolve()))
+  try {
+    const carFinderUrl = locate(carFinder).url
+    let fetchPartCount = 0
+    const migration = migrate({
+      ...await createDefaultMigrationOptions(),
+      source: createEndlessUploads({ limit: 1 }).readable,
+      retry: { maxAttempts: 3, baseDelay: 1 },
+      async fetchPart(cid, { signal }) {
+        // first fetch fails like a network error would
+        if (fetchPartCount++ === 0) throw new TypeError('fetch failed')
+        return fetch(new URL(`/ipfs/${cid}`, carFinderUrl), { signal })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 1)
+    assert.ok(!(events[0] instanceof UploadMigrationFailure), 'upload migrated despite first fetch failing')
+    assert.equal(fetchPartCount, 2)
+    const [part] = events[0].parts.values()
+    assert.deepEqual(part.attempts.map(a => [a.operation, a.attempt, Boolean(a.error)]), [
+      ['fetch', 1, true],
+      ['fetch', 2, false],
+      ['store/add', 1, false],
+    ])
+    assert.deepEqual(events[0].attempts.map(a => [a.operation, a.attempt]), [['upload/add', 1]])
+  } finally {
+    carFinder.close()
+  }
+})
+
+await test('migration backs off part fetches after a response with retry-after', async () => {
+  const carFinder = createServer(createCarFinder({
+    headers(req) { return { 'content-length': String(100) } }
+  }))
+  carFinder.listen(0)
+  await new Promise((resolve) => carFinder.addListener('listening', () => resolve()))
+  try {
+    const carFinderUrl = locate(carFinder).url
+    /** @type {number[]} */
+    const fetchTimes = []
+    const migration = migrate({
+      ...await createDefaultMigrationOptions(),
+      source: createEndlessUploads({ limit: 1 }).readable,
+      retry: { maxAttempts: 2, baseDelay: 1 },
+      async fetchPart(cid, { signal }) {
+        fetchTimes.push(Date.now())
+        // first fetch is throttled
+        if (fetchTimes.length === 1) return new Response(null, { status: 429, headers: { 'retry-after': '1' } })
+        return fetch(new URL(`/ipfs/${cid}`, carFinderUrl), { signal })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.ok(!(events[0] instanceof UploadMigrationFailure), 'upload migrated despite first fetch being throttled')
+    assert.equal(fetchTimes.length, 2)
+    assert.ok(fetchTimes[1] - fetchTimes[0] >= 990, 'second fetch waited for retry-after, not just the retry delay')
+  } finally {
+    carFinder.close()
+  }
+})
+
+await test('migration with adaptive concurrency migrates more parts at once as they succeed', async () => {
+  const carFinder = createServer(createCarFinder({
+    headers(req) { return { 'content-length': String(100) } }
+  }))
+  carFinder.listen(0)
+  await new Promise((resolve) => carFinder.addListener('listening', () => resolve()))
+  try {
+    const carFinderUrl = locate(carFinder).url
+    // only errors should hold concurrency down here, not the latency jitter of a busy test machine
+    const concurrency = new AdaptiveConcurrency({ max: 3, latencyTolerance: Infinity })
+    let fetching = 0
+    let maxFetching = 0
+    const migration = migrate({
+      ...await createDefaultMigrationOptions(),
+      source: createEndlessUploads({ limit: 12 }).readable,
+      concurrency,
+      async fetchPart(cid, { signal }) {
+        maxFetching = Math.max(maxFetching, ++fetching)
+        try {
+          await new Promise(resolve => setTimeout(resolve, 5))
+          return await fetch(new URL(`/ipfs/${cid}`, carFinderUrl), { signal })
+        } finally {
+          fetching--
+        }
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 12)
+    assert.ok(events.every(e => !(e instanceof UploadMigrationFailure)), 'every upload migrated')
+    assert.equal(concurrency.limit, 3, 'concurrency ramped up to max')
+    assert.ok(maxFetching > 1 && maxFetching <= 3, `fetched more than one part at once, up to max, but got ${maxFetching}`)
+  } finally {
+    carFinder.close()
+  }
+})
+
+await test('migration with batch sends several invocations per request', async () => {
+  const carFinder = createServer(createCarFinder({
+    headers(req) { return { 'content-length': String(100) } }
+  }))
+  carFinder.listen(0)
+  await new Promise((resolve) => carFinder.addListener('listening', () => resolve()))
+  try {
+    const carFinderUrl = locate(carFinder).url
+    const server = await createMockW3upServer()
+    let requestCount = 0
+    const channel = Object.assign(Object.create(server), {
+      /** @param {any} request - ucanto request */
+      request(request) {
+        requestCount++
+        return server.request(request)
+      }
+    })
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({ channel }),
+      source: createEndlessUploads({ limit: 6 }).readable,
+      concurrency: 3,
+      batch: { size: 3, wait: 1000 },
+      async fetchPart(cid, { signal }) {
+        return fetch(new URL(`/ipfs/${cid}`, carFinderUrl), { signal })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 6)
+    assert.ok(events.every(e => !(e instanceof UploadMigrationFailure)), 'every upload migrated')
+    assert.equal(server.invocations.length, 12, 'store/add and upload/add for each upload')
+    assert.equal(requestCount, 4, 'invocations were sent 3 per request')
+  } finally {
+    carFinder.close()
+  }
+})
+
+await test('migration with verify aborts sending car bytes that do not match the part cid', async () => {
+  // mock w3s.link responds with zeros, which won't hash to the part cid
+  const carFinder = createServer(createCarFinder({
+    headers(req) { return { 'content-length': String(100) } }
+  }))
+  let carReceiverCompletedRequestCount = 0
+  const carReceiver = createServer((req, res) => {
+    req.on('error', () => {})
+    req.on('end', () => {
+      carReceiverCompletedRequestCount++
+      res.writeHead(201)
+      res.end()
+    })
+    req.resume()
+  })
+  carFinder.listen(0)
+  carReceiver.listen(0)
+  try {
+    const carFinderUrl = locate(carFinder).url
+    const carReceiverUrl = locate(carReceiver).url
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({
+        channel: createMockW3upServer({
+          store: {
+            async add(invocation) {
+              /** @type {import('@web3-storage/access').StoreAddSuccessUpload} */
+              const ok = {
+                status: 'upload',
+                with: invocation.capabilities[0].with,
+                allocated: 1,
+                link: invocation.capabilities[0].nb.link,
+                url: carReceiverUrl.toString(),
+                headers: {},
+              }
+              return { ok }
+            }
+          }
+        })
+      }),
+      source: createEndlessUploads({ limit: 1 }).readable,
+      verify: true,
+      async fetchPart(cid, { signal }) {
+        return fetch(new URL(`/ipfs/${cid}`, carFinderUrl), { signal })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 1)
+    assert.ok(events[0] instanceof UploadMigrationFailure)
+    const [partFailure] = events[0].parts.values()
+    assert.ok(partFailure instanceof UploadPartMigrationFailure)
+    assert.ok(partFailure.cause instanceof IntegrityError, 'part failed because of integrity')
+    assert.equal(partFailure.toJSON().cause.name, 'IntegrityError')
+    assert.equal(carReceiverCompletedRequestCount, 0, 'car receiver never got a complete request')
+  } finally {
+    carFinder.close()
+    carReceiver.close()
+  }
+})
+
+await test('migration with protocol blob follows the effects of blob/add, and adds the sharded DAG index of each upload', async () => {
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  const cars = await Promise.all([1, 2].map(async (fill) => {
+    const block = { bytes: new Uint8Array(100).fill(fill) }
+    const cid = Link.create(raw.code, await sha256.digest(block.bytes))
+    const bytes = await encodeCar([cid], [{ cid, ...block }])
+    const part = Link.create(CAR_CODE, await sha256.digest(bytes))
+    return { cid, block, bytes, part }
+  }))
+  /** @type {Map<string, Uint8Array>} bytes received, by raw CID of them */
+  const received = new Map
+  const carReceiver = createServer(async (req, res) => {
+    const chunks = []
+    for await (const chunk of req) chunks.push(chunk)
+    const bytes = new Uint8Array(Buffer.concat(chunks))
+    received.set(Link.create(raw.code, await sha256.digest(bytes)).toString(), bytes)
+    res.writeHead(200)
+    res.end()
+  })
+  carReceiver.listen(0)
+  try {
+    const channel = await createMockBlobW3upChannel({ address: locate(carReceiver).url })
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({ channel: Promise.resolve(channel) }),
+      source: new ReadableStream({
+        /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+        start(controller) {
+          for (const car of cars) {
+            controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), cid: car.cid.toString(), parts: [car.part.toString()] }))
+          }
+          controller.close()
+        }
+      }),
+      protocol: 'blob',
+      async fetchPart(cid) {
+        const car = cars.find(c => c.part.toString() === cid)
+        return new Response(car?.bytes, { headers: { 'content-length': String(car?.bytes.length) } })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 2)
+    assert.ok(events.every(e => !(e instanceof UploadMigrationFailure)), 'every upload migrated')
+    assert.equal(received.size, 4, 'bytes of each part and each index were sent to the allocated address')
+    const cans = channel.invocations.map(i => i.capabilities[0].can)
+    assert.deepEqual(cans.filter(c => c === 'blob/add').length, 4, 'each part and each index was added with blob/add')
+    assert.deepEqual(cans.filter(c => c === 'ucan/conclude').length, 4)
+    for (const event of events) {
+      const car = cars.find(c => c.cid.toString() === event.upload.cid)
+      assert.ok(car)
+      for (const [, part] of event.parts) {
+        assert.equal(part.add.receipt.ran.capabilities[0].can, 'blob/add')
+        assert.deepEqual(part.attempts.map(a => a.operation), ['fetch', 'blob/add', 'put', 'ucan/conclude'])
+      }
+      assert.deepEqual(event.attempts.map(a => a.operation), ['blob/add', 'put', 'ucan/conclude', 'index/add', 'upload/add'])
+      // index/add is invoked with the index before upload/add
+      const indexAdd = channel.invocations.findIndex(i => i.capabilities[0].can === 'index/add' && String(/** @type {any} */ (i.capabilities[0]).nb.index) === event.index?.link)
+      const uploadAdd = channel.invocations.findIndex(i => i.capabilities[0].can === 'upload/add' && String(/** @type {any} */ (i.capabilities[0]).nb.root) === event.upload.cid)
+      assert.ok(indexAdd !== -1 && indexAdd < uploadAdd, 'index/add was invoked before upload/add')
+      assert.equal(event.toJSON().index?.link, event.index?.link)
+      // the index is a car of the sharded DAG index of the upload, saying where its block is in its part
+      const indexLink = Link.parse(/** @type {string} */ (event.index?.link))
+      const indexCar = CAR.codec.decode(/** @type {Uint8Array} */ (received.get(Link.create(raw.code, indexLink.multihash).toString())))
+      const [root] = indexCar.roots
+      const { content, shards } = /** @type {any} */ (CBOR.decode(root.bytes))['index/sharded/dag@0.1']
+      assert.equal(content.toString(), car.cid.toString())
+      assert.equal(shards.length, 1)
+      const [shard, slices] = /** @type {any} */ (CBOR.decode(indexCar.blocks.get(shards[0].toString()).bytes))
+      assert.deepEqual(shard, car.part.multihash.bytes)
+      const blockSlice = slices.find((/** @type {any} */ [multihash]) => equals(multihash, car.cid.multihash.bytes))
+      const [, [offset, length]] = blockSlice
+      assert.deepEqual(car.bytes.subarray(offset, offset + length), car.block.bytes)
+      assert.ok(slices.some((/** @type {any} */ [multihash, position]) => equals(multihash, car.part.multihash.bytes) && position[0] === 0 && position[1] === car.bytes.length), 'the shard is a slice of itself')
+    }
+    // each ucan/conclude has a receipt for the http/put task, issued by the key in its facts
+    for (const [conclude, put] of channel.concluded) {
+      assert.ok(conclude.ran.link().equals(put.link()))
+      assert.equal(conclude.issuer?.did(), put.issuer.did())
+    }
+    assert.equal(channel.concluded.length, 4)
+  } finally {
+    carReceiver.close()
+  }
+})
+
+await test('migration with protocol blob indexes parts the space already has without sending them again', async () => {
+  const block = { bytes: new Uint8Array(100).fill(3) }
+  const cid = Link.create(raw.code, await sha256.digest(block.bytes))
+  const carBytes = await encodeCar([cid], [{ cid, ...block }])
+  const part = Link.create(CAR_CODE, await sha256.digest(carBytes)).toString()
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  let carReceiverRequestCount = 0
+  const carReceiver = createServer((req, res) => {
+    carReceiverRequestCount++
+    req.resume()
+    req.on('end', () => {
+      res.writeHead(200)
+      res.end()
+    })
+  })
+  carReceiver.listen(0)
+  try {
+    const channel = await createMockBlobW3upChannel({ address: locate(carReceiver).url })
+    const present = new DestinationContents
+    present.shards.set(DestinationContents.shardKey(part), carBytes.length)
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({ channel: Promise.resolve(channel) }),
+      source: new ReadableStream({
+        /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+        start(controller) {
+          controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), cid: cid.toString(), parts: [part] }))
+          controller.close()
+        }
+      }),
+      protocol: 'blob',
+      present,
+      async fetchPart() {
+        return new Response(carBytes, { headers: { 'content-length': String(carBytes.length) } })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 1)
+    assert.ok(!(events[0] instanceof UploadMigrationFailure), 'upload migrated')
+    assert.equal(events[0].parts.get(part)?.present, true)
+    assert.equal(carReceiverRequestCount, 1, 'only the index was sent')
+    const cans = channel.invocations.map(i => i.capabilities[0].can)
+    assert.deepEqual(cans, ['blob/add', 'ucan/conclude', 'index/add', 'upload/add'])
+  } finally {
+    carReceiver.close()
+  }
+})
+
+await test('migration with filecoinOffer logs the piece of each part and offers it', async () => {
+  const block = { bytes: new Uint8Array(200).fill(1) }
+  const cid = Link.create(raw.code, await sha256.digest(block.bytes))
+  const carBytes = await encodeCar([cid], [{ cid, ...block }])
+  const part = Link.create(CAR_CODE, await sha256.digest(carBytes)).toString()
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  /** @type {Uint8Array[]} */
+  const received = []
+  const carReceiver = createServer(async (req, res) => {
+    const chunks = []
+    for await (const chunk of req) chunks.push(chunk)
+    received.push(new Uint8Array(Buffer.concat(chunks)))
+    res.writeHead(200)
+    res.end()
+  })
+  carReceiver.listen(0)
+  try {
+    const channel = await createMockBlobW3upChannel({ address: locate(carReceiver).url })
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({ channel: Promise.resolve(channel) }),
+      source: new ReadableStream({
+        /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+        start(controller) {
+          controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), cid: cid.toString(), parts: [part] }))
+          controller.close()
+        }
+      }),
+      protocol: 'blob',
+      filecoinOffer: true,
+      async fetchPart() {
+        return new Response(carBytes, { headers: { 'content-length': String(carBytes.length) } })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 1)
+    assert.ok(!(events[0] instanceof UploadMigrationFailure), 'upload migrated')
+    assert.deepEqual(received[0], carBytes, 'car bytes were sent once, before the index')
+    assert.equal(received.length, 2)
+    const expectedPiece = Piece.toLink(Piece.fromPayload(carBytes)).toString()
+    const migratedPart = events[0].parts.get(part)
+    assert.equal(migratedPart?.piece, expectedPiece)
+    assert.deepEqual(migratedPart?.attempts?.map(a => a.operation), ['fetch', 'blob/add', 'put', 'ucan/conclude', 'filecoin/offer'])
+    const offer = channel.invocations.find(i => i.capabilities[0].can === 'filecoin/offer')
+    assert.ok(offer, 'filecoin/offer was invoked')
+    const [{ nb }] = /** @type {any[]} */ (offer.capabilities)
+    assert.equal(nb.content.toString(), part)
+    assert.equal(nb.piece.toString(), expectedPiece)
+    const logged = migratedPart?.toJSON()
+    assert.equal(logged?.piece, expectedPiece)
+    assert.equal(logged?.offer?.receipt.ran.capabilities[0].can, 'filecoin/offer')
+  } finally {
+    carReceiver.close()
+  }
+})
+
+await test('migration with filecoinOffer records a failed offer on the part that was added', async () => {
+  const block = { bytes: new Uint8Array(200).fill(1) }
+  const cid = Link.create(raw.code, await sha256.digest(block.bytes))
+  const carBytes = await encodeCar([cid], [{ cid, ...block }])
+  const part = Link.create(CAR_CODE, await sha256.digest(carBytes)).toString()
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  const carReceiver = createServer(async (req, res) => {
+    await consumers.arrayBuffer(req)
+    res.writeHead(200)
+    res.end()
+  })
+  carReceiver.listen(0)
+  try {
+    const channel = await createMockBlobW3upChannel({ address: locate(carReceiver).url, fail: ['filecoin/offer'] })
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({ channel: Promise.resolve(channel) }),
+      source: new ReadableStream({
+        /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+        start(controller) {
+          controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), cid: cid.toString(), parts: [part] }))
+          controller.close()
+        }
+      }),
+      protocol: 'blob',
+      filecoinOffer: true,
+      async fetchPart() {
+        return new Response(carBytes, { headers: { 'content-length': String(carBytes.length) } })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 1)
+    assert.ok(!(events[0] instanceof UploadMigrationFailure), 'upload migrated')
+    const migratedPart = events[0].parts.get(part)
+    assert.equal(migratedPart?.piece, Piece.toLink(Piece.fromPayload(carBytes)).toString())
+    assert.equal(migratedPart?.offer?.receipt.ran.capabilities[0].can, 'filecoin/offer')
+    assert.deepEqual(migratedPart?.toJSON().offer?.error, { name: 'Error', message: 'filecoin/offer failed' })
+    const cans = channel.invocations.map(i => i.capabilities[0].can)
+    assert.ok(cans.includes('upload/add'), 'upload was added')
+  } finally {
+    carReceiver.close()
+  }
+})
+
+await test('migration with piece sends parts too small to have a piece, and logs no piece for them', async () => {
+  const bytes = new Uint8Array(MIN_PAYLOAD_SIZE - 1).fill(1)
+  const part = Link.create(CAR_CODE, await sha256.digest(bytes)).toString()
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  /** @type {Uint8Array[]} */
+  const received = []
+  const carReceiver = createServer(async (req, res) => {
+    const chunks = []
+    for await (const chunk of req) chunks.push(chunk)
+    received.push(new Uint8Array(Buffer.concat(chunks)))
+    res.writeHead(200)
+    res.end()
+  })
+  carReceiver.listen(0)
+  try {
+    const carReceiverUrl = locate(carReceiver).url
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({
+        channel: createMockW3upServer({
+          store: {
+            async add(invocation) {
+              /** @type {import('@web3-storage/access').StoreAddSuccessUpload} */
+              const ok = {
+                status: 'upload',
+                with: invocation.capabilities[0].with,
+                allocated: bytes.length,
+                link: invocation.capabilities[0].nb.link,
+                url: carReceiverUrl.toString(),
+                headers: {},
+              }
+              return { ok }
+            }
+          }
+        })
+      }),
+      source: new ReadableStream({
+        /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+        start(controller) {
+          controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), parts: [part] }))
+          controller.close()
+        }
+      }),
+      piece: true,
+      async fetchPart() {
+        return new Response(bytes, { headers: { 'content-length': String(bytes.length) } })
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 1)
+    assert.ok(!(events[0] instanceof UploadMigrationFailure), 'upload migrated')
+    assert.deepEqual(received, [bytes])
+    const migratedPart = events[0].parts.get(part)
+    assert.equal(migratedPart?.piece, undefined)
+    assert.ok(!('piece' in (migratedPart?.toJSON() ?? {})))
+  } finally {
+    carReceiver.close()
+  }
+})
+
+await test('migration with piece verifies the bytes of parts the space already has before computing their piece', async () => {
+  const bytes = new Uint8Array(200).fill(1)
+  const part = Link.create(CAR_CODE, await sha256.digest(bytes)).toString()
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  const server = await createMockW3upServer()
+  const migration = migrate({
+    ...await createDefaultMigrationOptions({ channel: Promise.resolve(server) }),
+    source: new ReadableStream({
+      /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+      start(controller) {
+        controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), parts: [part] }))
+        controller.close()
+      }
+    }),
+    piece: true,
+    async fetchPart() {
+      // the right size, but not the bytes of the part
+      return new Response(new Uint8Array(200).fill(2), { headers: { 'content-length': '200' } })
+    },
+  })
+  const events = []
+  for await (const event of migration) {
+    events.push(event)
+  }
+  assert.equal(events.length, 1)
+  assert.ok(events[0] instanceof UploadMigrationFailure)
+  // store/add of the mock server says the space already has the part, so its bytes are only read for the piece
+  assert.deepEqual(server.invocations.map(i => i.capabilities[0].can), ['store/add'])
+  const [partFailure] = events[0].parts.values()
+  assert.ok(partFailure instanceof UploadPartMigrationFailure)
+  assert.ok(partFailure.cause instanceof IntegrityError, 'piece was not computed from bytes that do not match the part')
+})
+
+await test('migration measures parts fetched without a content-length', async () => {
+  const bytes = new TextEncoder().encode('car bytes sent with chunked transfer encoding')
+  const part = Link.create(CAR_CODE, await sha256.digest(bytes)).toString()
+  const corruptPart = Link.create(CAR_CODE, await sha256.digest(new Uint8Array(1))).toString()
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  const uploads = [part, corruptPart].map(p => W32023Upload.from({ ...JSON.parse(upload), cid: p, parts: [p] }))
+  const server = await createMockW3upServer()
+  let fetchCount = 0
+  const migration = migrate({
+    ...await createDefaultMigrationOptions({ channel: Promise.resolve(server) }),
+    source: new ReadableStream({
+      /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+      start(controller) {
+        for (const u of uploads) controller.enqueue(u)
+        controller.close()
+      }
+    }),
+    async fetchPart(cid) {
+      fetchCount++
+      // a body stream of unknown length, so no content-length header
+      return new Response(new Blob([bytes]).stream())
+    },
+  })
+  const events = []
+  for await (const event of migration) {
+    events.push(event)
+  }
+  assert.equal(events.length, 2)
+  assert.equal(fetchCount, 2)
+  const [migrated, failed] = events
+  assert.ok(!(migrated instanceof UploadMigrationFailure), 'part with bytes matching its cid was migrated')
+  const storeAdd = server.invocations.find(i => i.capabilities[0].can === 'store/add')
+  assert.equal(storeAdd.capabilities[0].nb.size, bytes.length, 'store/add has measured size')
+  assert.ok(failed instanceof UploadMigrationFailure)
+  const [partFailure] = failed.parts.values()
+  assert.ok(partFailure instanceof UploadPartMigrationFailure)
+  assert.ok(partFailure.cause instanceof IntegrityError, 'part with bytes not matching its cid failed integrity check')
+})
+
+await test('migration with maxShardSize splits bigger parts into shards', async () => {
+  const blocks = await Promise.all([1, 2, 3, 4, 5].map(async (n) => {
+    const bytes = new Uint8Array(100).fill(n)
+    return { cid: Link.create(raw.code, await sha256.digest(bytes)), bytes }
+  }))
+  const carBytes = await encodeCar([blocks[0].cid], blocks)
+  const part = Link.create(CAR_CODE, await sha256.digest(carBytes)).toString()
+  const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+  const server = await createMockW3upServer()
+  const maxShardSize = 300
+  const migration = migrate({
+    ...await createDefaultMigrationOptions({ channel: Promise.resolve(server) }),
+    source: new ReadableStream({
+      /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+      start(controller) {
+        controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), cid: blocks[0].cid.toString(), parts: [part] }))
+        controller.close()
+      }
+    }),
+    maxShardSize,
+    async fetchPart(cid) {
+      return new Response(carBytes, { headers: { 'content-length': String(carBytes.length) } })
+    },
+  })
+  const events = []
+  for await (const event of migration) {
+    events.push(event)
+  }
+  assert.equal(events.length, 1)
+  assert.ok(!(events[0] instanceof UploadMigrationFailure), 'upload migrated')
+  const storeAdds = server.invocations.filter(i => i.capabilities[0].can === 'store/add')
+  assert.ok(storeAdds.length > 1, 'each shard was added')
+  assert.ok(storeAdds.every(i => i.capabilities[0].nb.size <= maxShardSize), 'each shard is no bigger than max shard size')
+  assert.ok(storeAdds.every(i => i.capabilities[0].nb.link.toString() !== part), 'original part was not added')
+  const resharded = events[0].parts.get(part)
+  const shards = resharded?.shards?.map(s => s.part)
+  assert.deepEqual(shards, storeAdds.map(i => i.capabilities[0].nb.link.toString()))
+  assert.deepEqual(resharded?.toJSON().shards?.map(s => s.part), shards, 'log has shards of original part')
+  const uploadAdd = server.invocations.find(i => i.capabilities[0].can === 'upload/add')
+  assert.deepEqual(uploadAdd.capabilities[0].nb.shards.map(String), shards, 'upload/add has shards in place of original part')
+})
+
+await test('migration rebuilds parts of uploads with no parts from a trustless gateway', async () => {
+  const blocks = await Promise.all([1, 2, 3].map(async (n) => {
+    const bytes = new Uint8Array(100).fill(n)
+    return { cid: Link.create(raw.code, await sha256.digest(bytes)), bytes }
+  }))
+  const [root, missingRoot, corruptRoot] = blocks.map(b => b.cid.toString())
+  /** @type {Record<string, Uint8Array>} */
+  const cars = {
+    [root]: await encodeCar([blocks[0].cid], blocks),
+    [corruptRoot]: await encodeCar([blocks[2].cid], [{ cid: blocks[2].cid, bytes: blocks[0].bytes }]),
+  }
+  const gateway = createServer((req, res) => {
+    const url = new URL(req.url ?? '', 'http://localhost')
+    const car = cars[url.pathname.replace('/ipfs/', '')]
+    if (!car || url.searchParams.get('format') !== 'car') {
+      res.writeHead(404)
+      res.end()
+      return
+    }
+    res.writeHead(200, { 'content-type': 'application/vnd.ipld.car' })
+    res.end(car)
+  })
+  gateway.listen(0)
+  await new Promise((resolve) => gateway.addListener('listening', () => resolve(undefined)))
+  try {
+    const [upload] = uploadsNdjson.split('\n').filter(Boolean)
+    const server = await createMockW3upServer()
+    const migration = migrate({
+      ...await createDefaultMigrationOptions({ channel: Promise.resolve(server) }),
+      source: new ReadableStream({
+        /** @param {ReadableStreamDefaultController<W32023Upload>} controller - controller */
+        start(controller) {
+          for (const cid of [root, missingRoot, corruptRoot]) {
+            controller.enqueue(W32023Upload.from({ ...JSON.parse(upload), cid, parts: [] }))
+          }
+          controller.close()
+        }
+      }),
+      gateway: locate(gateway).url,
+      retry: { maxAttempts: 1 },
+      async fetchPart(cid) {
+        throw new Error(`unexpected fetch of part ${cid}`)
+      },
+    })
+    const events = []
+    for await (const event of migration) {
+      events.push(event)
+    }
+    assert.equal(events.length, 3)
+    const migrated = events.find(e => e.upload.cid === root)
+    assert.ok(migrated && !(migrated instanceof UploadMigrationFailure), 'upload with DAG on gateway migrated')
+    const rebuilt = migrated.parts.get(root)
+    assert.equal(rebuilt?.shards?.length, 1)
+    const storeAdds = server.invocations.filter(i => i.capabilities[0].can === 'store/add')
+    assert.deepEqual(storeAdds.map(i => i.capabilities[0].nb.link.toString()), rebuilt?.shards?.map(s => s.part))
+    assert.equal(storeAdds[0].capabilities[0].nb.size, cars[root].length, 'car was packaged into a shard like it was served')
+    const uploadAdds = server.invocations.filter(i => i.capabilities[0].can === 'upload/add')
+    assert.equal(uploadAdds.length, 1, 'only the rebuilt upload was added')
+    assert.equal(uploadAdds[0].capabilities[0].nb.root.toString(), root)
+    assert.deepEqual(uploadAdds[0].capabilities[0].nb.shards.map(String), rebuilt?.shards?.map(s => s.part))
+
+    const missing = events.find(e => e.upload.cid === missingRoot)
+    assert.ok(missing instanceof UploadMigrationFailure, 'upload with DAG not on gateway failed')
+    const missingPart = missing.parts.get(missingRoot)
+    assert.ok(missingPart instanceof UploadPartMigrationFailure)
+    assert.ok(missingPart.cause instanceof UnexpectedResponseError, 'gateway response was unexpected')
+    const corrupt = events.find(e => e.upload.cid === corruptRoot)
+    assert.ok(corrupt instanceof UploadMigrationFailure, 'upload with corrupt DAG failed')
+    const corruptPart = corrupt.parts.get(corruptRoot)
+    assert.ok(corruptPart instanceof UploadPartMigrationFailure)
+    assert.ok(corruptPart.cause instanceof IntegrityError, 'block did not match its cid')
+  } finally {
+    gateway.close()
+  }
+})
+
+/**
+ * create a mock w3up channel that responds to blob/add like w3up does,
+ * with allocate, http/put, and accept tasks in the receipt effects.
+ * ucanto/server can't issue receipts with effects like these, so requests are handled here directly.
+ * @param {object} options - options
+ * @param {URL} options.address - url blobs are allocated at
+ * @param {string[]} [options.fail] - abilities whose invocations result in failure
+ */
+async function createMockBlobW3upChannel({ address, fail = [] }) {
+  const id = await ed25519.generate()
+  /** @type {import('@ucanto/interface').Invocation[]} */
+  const invocations = []
+  /** @type {Array<[import('@ucanto/interface').Receipt, import('@ucanto/interface').Invocation]>} receipt from each ucan/conclude, and the http/put task it concluded */
+  const concluded = []
+  /** @type {Map<string, import('@ucanto/interface').Invocation>} */
+  const puts = new Map
+  /**
+   * @param {import('@ucanto/interface').Invocation} invocation - invocation to respond to
+   * @returns {Promise<import('@ucanto/interface').Receipt>} receipt of invocation
+   */
+  async function handle(invocation) {
+    const [capability] = /** @type {any[]} */ (invocation.capabilities)
+    if (fail.includes(capability.can)) {
+      return Receipt.issue({ issuer: id, ran: invocation, result: { error: { name: 'Error', message: `${capability.can} failed` } } })
+    }
+    switch (capability.can) {
+      case 'blob/add': {
+        const blob = capability.nb.blob
+        const allocate = await invoke({
+          issuer: id,
+          audience: id,
+          capability: { can: 'web3.storage/blob/allocate', with: id.did(), nb: { blob, cause: invocation.link(), space: capability.with } },
+          expiration: Infinity,
+        }).delegate()
+        const allocateReceipt = await Receipt.issue({
+          issuer: id,
+          ran: allocate,
+          result: { ok: { size: blob.size, address: { url: address.toString(), headers: {}, expiresAt: new Date(Date.now() + 60_000).toISOString() } } },
+        })
+        const receiptBlocks = [...allocateReceipt.iterateIPLDBlocks()]
+        const concludeAllocate = invoke({
+          issuer: id,
+          audience: id,
+          capability: { can: 'ucan/conclude', with: id.did(), nb: { receipt: allocateReceipt.link() } },
+          facts: [{ ...receiptBlocks.map(b => b.cid) }],
+          expiration: Infinity,
+        })
+        for (const block of receiptBlocks) {
+          concludeAllocate.attach(block)
+        }
+        const blobProvider = await ed25519.generate()
+        const put = await invoke({
+          issuer: blobProvider,
+          audience: blobProvider,
+          capability: { can: 'http/put', with: blobProvider.did(), nb: { body: blob, url: { 'ucan/await': ['.out.ok.address.url', allocate.link()] } } },
+          facts: [{ keys: blobProvider.toArchive() }],
+          expiration: Infinity,
+        }).delegate()
+        puts.set(put.link().toString(), put)
+        const accept = await invoke({
+          issuer: id,
+          audience: id,
+          capability: { can: 'web3.storage/blob/accept', with: id.did(), nb: { blob, space: capability.with, _put: { 'ucan/await': ['.out.ok', put.link()] } } },
+          expiration: Infinity,
+        }).delegate()
+        return Receipt.issue({
+          issuer: id,
+          ran: invocation,
+          result: { ok: { site: { 'ucan/await': ['.out.ok.site', accept.link()] } } },
+          fx: { fork: [allocate, await concludeAllocate.delegate(), put, accept] },
+        })
+      }
+      case 'ucan/conclude': {
+        const blocks = new Map
+        for (const block of invocation.iterateIPLDBlocks()) {
+          blocks.set(`${block.cid}`, block)
+        }
+        const receipt = /** @type {import('@ucanto/interface').Receipt} */ (Receipt.view({ root: capability.nb.receipt, blocks }))
+        const put = puts.get(receipt.ran.link().toString())
+        if (put) concluded.push([receipt, put])
+        return Receipt.issue({ issuer: id, ran: invocation, result: { ok: { time: Date.now() } } })
+      }
+      default:
+        return Receipt.issue({ issuer: id, ran: invocation, result: { ok: {} } })
+    }
+  }
+  /** @type {import('@ucanto/interface').Transport.Channel<Record<string, any>>['request']} */
+  const request = async (request) => {
+    const message = await CAR.request.decode(request)
+    /** @type {import('@ucanto/interface').Receipt[]} */
+    const receipts = []
+    for (const invocation of message.invocations) {
+      invocations.push(invocation)
+      receipts.push(await handle(invocation))
+    }
+    const response = CAR.response.encode(await Message.build({ receipts: /** @type {import('@ucanto/interface').Tuple<import('@ucanto/interface').Receipt>} */ (receipts) }))
+    // receipts are for whichever invocations were sent, which this channel doesn't know the types of
+    return /** @type {import('@ucanto/interface').HTTPResponse<any>} */ (response)
+  }
+  return { id, invocations, concluded, request }
+}
+
+/**
+ * encode blocks as a car
+ * @param {import('multiformats').UnknownLink[]} roots - car roots
+ * @param {Array<{ cid: import('multiformats').UnknownLink, bytes: Uint8Array }>} blocks - car blocks
+ */
+async function encodeCar(roots, blocks) {
+  const { readable, writable } = new CARWriterStream(roots)
+  const writing = (async () => {
+    const writer = writable.getWriter()
+    for (const block of blocks) await writer.write(block)
+    await writer.close()
+  })()
+  const bytes = new Uint8Array(await new Response(readable).arrayBuffer())
+  await writing
+  return bytes
+}
+
 /**
  * create an infinite stream of uploads
  * @param {object} [options] options